@@ -0,0 +1,121 @@
+// Auth - DB sessions behind the hw_token HTTPOnly cookie
+// Sessions last SESSION_TTL_MS and slide: activity pushes the expiry forward
+// (at most once per RENEW_INTERVAL_MS). Expired sessions are rejected and
+// removed by a periodic cleanup.
+
+import { v4 as uuidv4 } from 'uuid';
+import { schedule } from './jobs.js';
+
+export const SESSION_COOKIE = 'hw_token';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RENEW_INTERVAL_MS = 24 * 60 * 60 * 1000; // 1 day
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000; // lastSeenAt precision
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+function cookieOptions() {
+    return {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS
+    };
+}
+
+function clientInfo(req) {
+    return {
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        ip: req.ip
+    };
+}
+
+export async function createSession(prisma, req, res, user) {
+    const token = uuidv4();
+    const session = await prisma.session.create({
+        data: {
+            token,
+            userId: user.id,
+            expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+            ...clientInfo(req)
+        }
+    });
+
+    res.cookie(SESSION_COOKIE, token, cookieOptions());
+    return session;
+}
+
+export function clearSessionCookie(res) {
+    const { maxAge, ...options } = cookieOptions();
+    res.clearCookie(SESSION_COOKIE, options);
+}
+
+// Resolve the request's session (with user), or null. Expired sessions are
+// deleted; live ones get lastSeenAt refreshed and their expiry slid forward.
+export async function getSession(prisma, req, res, include = {}) {
+    const token = req.cookies[SESSION_COOKIE];
+    if (!token) return null;
+
+    const session = await prisma.session.findUnique({
+        where: { token },
+        include: { user: true, ...include }
+    });
+
+    if (!session) {
+        clearSessionCookie(res);
+        return null;
+    }
+
+    const now = Date.now();
+    if (session.expiresAt.getTime() <= now) {
+        await prisma.session.deleteMany({ where: { id: session.id } });
+        clearSessionCookie(res);
+        return null;
+    }
+
+    const renew = session.expiresAt.getTime() - now < SESSION_TTL_MS - RENEW_INTERVAL_MS;
+    const touch = now - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS;
+    if (renew || touch) {
+        const data = { lastSeenAt: new Date(now), ...clientInfo(req) };
+        if (renew) {
+            data.expiresAt = new Date(now + SESSION_TTL_MS);
+            res.cookie(SESSION_COOKIE, token, cookieOptions());
+        }
+        await prisma.session.update({ where: { id: session.id }, data });
+        Object.assign(session, data);
+    }
+
+    return session;
+}
+
+export function createAuthMiddleware(prisma) {
+    return async (req, res, next) => {
+        if (!req.cookies[SESSION_COOKIE]) return res.status(401).json({ error: 'Not authenticated' });
+
+        try {
+            const session = await getSession(prisma, req, res);
+            if (!session) return res.status(401).json({ error: 'Session invalid' });
+            if (session.user.suspendedAt) return res.status(403).json({ error: 'Account suspended' });
+
+            req.user = session.user;
+            req.authSession = session;
+            next();
+        } catch (error) {
+            console.error('Auth error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+// Drop expired sessions and expired email tokens
+export async function cleanupSessions(prisma) {
+    const now = new Date();
+    const [sessions] = await prisma.$transaction([
+        prisma.session.deleteMany({ where: { expiresAt: { lt: now } } }),
+        prisma.emailVerificationToken.deleteMany({ where: { expiresAt: { lt: now } } }),
+        prisma.passwordResetToken.deleteMany({ where: { expiresAt: { lt: now } } })
+    ]);
+    if (sessions.count > 0) console.log(`Removed ${sessions.count} expired session(s)`);
+}
+
+export function startSessionCleanup(prisma) {
+    return schedule('sessions:cleanup', CLEANUP_INTERVAL_MS, () => cleanupSessions(prisma));
+}
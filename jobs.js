@@ -0,0 +1,46 @@
+// Background Jobs - minimal in-process queues
+// Jobs are keyed by name: a job already queued or running under the same
+// name is not enqueued twice. Media processing (ffmpeg transcodes and
+// thumbnails, minutes each) has a queue of its own, sized by JOB_CONCURRENCY;
+// periodic tasks go through the default queue, one at a time, so they are
+// never stuck behind a transcode.
+
+const QUEUES = {
+    default: 1,
+    media: Number(process.env.JOB_CONCURRENCY) || 1
+};
+
+const queues = Object.fromEntries(Object.entries(QUEUES).map(([name, concurrency]) =>
+    [name, { concurrency, jobs: [], running: 0 }]));
+const active = new Set();
+
+export function enqueue(name, task, queueName = 'default') {
+    if (active.has(name)) return false;
+    active.add(name);
+    const queue = queues[queueName];
+    queue.jobs.push({ name, task });
+    drain(queue);
+    return true;
+}
+
+function drain(queue) {
+    while (queue.running < queue.concurrency && queue.jobs.length > 0) {
+        const job = queue.jobs.shift();
+        queue.running++;
+        Promise.resolve()
+            .then(job.task)
+            .catch(err => console.error(`Job '${job.name}' failed:`, err))
+            .finally(() => {
+                queue.running--;
+                active.delete(job.name);
+                drain(queue);
+            });
+    }
+}
+
+// Run a task every intervalMs on the default queue (does not keep the process alive on its own)
+export function schedule(name, intervalMs, task) {
+    const timer = setInterval(() => enqueue(name, task), intervalMs);
+    timer.unref();
+    return timer;
+}
@@ -0,0 +1,51 @@
+// Mailer - pluggable outgoing email
+// MAIL_TRANSPORT=smtp sends through SMTP_* (production); the default "outbox"
+// transport writes each message as a JSON file under MAIL_OUTBOX_DIR so
+// development and tests can read links from it without a mail server.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const FROM = process.env.MAIL_FROM || 'Hello World! Tube <no-reply@localhost>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'data/outbox';
+
+function createSmtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: message => transporter.sendMail({ from: FROM, ...message })
+    };
+}
+
+function createOutboxTransport() {
+    return {
+        name: 'outbox',
+        async send(message) {
+            await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+            const file = path.join(OUTBOX_DIR, `${Date.now()}-${crypto.randomUUID()}.json`);
+            const entry = { from: FROM, ...message, sentAt: new Date().toISOString() };
+            await fs.promises.writeFile(file, JSON.stringify(entry, null, 2));
+            console.log(`Mail to ${message.to} written to ${file}`);
+        }
+    };
+}
+
+const transport = process.env.MAIL_TRANSPORT === 'smtp' ? createSmtpTransport() : createOutboxTransport();
+
+// sendMail({ to, subject, text, html? })
+export async function sendMail(message) {
+    await transport.send(message);
+}
@@ -0,0 +1,114 @@
+// Policy - platform roles and permission checks
+// Platform roles live on User.role: "user" (default), "moderator", "admin".
+// Admins may do anything except the owner-only actions below; every other
+// permission is a rule below, checked with can(user, action, resource) so
+// server.js and the feature modules share it.
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+const isStaff = user => user.role === 'moderator' || user.role === 'admin';
+
+// Network roles (NetworkMembership.role), highest first. Network.ownerId is the
+// single owner and their membership carries the "owner" role too; ownership
+// only changes hands through the transfer flow, never by assigning the role.
+export const NETWORK_ROLES = ['owner', 'admin', 'editor', 'member'];
+
+// Which network roles may do what inside their network
+const NETWORK_PERMISSIONS = {
+    'network:update': ['owner', 'admin', 'editor'],
+    'network:curate': ['owner', 'admin', 'editor'], // featured videos, playlists, palinsesto
+    'network:delete': ['owner'],
+    'network:invite': ['owner', 'admin'],
+    'network:reviewApplications': ['owner', 'admin'],
+    'network:removeMember': ['owner', 'admin'],
+    'network:setMemberRole': ['owner', 'admin'],
+    'network:transferOwnership': ['owner'],
+    'network:viewSuggestions': ['owner', 'admin'],
+    'network:viewAnalytics': ['owner', 'admin']
+};
+
+// The user's role in a network, or null; needs the user's active membership loaded in network.memberships
+export function networkRole(user, network) {
+    if (network.ownerId === user.id) return 'owner';
+    return network.memberships?.find(m => m.userId === user.id && m.status === 'active')?.role || null;
+}
+
+// Roles holding a network permission (e.g. to find who reviews applications)
+export function networkRolesWith(action) {
+    return NETWORK_PERMISSIONS[action];
+}
+
+function roleRank(role) {
+    const index = NETWORK_ROLES.indexOf(role);
+    return index === -1 ? 0 : NETWORK_ROLES.length - index;
+}
+
+const networkPermission = action => (user, network) => NETWORK_PERMISSIONS[action].includes(networkRole(user, network));
+
+// Acting on another member also takes a role above theirs, and above any role
+// being handed out. Resource: { network, member, role? }
+const memberPermission = action => (user, { network, member, role }) => {
+    const rank = roleRank(networkRole(user, network));
+    return networkPermission(action)(user, network)
+        && rank > roleRank(member.role)
+        && (role === undefined || rank > roleRank(role));
+};
+
+const RULES = {
+    // Videos
+    'video:update': (user, video) => video.uploaderId === user.id,
+    'video:delete': (user, video) => video.uploaderId === user.id || isStaff(user),
+    'video:viewAnalytics': (user, video) => video.uploaderId === user.id,
+
+    // Comments (the video's uploader may delete comments under it when the video is loaded)
+    'comment:update': (user, comment) => comment.userId === user.id,
+    'comment:delete': (user, comment) =>
+        comment.userId === user.id || comment.video?.uploaderId === user.id || isStaff(user),
+
+    // Notes (private to their author)
+    'note:update': (user, note) => note.userId === user.id,
+    'note:delete': (user, note) => note.userId === user.id,
+
+    // Networks (permission matrix above; member actions take { network, member, role? })
+    'network:update': networkPermission('network:update'),
+    'network:curate': networkPermission('network:curate'),
+    'network:delete': networkPermission('network:delete'),
+    'network:invite': networkPermission('network:invite'),
+    'network:reviewApplications': networkPermission('network:reviewApplications'),
+    'network:removeMember': memberPermission('network:removeMember'),
+    'network:setMemberRole': memberPermission('network:setMemberRole'),
+    'network:transferOwnership': networkPermission('network:transferOwnership'),
+    'network:viewSuggestions': networkPermission('network:viewSuggestions'),
+    'network:viewAnalytics': networkPermission('network:viewAnalytics'),
+
+    // Moderation (report queue, hiding content)
+    'moderation:review': isStaff,
+
+    // Platform administration (admins only, through the bypass in can())
+    'user:list': () => false,
+    'user:suspend': () => false,
+    'user:setRole': () => false
+};
+
+// Actions reserved to the resource's owner, admins included: staff take a video
+// down through video:delete, but editing, thumbnails and restoring stay the uploader's
+const OWNER_ONLY = new Set(['video:update']);
+
+export function can(user, action, resource) {
+    if (!user || user.suspendedAt) return false;
+    if (user.role === 'admin' && !OWNER_ONLY.has(action)) return true;
+
+    const rule = RULES[action];
+    if (!rule) throw new Error(`Unknown policy action: ${action}`);
+    return rule(user, resource);
+}
+
+// Route guard for platform roles; use after authMiddleware
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+        next();
+    };
+}
@@ -0,0 +1,20 @@
+-- DropForeignKey
+ALTER TABLE "Video" DROP CONSTRAINT "Video_uploaderId_fkey";
+
+-- AlterTable: align Video with schema.prisma (s3Key replaced filename/mimetype/size)
+ALTER TABLE "Video" ADD COLUMN     "s3Key" TEXT;
+UPDATE "Video" SET "s3Key" = "filename" WHERE "s3Key" IS NULL;
+ALTER TABLE "Video" ALTER COLUMN "s3Key" SET NOT NULL,
+DROP COLUMN "filename",
+DROP COLUMN "mimetype",
+DROP COLUMN "size";
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "duration" DOUBLE PRECISION,
+ADD COLUMN     "hlsPrefix" TEXT,
+ADD COLUMN     "processedAt" TIMESTAMP(3),
+ADD COLUMN     "processingError" TEXT,
+ADD COLUMN     "processingStatus" TEXT NOT NULL DEFAULT 'pending';
+
+-- AddForeignKey
+ALTER TABLE "Video" ADD CONSTRAINT "Video_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
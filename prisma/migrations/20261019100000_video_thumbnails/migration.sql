@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "customThumbnailKey" TEXT,
+ADD COLUMN     "thumbnailSource" TEXT NOT NULL DEFAULT 'generated',
+ADD COLUMN     "thumbsPrefix" TEXT;
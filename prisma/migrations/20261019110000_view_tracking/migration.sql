@@ -0,0 +1,23 @@
+-- AlterTable: "views" already exists on databases created from the init migration
+ALTER TABLE "Video" ADD COLUMN IF NOT EXISTS "views" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "ViewEvent" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "viewerHash" TEXT NOT NULL,
+    "userId" TEXT,
+    "rolledUp" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ViewEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ViewEvent_videoId_viewerHash_createdAt_idx" ON "ViewEvent"("videoId", "viewerHash", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ViewEvent_rolledUp_createdAt_idx" ON "ViewEvent"("rolledUp", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ViewEvent" ADD CONSTRAINT "ViewEvent_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- array_to_string is only STABLE; generated columns need an IMMUTABLE expression
+CREATE OR REPLACE FUNCTION "hw_immutable_array_to_string"(text[], text)
+RETURNS text AS $$ SELECT array_to_string($1, $2) $$
+LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+-- AlterTable: Italian + English stemming, titles/names weighted above descriptions
+ALTER TABLE "Video" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('italian', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('italian', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('italian', coalesce("displayName", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("displayName", '')), 'A') ||
+    setweight(to_tsvector('italian', coalesce("bio", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("bio", '')), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "Network" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('italian', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('italian', "hw_immutable_array_to_string"("themes", ' ')), 'A') ||
+    setweight(to_tsvector('english', "hw_immutable_array_to_string"("themes", ' ')), 'A') ||
+    setweight(to_tsvector('italian', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Video_searchVector_idx" ON "Video" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "User_searchVector_idx" ON "User" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Network_searchVector_idx" ON "Network" USING GIN ("searchVector");
@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "Video_createdAt_id_idx" ON "Video"("createdAt", "id");
+
+-- CreateIndex
+CREATE INDEX "Video_uploaderId_createdAt_idx" ON "Video"("uploaderId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "NetworkMembership_userId_status_idx" ON "NetworkMembership"("userId", "status");
@@ -0,0 +1,14 @@
+-- Sessions created without an expiry get the 30 days they were meant to have
+UPDATE "Session" SET "expiresAt" = "createdAt" + INTERVAL '30 days' WHERE "expiresAt" IS NULL;
+
+-- AlterTable
+ALTER TABLE "Session" ALTER COLUMN "expiresAt" SET NOT NULL,
+ADD COLUMN     "ip" TEXT,
+ADD COLUMN     "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "userAgent" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Session_userId_idx" ON "Session"("userId");
+
+-- CreateIndex
+CREATE INDEX "Session_expiresAt_idx" ON "Session"("expiresAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Video_deletedAt_idx" ON "Video"("deletedAt");
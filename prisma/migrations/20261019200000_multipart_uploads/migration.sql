@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "UploadIntent" ADD COLUMN     "uploadId" TEXT,
+ALTER COLUMN "size" SET DATA TYPE BIGINT;
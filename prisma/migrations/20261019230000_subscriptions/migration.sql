@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" TEXT NOT NULL,
+    "subscriberId" TEXT NOT NULL,
+    "creatorId" TEXT,
+    "networkId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Subscription_pkey" PRIMARY KEY ("id")
+);
+
+-- A subscription targets exactly one creator or one network (not expressible in the Prisma schema)
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_target_check" CHECK (("creatorId" IS NULL) <> ("networkId" IS NULL));
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subscription_subscriberId_creatorId_key" ON "Subscription"("subscriberId", "creatorId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subscription_subscriberId_networkId_key" ON "Subscription"("subscriberId", "networkId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_creatorId_idx" ON "Subscription"("creatorId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_networkId_idx" ON "Subscription"("networkId");
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_subscriberId_fkey" FOREIGN KEY ("subscriberId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_networkId_fkey" FOREIGN KEY ("networkId") REFERENCES "Network"("id") ON DELETE CASCADE ON UPDATE CASCADE;
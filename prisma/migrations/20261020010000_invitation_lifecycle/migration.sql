@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "NetworkInvitation" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "respondedAt" TIMESTAMP(3),
+ADD COLUMN     "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing invitations were sent when created and get the default 14 days from then
+UPDATE "NetworkInvitation" SET "sentAt" = "createdAt", "expiresAt" = "createdAt" + INTERVAL '14 days';
+UPDATE "NetworkInvitation" SET "status" = 'expired' WHERE "status" = 'pending' AND "expiresAt" < CURRENT_TIMESTAMP;
+ALTER TABLE "NetworkInvitation" ALTER COLUMN "expiresAt" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "NetworkInvitation_invitedUserId_status_idx" ON "NetworkInvitation"("invitedUserId", "status");
+
+-- CreateIndex
+CREATE INDEX "NetworkInvitation_inviterId_sentAt_idx" ON "NetworkInvitation"("inviterId", "sentAt");
+
+-- CreateIndex
+CREATE INDEX "NetworkInvitation_status_expiresAt_idx" ON "NetworkInvitation"("status", "expiresAt");
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Network" ADD COLUMN     "pendingOwnerId" TEXT;
+
+-- Roles are now a fixed set: the network owner's membership is "owner", anything unknown becomes "member"
+UPDATE "NetworkMembership" m SET "role" = 'owner' FROM "Network" n WHERE n."id" = m."networkId" AND n."ownerId" = m."userId";
+UPDATE "NetworkMembership" m SET "role" = 'member' FROM "Network" n WHERE n."id" = m."networkId" AND n."ownerId" <> m."userId" AND m."role" NOT IN ('admin', 'editor', 'member');
+
+-- AddForeignKey
+ALTER TABLE "Network" ADD CONSTRAINT "Network_pendingOwnerId_fkey" FOREIGN KEY ("pendingOwnerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,83 @@
+-- CreateTable
+CREATE TABLE "NetworkFeaturedVideo" (
+    "id" TEXT NOT NULL,
+    "networkId" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NetworkFeaturedVideo_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NetworkPlaylist" (
+    "id" TEXT NOT NULL,
+    "networkId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NetworkPlaylist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NetworkPlaylistItem" (
+    "id" TEXT NOT NULL,
+    "playlistId" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "NetworkPlaylistItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NetworkScheduleSlot" (
+    "id" TEXT NOT NULL,
+    "networkId" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NetworkScheduleSlot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NetworkFeaturedVideo_networkId_videoId_key" ON "NetworkFeaturedVideo"("networkId", "videoId");
+
+-- CreateIndex
+CREATE INDEX "NetworkFeaturedVideo_networkId_position_idx" ON "NetworkFeaturedVideo"("networkId", "position");
+
+-- CreateIndex
+CREATE INDEX "NetworkPlaylist_networkId_createdAt_idx" ON "NetworkPlaylist"("networkId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NetworkPlaylistItem_playlistId_videoId_key" ON "NetworkPlaylistItem"("playlistId", "videoId");
+
+-- CreateIndex
+CREATE INDEX "NetworkPlaylistItem_playlistId_position_idx" ON "NetworkPlaylistItem"("playlistId", "position");
+
+-- CreateIndex
+CREATE INDEX "NetworkScheduleSlot_networkId_startsAt_idx" ON "NetworkScheduleSlot"("networkId", "startsAt");
+
+-- AddForeignKey
+ALTER TABLE "NetworkFeaturedVideo" ADD CONSTRAINT "NetworkFeaturedVideo_networkId_fkey" FOREIGN KEY ("networkId") REFERENCES "Network"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkFeaturedVideo" ADD CONSTRAINT "NetworkFeaturedVideo_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkPlaylist" ADD CONSTRAINT "NetworkPlaylist_networkId_fkey" FOREIGN KEY ("networkId") REFERENCES "Network"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkPlaylistItem" ADD CONSTRAINT "NetworkPlaylistItem_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "NetworkPlaylist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkPlaylistItem" ADD CONSTRAINT "NetworkPlaylistItem_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkScheduleSlot" ADD CONSTRAINT "NetworkScheduleSlot_networkId_fkey" FOREIGN KEY ("networkId") REFERENCES "Network"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkScheduleSlot" ADD CONSTRAINT "NetworkScheduleSlot_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
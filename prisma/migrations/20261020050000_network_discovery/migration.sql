@@ -0,0 +1,93 @@
+-- AlterTable
+ALTER TABLE "Network" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'eclectic',
+ADD COLUMN "openToApplications" BOOLEAN NOT NULL DEFAULT true;
+
+-- Map the free-form themes onto the taxonomy in themes.js (slug, label or a common
+-- alias, case-insensitive); networks left without a known theme get "altro"
+UPDATE "Network" n SET "themes" = COALESCE((
+    SELECT array_agg(DISTINCT t."slug")
+    FROM unnest(n."themes") AS raw("theme")
+    JOIN (VALUES
+        ('tech', 'tech'),
+        ('tecnologia', 'tech'),
+        ('technology', 'tech'),
+        ('informatica', 'tech'),
+        ('gaming', 'gaming'),
+        ('videogiochi', 'gaming'),
+        ('games', 'gaming'),
+        ('videogames', 'gaming'),
+        ('educazione', 'educazione'),
+        ('education', 'educazione'),
+        ('istruzione', 'educazione'),
+        ('didattica', 'educazione'),
+        ('scienza', 'scienza'),
+        ('science', 'scienza'),
+        ('musica', 'musica'),
+        ('music', 'musica'),
+        ('cinema', 'cinema'),
+        ('cinema e tv', 'cinema'),
+        ('film', 'cinema'),
+        ('tv', 'cinema'),
+        ('serie tv', 'cinema'),
+        ('sport', 'sport'),
+        ('cucina', 'cucina'),
+        ('food', 'cucina'),
+        ('cooking', 'cucina'),
+        ('ricette', 'cucina'),
+        ('viaggi', 'viaggi'),
+        ('travel', 'viaggi'),
+        ('viaggio', 'viaggi'),
+        ('arte', 'arte'),
+        ('arte e design', 'arte'),
+        ('design', 'arte'),
+        ('art', 'arte'),
+        ('moda', 'moda'),
+        ('moda e bellezza', 'moda'),
+        ('bellezza', 'moda'),
+        ('fashion', 'moda'),
+        ('beauty', 'moda'),
+        ('salute', 'salute'),
+        ('salute e fitness', 'salute'),
+        ('fitness', 'salute'),
+        ('benessere', 'salute'),
+        ('health', 'salute'),
+        ('finanza', 'finanza'),
+        ('finanza e business', 'finanza'),
+        ('business', 'finanza'),
+        ('economia', 'finanza'),
+        ('attualita', 'attualita'),
+        ('notizie e attualità', 'attualita'),
+        ('attualità', 'attualita'),
+        ('notizie', 'attualita'),
+        ('news', 'attualita'),
+        ('comicita', 'comicita'),
+        ('comicità', 'comicita'),
+        ('comedy', 'comicita'),
+        ('umorismo', 'comicita'),
+        ('comico', 'comicita'),
+        ('lifestyle', 'lifestyle'),
+        ('vlog', 'lifestyle'),
+        ('motori', 'motori'),
+        ('auto', 'motori'),
+        ('moto', 'motori'),
+        ('automotive', 'motori'),
+        ('natura', 'natura'),
+        ('natura e animali', 'natura'),
+        ('animali', 'natura'),
+        ('nature', 'natura'),
+        ('cultura', 'cultura'),
+        ('storia e cultura', 'cultura'),
+        ('storia', 'cultura'),
+        ('history', 'cultura'),
+        ('altro', 'altro')
+    ) AS t("alias", "slug") ON lower(trim(raw."theme")) = t."alias"
+), ARRAY['altro']);
+
+-- Single-theme networks are sector networks
+UPDATE "Network" SET "type" = 'sector' WHERE cardinality("themes") = 1 AND "themes" <> ARRAY['altro'];
+
+-- CreateIndex
+CREATE INDEX "Network_themes_idx" ON "Network" USING GIN ("themes");
+
+-- CreateIndex
+CREATE INDEX "Network_type_idx" ON "Network"("type");
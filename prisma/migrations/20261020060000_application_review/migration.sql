@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Network" ADD COLUMN "applicationQuestions" JSONB NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "NetworkApplication" ADD COLUMN "answers" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN "sampleVideoIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "rejectionReason" TEXT,
+ADD COLUMN "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "decidedAt" TIMESTAMP(3);
+
+-- Existing applications: submitted when created; decisions dated to creation so the reapply cooldown has a start
+UPDATE "NetworkApplication" SET "submittedAt" = "createdAt";
+UPDATE "NetworkApplication" SET "decidedAt" = "createdAt" WHERE "status" IN ('approved', 'rejected');
+
+-- CreateTable
+CREATE TABLE "NetworkApplicationNote" (
+    "id" TEXT NOT NULL,
+    "applicationId" TEXT NOT NULL,
+    "authorId" TEXT,
+    "text" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NetworkApplicationNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NetworkApplication_networkId_status_idx" ON "NetworkApplication"("networkId", "status");
+
+-- CreateIndex
+CREATE INDEX "NetworkApplicationNote_applicationId_createdAt_idx" ON "NetworkApplicationNote"("applicationId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "NetworkApplicationNote" ADD CONSTRAINT "NetworkApplicationNote_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "NetworkApplication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkApplicationNote" ADD CONSTRAINT "NetworkApplicationNote_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
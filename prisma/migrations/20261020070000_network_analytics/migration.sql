@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "VideoDailyStat" (
+    "videoId" TEXT NOT NULL,
+    "uploaderId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "viewers" INTEGER NOT NULL DEFAULT 0,
+    "comments" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "VideoDailyStat_pkey" PRIMARY KEY ("videoId","day")
+);
+
+-- CreateTable
+CREATE TABLE "CreatorDailyStat" (
+    "userId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "uploads" INTEGER NOT NULL DEFAULT 0,
+    "newFollowers" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "CreatorDailyStat_pkey" PRIMARY KEY ("userId","day")
+);
+
+-- CreateTable
+CREATE TABLE "NetworkDailyStat" (
+    "networkId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "followers" INTEGER NOT NULL DEFAULT 0,
+    "newFollowers" INTEGER NOT NULL DEFAULT 0,
+    "newMembers" INTEGER NOT NULL DEFAULT 0,
+    "applications" INTEGER NOT NULL DEFAULT 0,
+    "approved" INTEGER NOT NULL DEFAULT 0,
+    "rejected" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "NetworkDailyStat_pkey" PRIMARY KEY ("networkId","day")
+);
+
+-- CreateIndex
+CREATE INDEX "VideoDailyStat_uploaderId_day_idx" ON "VideoDailyStat"("uploaderId", "day");
+
+-- AddForeignKey
+ALTER TABLE "VideoDailyStat" ADD CONSTRAINT "VideoDailyStat_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreatorDailyStat" ADD CONSTRAINT "CreatorDailyStat_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NetworkDailyStat" ADD CONSTRAINT "NetworkDailyStat_networkId_fkey" FOREIGN KEY ("networkId") REFERENCES "Network"("id") ON DELETE CASCADE ON UPDATE CASCADE;
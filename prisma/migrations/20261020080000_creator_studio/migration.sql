@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "ViewEvent" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'other';
+
+-- AlterTable
+ALTER TABLE "VideoDailyStat" ADD COLUMN "feedViews" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "networkViews" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "shareViews" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "sessions" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "watchSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PlaybackSession" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "viewerHash" TEXT NOT NULL,
+    "userId" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'other',
+    "watchedSeconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lastPosition" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "segments" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PlaybackSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PlaybackSession_videoId_startedAt_idx" ON "PlaybackSession"("videoId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "PlaybackSession" ADD CONSTRAINT "PlaybackSession_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,351 @@
+// Analytics Frontend Logic
+// Network dashboard and creator studio. Charts are plain SVG drawn here, no chart library.
+
+const analyticsState = {
+    network: null, // { id, name } of the network on screen
+    data: null, // GET /api/networks/:id/analytics
+    studio: null, // GET /api/studio/videos
+    studioVideo: null // GET /api/studio/videos/:id of the video opened in the studio
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART = { width: 600, height: 180, pad: 28 };
+
+function svgEl(name, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+function shortDay(day) {
+    return new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+// Frame shared by the charts: max value on the y axis, first and last label on the x axis
+function chartFrame(points, maxLabel) {
+    const svg = svgEl('svg', { viewBox: `0 0 ${CHART.width} ${CHART.height}`, class: 'chart', role: 'img' });
+    const bottom = CHART.height - CHART.pad;
+    svg.appendChild(svgEl('line', { x1: CHART.pad, y1: bottom, x2: CHART.width - 4, y2: bottom, class: 'chart-axis' }));
+
+    const labels = [[CHART.pad, 12, maxLabel, 'start'],
+        [CHART.pad, CHART.height - 8, points[0].label, 'start'],
+        [CHART.width - 4, CHART.height - 8, points[points.length - 1].label, 'end']];
+    labels.forEach(([x, y, text, anchor]) => {
+        const label = svgEl('text', { x, y, 'text-anchor': anchor, class: 'chart-label' });
+        label.textContent = text;
+        svg.appendChild(label);
+    });
+    return svg;
+}
+
+// points: [{ label, value }]; format turns values into text (axis and tooltips)
+function lineChart(points, { max, format = String } = {}) {
+    const top = max || Math.max(1, ...points.map(p => p.value));
+    const svg = chartFrame(points, format(top));
+    const step = (CHART.width - CHART.pad - 4) / Math.max(1, points.length - 1);
+    const y = value => CHART.height - CHART.pad - value / top * (CHART.height - 2 * CHART.pad);
+
+    const coords = points.map((p, i) => [CHART.pad + i * step, y(p.value)]);
+    svg.appendChild(svgEl('polyline', { points: coords.map(c => c.join(',')).join(' '), class: 'chart-line' }));
+    coords.forEach(([cx, cy], i) => {
+        const dot = svgEl('circle', { cx, cy, r: 3, class: 'chart-dot' });
+        const title = svgEl('title');
+        title.textContent = `${points[i].label}: ${format(points[i].value)}`;
+        dot.appendChild(title);
+        svg.appendChild(dot);
+    });
+    return svg;
+}
+
+function barChart(points) {
+    const max = Math.max(1, ...points.map(p => p.value));
+    const svg = chartFrame(points, String(max));
+    const slot = (CHART.width - CHART.pad - 4) / points.length;
+    const height = CHART.height - 2 * CHART.pad;
+
+    points.forEach((p, i) => {
+        const h = p.value / max * height;
+        const bar = svgEl('rect', {
+            x: CHART.pad + i * slot + slot * 0.15,
+            y: CHART.height - CHART.pad - h,
+            width: slot * 0.7,
+            height: h,
+            class: 'chart-bar'
+        });
+        const title = svgEl('title');
+        title.textContent = `${p.label}: ${p.value}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+    });
+    return svg;
+}
+
+// rows: [[label, value]], as horizontal bars relative to max
+function horizontalBars(rows, max) {
+    const block = document.createElement('div');
+    block.className = 'hbars';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'hbar-row';
+        const name = document.createElement('span');
+        name.textContent = `${label} (${value.toLocaleString()})`;
+        const bar = document.createElement('div');
+        bar.className = 'hbar';
+        bar.style.width = `${Math.min(100, value / Math.max(1, max) * 100)}%`;
+        row.append(name, bar);
+        block.appendChild(row);
+    });
+    return block;
+}
+
+function chartCard(title, chart) {
+    const card = document.createElement('div');
+    card.className = 'chart-card';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    card.append(heading, chart);
+    return card;
+}
+
+function series(daily, field) {
+    return daily.map(entry => ({ label: shortDay(entry.day), value: entry[field] }));
+}
+
+function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function statCards(container, cards) {
+    container.innerHTML = '';
+    cards.forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        const strong = document.createElement('strong');
+        strong.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+        const span = document.createElement('span');
+        span.textContent = label;
+        card.append(strong, span);
+        container.appendChild(card);
+    });
+}
+
+// ===== NETWORK DASHBOARD =====
+
+async function openNetworkAnalytics(network) {
+    analyticsState.network = { id: network.id, name: network.name };
+    document.getElementById('analytics-title').textContent = `Statistiche · ${network.name}`;
+
+    document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+    document.getElementById('analytics-page').classList.remove('hidden');
+
+    await loadNetworkAnalytics();
+}
+
+async function loadNetworkAnalytics() {
+    const days = document.getElementById('analytics-range').value;
+    try {
+        analyticsState.data = await api(`/api/networks/${analyticsState.network.id}/analytics?days=${days}`);
+    } catch (e) {
+        return showToast(e.message);
+    }
+    renderNetworkAnalytics();
+}
+
+function renderNetworkAnalytics() {
+    const { totals, daily, members, topVideos, funnel } = analyticsState.data;
+    statCards(document.getElementById('analytics-totals'), [
+        ['Visualizzazioni', totals.views],
+        ['Video caricati', totals.uploads],
+        ['Commenti', totals.comments],
+        ['Iscritti alla rete', `${totals.followers} (+${totals.newFollowers})`],
+        ['Nuovi iscritti ai membri', totals.memberFollowers],
+        ['Membri', `${totals.members} (+${totals.newMembers})`]
+    ]);
+
+    const charts = document.getElementById('analytics-charts');
+    charts.innerHTML = '';
+    charts.appendChild(chartCard('Visualizzazioni', lineChart(series(daily, 'views'))));
+    charts.appendChild(chartCard('Iscritti alla rete', lineChart(series(daily, 'followers'))));
+    charts.appendChild(chartCard('Video caricati', barChart(series(daily, 'uploads'))));
+    charts.appendChild(chartCard('Commenti', barChart(series(daily, 'comments'))));
+    charts.appendChild(chartCard('Candidature', renderFunnel(funnel)));
+
+    renderTable(document.getElementById('analytics-members'),
+        ['Membro', 'Visualizzazioni', 'Video', 'Commenti', 'Nuovi iscritti'],
+        members.map(m => [m.displayName || 'Creator', m.views, m.uploads, m.comments, m.newFollowers]));
+    renderTable(document.getElementById('analytics-top'),
+        ['Video', 'Creator', 'Visualizzazioni', 'Commenti'],
+        topVideos.map(v => [v.title, v.uploaderName || 'Creator', v.views, v.comments]),
+        topVideos.map(v => () => window.watchVideo(v.id)));
+}
+
+// Applied → approved / rejected
+function renderFunnel(funnel) {
+    const block = horizontalBars([
+        ['Ricevute', funnel.applications],
+        ['Approvate', funnel.approved],
+        ['Rifiutate', funnel.rejected]
+    ], funnel.applications);
+
+    const rate = funnel.applications > 0 ? Math.round(funnel.approved / funnel.applications * 100) : 0;
+    const note = document.createElement('p');
+    note.className = 'hbars-note';
+    note.textContent = `Tasso di approvazione: ${rate}%`;
+    block.appendChild(note);
+    return block;
+}
+
+function renderTable(container, headings, rows, onRowClick = []) {
+    container.innerHTML = '';
+    if (rows.length === 0) {
+        container.textContent = 'Nessun dato nel periodo';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'analytics-table';
+    const head = table.createTHead().insertRow();
+    headings.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach((cells, i) => {
+        const row = body.insertRow();
+        cells.forEach(value => {
+            row.insertCell().textContent = typeof value === 'number' ? value.toLocaleString() : value;
+        });
+        if (onRowClick[i]) {
+            row.classList.add('clickable');
+            row.addEventListener('click', onRowClick[i]);
+        }
+    });
+    container.appendChild(table);
+}
+
+// ===== STUDIO =====
+
+const SOURCE_LABELS = { feed: 'Feed', network: 'Pagine delle reti', share: 'Link condivisi', other: 'Altro' };
+
+function sourceRows(sources) {
+    return Object.entries(SOURCE_LABELS).map(([source, label]) => [label, sources[source]]);
+}
+
+async function openStudio() {
+    document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+    document.getElementById('feed').classList.add('hidden');
+    document.getElementById('player-panel').classList.add('hidden');
+    document.getElementById('studio-page').classList.remove('hidden');
+    document.getElementById('studio-detail').classList.add('hidden');
+
+    await loadStudio();
+}
+
+async function loadStudio() {
+    const days = document.getElementById('studio-range').value;
+    try {
+        analyticsState.studio = await api(`/api/studio/videos?days=${days}`);
+    } catch (e) {
+        return showToast(e.message);
+    }
+    renderStudio();
+    if (analyticsState.studioVideo) await openStudioVideo(analyticsState.studioVideo.video.id);
+}
+
+function renderStudio() {
+    const { totals, videos } = analyticsState.studio;
+
+    statCards(document.getElementById('studio-totals'), [
+        ['Visualizzazioni', totals.views],
+        ['Spettatori', totals.viewers],
+        ['Tempo di visione medio', formatDuration(totals.avgWatchSeconds)],
+        ['Commenti', totals.comments]
+    ]);
+
+    const sources = document.getElementById('studio-sources');
+    sources.innerHTML = '';
+    sources.appendChild(chartCard('Sorgenti di traffico', horizontalBars(sourceRows(totals.sources), totals.views)));
+
+    renderTable(document.getElementById('studio-videos'),
+        ['Video', 'Visualizzazioni', 'Spettatori', 'Tempo medio', 'Commenti', 'Totale visualizzazioni'],
+        videos.map(v => [v.title, v.views, v.viewers, formatDuration(v.avgWatchSeconds), v.comments, v.lifetimeViews]),
+        videos.map(v => () => openStudioVideo(v.id)));
+}
+
+async function openStudioVideo(id) {
+    const days = document.getElementById('studio-range').value;
+    try {
+        analyticsState.studioVideo = await api(`/api/studio/videos/${id}?days=${days}`);
+    } catch (e) {
+        analyticsState.studioVideo = null;
+        return showToast(e.message);
+    }
+    renderStudioVideo();
+}
+
+function renderStudioVideo() {
+    const { video, totals, daily, retention } = analyticsState.studioVideo;
+    const detail = document.getElementById('studio-detail');
+    detail.classList.remove('hidden');
+
+    document.getElementById('studio-video-title').textContent = video.title;
+    statCards(document.getElementById('studio-video-totals'), [
+        ['Visualizzazioni', totals.views],
+        ['Spettatori unici', totals.uniqueViewers],
+        ['Tempo di visione medio', formatDuration(totals.avgWatchSeconds)],
+        ['Commenti', totals.comments]
+    ]);
+
+    const charts = document.getElementById('studio-video-charts');
+    charts.innerHTML = '';
+    charts.appendChild(chartCard('Visualizzazioni', lineChart(series(daily, 'views'))));
+    if (retention.length > 0) {
+        const points = retention.map(r => ({ label: formatDuration(r.position), value: r.share }));
+        charts.appendChild(chartCard('Fidelizzazione del pubblico', lineChart(points, {
+            max: 1,
+            format: share => `${Math.round(share * 100)}%`
+        })));
+    } else {
+        const empty = document.createElement('p');
+        empty.className = 'hbars-note';
+        empty.textContent = 'Fidelizzazione non ancora disponibile per questo video';
+        charts.appendChild(chartCard('Fidelizzazione del pubblico', empty));
+    }
+    charts.appendChild(chartCard('Sorgenti di traffico', horizontalBars(sourceRows(totals.sources), totals.views)));
+    charts.appendChild(chartCard('Commenti', barChart(series(daily, 'comments'))));
+
+    detail.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ===== INITIALIZATION =====
+
+function initAnalytics() {
+    document.getElementById('analytics-range')?.addEventListener('change', loadNetworkAnalytics);
+    document.getElementById('btn-studio')?.addEventListener('click', () => {
+        analyticsState.studioVideo = null;
+        openStudio();
+    });
+    document.getElementById('studio-range')?.addEventListener('change', loadStudio);
+    document.getElementById('btn-export-studio')?.addEventListener('click', () => {
+        window.location.href = `/api/studio/export.csv?days=${document.getElementById('studio-range').value}`;
+    });
+    document.getElementById('btn-watch-studio-video')?.addEventListener('click', () => window.watchVideo(analyticsState.studioVideo.video.id));
+    document.getElementById('btn-back-studio')?.addEventListener('click', () => {
+        document.getElementById('studio-page').classList.add('hidden');
+        document.getElementById('feed').classList.remove('hidden');
+    });
+    document.getElementById('btn-back-analytics')?.addEventListener('click', () => {
+        document.getElementById('analytics-page').classList.add('hidden');
+        window.openNetwork(analyticsState.network.id);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnalytics);
+} else {
+    initAnalytics();
+}
+
+window.openNetworkAnalytics = openNetworkAnalytics;
@@ -1,8 +1,20 @@
 const state = {
     user: null,
     videos: [],
+    searchExtras: [], // creator and network hits of the current search
+    search: null,
+    feed: { endpoint: '/api/videos', filters: {}, label: '', nextCursor: null, done: false, loading: false },
     currentVideo: null,
-    comments: []
+    comments: [], // top-level comments of the open video
+    commentSort: 'new',
+    commentsPage: 1,
+    commentsHasMore: false,
+    replies: {}, // parent comment id -> { items, page, hasMore, open }
+    notes: [],
+    myNetworks: null, // loaded on first use, for note sharing
+    subscriptions: null, // { creators, networks } the user follows, loaded after login
+    notifications: { items: [], page: 1, hasMore: false, unreadCount: 0 },
+    reportTarget: null // { targetType, targetId } while the report modal is open
 };
 
 // Expose state globally for networks.js
@@ -15,7 +27,9 @@ const els = {
     videoTitle: document.getElementById('video-title'),
     videoDesc: document.getElementById('video-desc'),
     videoUploader: document.getElementById('video-uploader'),
+    btnSubscribe: document.getElementById('btn-subscribe'),
     videoDate: document.getElementById('video-date'),
+    videoViews: document.getElementById('video-views'),
     authForms: document.getElementById('auth-forms'),
     userInfo: document.getElementById('user-info'),
     userName: document.getElementById('user-name'),
@@ -24,19 +38,58 @@ const els = {
     btnLogin: document.getElementById('btn-login'),
     btnSignup: document.getElementById('btn-signup'),
     btnLogout: document.getElementById('btn-logout'),
+    btnForgot: document.getElementById('btn-forgot'),
+    btnFollowing: document.getElementById('btn-following'),
+    btnBell: document.getElementById('btn-bell'),
+    bellCount: document.getElementById('bell-count'),
+    notifMenu: document.getElementById('notif-menu'),
+    notifList: document.getElementById('notif-list'),
+    btnReadAll: document.getElementById('btn-read-all'),
+    btnMoreNotifs: document.getElementById('btn-more-notifs'),
+    btnModeration: document.getElementById('btn-moderation'),
+    moderationPage: document.getElementById('moderation-page'),
+    moderationQueue: document.getElementById('moderation-queue'),
+    moderationAudit: document.getElementById('moderation-audit'),
+    btnBackFeed: document.getElementById('btn-back-feed'),
+    reportModal: document.getElementById('report-modal'),
+    reportForm: document.getElementById('report-form'),
+    btnCloseReportModal: document.getElementById('btn-close-report-modal'),
+    btnReportVideo: document.getElementById('btn-report-video'),
+    ownerControls: document.getElementById('owner-controls'),
+    btnEditVideo: document.getElementById('btn-edit-video'),
+    btnDeleteVideo: document.getElementById('btn-delete-video'),
+    editVideoModal: document.getElementById('edit-video-modal'),
+    editVideoForm: document.getElementById('edit-video-form'),
+    btnCloseEditModal: document.getElementById('btn-close-edit-modal'),
+    btnDevices: document.getElementById('btn-devices'),
+    devicesModal: document.getElementById('devices-modal'),
+    btnCloseDevicesModal: document.getElementById('btn-close-devices-modal'),
+    sessionsList: document.getElementById('sessions-list'),
+    btnRevokeOthers: document.getElementById('btn-revoke-others'),
+    passwordForm: document.getElementById('password-form'),
+    verifyBanner: document.getElementById('verify-banner'),
+    btnResendVerify: document.getElementById('btn-resend-verify'),
     uploadModal: document.getElementById('upload-modal'),
     btnUpload: document.getElementById('btn-upload'),
     btnCloseModal: document.getElementById('btn-close-modal'),
     uploadForm: document.getElementById('upload-form'),
+    uploadProgress: document.getElementById('upload-progress'),
+    uploadProgressBar: document.querySelector('#upload-progress .progress-bar'),
+    uploadProgressLabel: document.querySelector('#upload-progress .progress-label'),
     commentsList: document.getElementById('comments-list'),
+    btnMoreComments: document.getElementById('btn-more-comments'),
+    sortButtons: document.querySelectorAll('.sort-btn'),
     notesList: document.getElementById('notes-list'),
     commentText: document.getElementById('comment-text'),
     noteText: document.getElementById('note-text'),
     btnComment: document.getElementById('btn-comment'),
     btnNote: document.getElementById('btn-note'),
-    tabs: document.querySelectorAll('.tab'),
+    btnExportNotes: document.getElementById('btn-export-notes'),
+    noteShare: document.getElementById('note-share'),
+    tabs: document.querySelectorAll('#player-panel .tab'),
     tabNotes: document.getElementById('tab-notes'),
     tabComments: document.getElementById('tab-comments'),
+    scrubPreview: document.getElementById('scrub-preview'),
     toast: document.getElementById('toast'),
     searchInput: document.getElementById('search-input'),
     btnSearch: document.getElementById('btn-search')
@@ -70,6 +123,10 @@ async function fetchMe() {
     const data = await res.json();
     state.user = data.user;
     updateAuthUI();
+    if (state.user) {
+        await loadSubscriptions();
+        connectEvents();
+    }
 }
 
 function updateAuthUI() {
@@ -77,127 +134,1276 @@ function updateAuthUI() {
         els.authForms.classList.add('hidden');
         els.userInfo.classList.remove('hidden');
         els.userName.textContent = state.user.displayName || state.user.email;
+        els.verifyBanner.classList.toggle('hidden', state.user.emailVerified);
+        els.btnModeration.classList.toggle('hidden', !isStaff());
     } else {
         els.authForms.classList.remove('hidden');
         els.userInfo.classList.add('hidden');
+        els.verifyBanner.classList.add('hidden');
+        els.btnModeration.classList.add('hidden');
+    }
+}
+
+function isStaff() {
+    return !!state.user && (state.user.role === 'moderator' || state.user.role === 'admin');
+}
+
+const FEED_PAGE_SIZE = 20;
+
+// Infinite scroll: the sentinel sits after the last card and loads the next page when visible
+const feedSentinel = document.createElement('div');
+feedSentinel.className = 'feed-sentinel';
+new IntersectionObserver(entries => {
+    if (entries.some(e => e.isIntersecting)) loadMoreVideos();
+}, { rootMargin: '400px' }).observe(feedSentinel);
+
+async function loadVideos(query = '') {
+    if (query.trim()) return searchAll(query.trim());
+
+    state.videos = [];
+    state.searchExtras = [];
+    state.search = null;
+    Object.assign(state.feed, { nextCursor: null, done: false });
+    renderFeed();
+    await loadMoreVideos();
+}
+
+async function loadMoreVideos() {
+    const feed = state.feed;
+    if (feed.loading || feed.done || state.search) return;
+    feed.loading = true;
+
+    try {
+        const params = new URLSearchParams({ limit: FEED_PAGE_SIZE, ...feed.filters });
+        if (feed.nextCursor) params.set('cursor', feed.nextCursor);
+        const data = await api(`${feed.endpoint}?${params}`);
+
+        state.videos = state.videos.concat(data.videos);
+        feed.nextCursor = data.nextCursor;
+        feed.done = !data.nextCursor;
+        data.videos.forEach(video => els.feed.insertBefore(createVideoCard(video), feedSentinel));
+
+        if (feed.done && state.videos.length === 0) {
+            els.feed.insertBefore(createEmptyState('Nessun video qui, per ora'), feedSentinel);
+        }
+    } catch (e) {
+        showToast(e.message);
+        feed.done = true;
+    } finally {
+        feed.loading = false;
+    }
+
+    // A short page can leave the sentinel on screen without a new intersection event
+    if (!feed.done && feedSentinel.getBoundingClientRect().top < window.innerHeight) {
+        await loadMoreVideos();
+    }
+}
+
+function filterFeed(filters, label, endpoint = '/api/videos') {
+    state.feed.endpoint = endpoint;
+    state.feed.filters = filters;
+    state.feed.label = label;
+    els.searchInput.value = '';
+    return loadVideos();
+}
+
+async function searchAll(query, page = 1) {
+    try {
+        const params = new URLSearchParams({ q: query, page });
+        const data = await api(`/api/search?${params}`);
+        const videos = data.results.filter(r => r.type === 'video').map(r => r.item);
+        const extras = data.results.filter(r => r.type !== 'video');
+
+        state.videos = page === 1 ? videos : state.videos.concat(videos);
+        state.searchExtras = page === 1 ? extras : state.searchExtras.concat(extras);
+        state.search = { query, page, hasMore: data.hasMore };
+        renderFeed();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function renderSearchExtra(result) {
+    const card = document.createElement('div');
+    card.className = 'card result-card';
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+
+    if (result.type === 'network') {
+        const network = result.item;
+        appendText(card, 'div', 'result-type', '🌐 Network');
+        appendText(card, 'div', 'card-title', network.name);
+        appendText(card, 'p', 'result-desc', network.description || '');
+        appendText(meta, 'span', '', `${network._count.memberships} membri`);
+        appendText(meta, 'span', '', network.themes.map(t => window.themeName(t)).join(', '));
+        card.addEventListener('click', () => {
+            els.feed.classList.add('hidden');
+            els.playerPanel.classList.add('hidden');
+            if (typeof openNetwork === 'function') openNetwork(network.id);
+        });
+    } else {
+        const user = result.item;
+        appendText(card, 'div', 'result-type', '👤 Creator');
+        appendText(card, 'div', 'card-title', user.displayName || 'Creator');
+        appendText(card, 'p', 'result-desc', user.bio || '');
+        appendText(meta, 'span', '', `${user._count.videos} video`);
+        card.addEventListener('click', () => filterFeed({ uploaderId: user.id }, `Video di ${user.displayName || 'Creator'}`));
+    }
+
+    card.appendChild(meta);
+    return card;
+}
+
+function formatViews(views = 0) {
+    return `${views.toLocaleString()} ${views === 1 ? 'visualizzazione' : 'visualizzazioni'}`;
+}
+
+// Append a new element holding plain text (never parsed as HTML) to parent
+function appendText(parent, tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text;
+    parent.appendChild(el);
+    return el;
+}
+
+function createEmptyState(text) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = text;
+    return empty;
+}
+
+// source: where the card is shown, recorded with the view ("feed", "network" or "other")
+function createVideoCard(video, source = 'feed') {
+    const card = document.createElement('div');
+    card.className = 'card';
+
+    const thumb = appendText(card, 'div', 'card-thumb', video.thumbnailUrl ? '' : 'PLAY');
+    if (video.thumbnailUrl) {
+        const img = document.createElement('img');
+        img.src = video.thumbnailUrl;
+        img.alt = '';
+        img.loading = 'lazy';
+        thumb.appendChild(img);
+    }
+    appendText(card, 'div', 'card-title', video.title);
+    const meta = appendText(card, 'div', 'card-meta', '');
+    appendText(meta, 'span', '', video.uploaderName || 'Creator');
+    if (video.fromNetwork) appendText(meta, 'span', 'network-badge', '🌐 Network');
+    appendText(meta, 'span', '', formatViews(video.views));
+    appendText(meta, 'span', '', new Date(video.createdAt).toLocaleDateString());
+
+    card.addEventListener('click', () => watchVideo(video.id, source));
+    return card;
+}
+
+// Open a video from any page (network channels, notifications): back to the feed layout first
+async function watchVideo(id, source = 'other') {
+    document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+    els.feed.classList.remove('hidden');
+    await openVideo(id, true, source);
+}
+
+function renderFeed() {
+    els.feed.innerHTML = '';
+
+    if (state.feed.label && !state.search) {
+        const header = document.createElement('div');
+        header.className = 'feed-filter';
+        appendText(header, 'span', '', state.feed.label);
+        const clear = document.createElement('button');
+        clear.className = 'btn ghost';
+        clear.textContent = 'Mostra tutti';
+        clear.addEventListener('click', () => filterFeed({}, ''));
+        header.appendChild(clear);
+        els.feed.appendChild(header);
+    }
+
+    state.searchExtras.forEach(result => els.feed.appendChild(renderSearchExtra(result)));
+
+    if (state.search && state.videos.length === 0 && state.searchExtras.length === 0) {
+        els.feed.appendChild(createEmptyState(`Nessun risultato per “${state.search.query}”`));
+        return;
+    }
+
+    state.videos.forEach(video => els.feed.appendChild(createVideoCard(video, state.search ? 'other' : 'feed')));
+
+    if (!state.search) {
+        els.feed.appendChild(feedSentinel);
+    } else if (state.search.hasMore) {
+        const more = document.createElement('button');
+        more.className = 'btn ghost full';
+        more.textContent = 'Altri risultati';
+        more.addEventListener('click', () => searchAll(state.search.query, state.search.page + 1));
+        els.feed.appendChild(more);
+    }
+}
+
+// Handle back button
+window.addEventListener('popstate', (event) => {
+    if (event.state && event.state.videoId) {
+        openVideo(event.state.videoId, false);
+    } else {
+        els.playerPanel.classList.add('hidden');
+        state.currentVideo = null;
+        connectEvents();
+    }
+});
+
+// Share button listener
+document.getElementById('btn-share').addEventListener('click', shareVideo);
+
+
+async function openVideo(id, pushState = true, source = 'other') {
+    let video = state.videos.find(v => v.id === id);
+    if (!video) {
+        // Not on the loaded feed pages (e.g. shared link): fetch it directly
+        try {
+            video = await api(`/api/videos/${id}`);
+        } catch (e) {
+            return showToast(e.message);
+        }
+    }
+    state.currentVideo = video;
+
+    if (pushState) {
+        const newUrl = `${window.location.pathname}?v=${id}`;
+        window.history.pushState({ videoId: id }, '', newUrl);
+    }
+
+    els.playerPanel.classList.remove('hidden');
+    els.videoPlayer.poster = video.thumbnailUrl || '';
+    startPlayback(video, source); // before the stream changes, to flush the previous video
+    attachStream(video);
+    loadScrubPreview(video);
+    els.videoTitle.textContent = video.title;
+    els.videoDesc.textContent = video.description || '—';
+    els.videoUploader.textContent = video.uploaderName || 'Creatore';
+    els.videoDate.textContent = new Date(video.createdAt).toLocaleString();
+    els.videoViews.textContent = formatViews(video.views);
+    els.ownerControls.classList.toggle('hidden', !state.user || state.user.id !== video.uploaderId);
+    renderSubscribeButton(video);
+    connectEvents();
+    viewRegistered = false;
+
+    // Scroll to player
+    els.playerPanel.scrollIntoView({ behavior: 'smooth' });
+
+    await Promise.all([loadComments(id), loadNotes(id)]);
+}
+
+// ===== SUBSCRIPTIONS =====
+
+async function loadSubscriptions() {
+    try {
+        state.subscriptions = await api('/api/me/subscriptions');
+    } catch (e) {
+        state.subscriptions = null;
+    }
+}
+
+function isSubscribed(type, id) {
+    const list = type === 'creator' ? state.subscriptions?.creators : state.subscriptions?.networks;
+    return !!list && list.some(item => item.id === id);
+}
+
+// Follow or unfollow a creator ('creator') or a network ('network'); resolves to { subscribed, subscriberCount }
+async function toggleSubscription(type, id) {
+    const path = type === 'creator' ? `/api/users/${id}/subscribe` : `/api/networks/${id}/subscribe`;
+    const res = await api(path, { method: isSubscribed(type, id) ? 'DELETE' : 'POST' });
+
+    const key = type === 'creator' ? 'creators' : 'networks';
+    const list = state.subscriptions[key].filter(item => item.id !== id);
+    state.subscriptions[key] = res.subscribed ? [{ id }, ...list] : list;
+    return res;
+}
+
+function setSubscribeLabel(button, subscribed, count) {
+    button.textContent = `${subscribed ? 'Iscritto ✓' : 'Iscriviti'} · ${count}`;
+    button.classList.toggle('secondary', subscribed);
+    button.classList.toggle('primary', !subscribed);
+}
+
+// Subscribe button next to the uploader's name, with the creator's subscriber count
+async function renderSubscribeButton(video) {
+    const button = els.btnSubscribe;
+    button.classList.add('hidden');
+    if (!state.user || !state.subscriptions || state.user.id === video.uploaderId) return;
+
+    try {
+        const profile = await api(`/api/users/${video.uploaderId}/profile`);
+        if (state.currentVideo !== video) return;
+        setSubscribeLabel(button, isSubscribed('creator', video.uploaderId), profile._count.subscribers);
+        button.classList.remove('hidden');
+    } catch (e) {
+        console.error('Subscribe button error:', e);
+    }
+}
+
+async function handleSubscribeCreator() {
+    const video = state.currentVideo;
+    if (!video) return;
+
+    try {
+        const res = await toggleSubscription('creator', video.uploaderId);
+        setSubscribeLabel(els.btnSubscribe, res.subscribed, res.subscriberCount);
+        showToast(res.subscribed ? `Iscritto a ${video.uploaderName || 'questo creator'}` : 'Iscrizione annullata');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function showFollowingFeed() {
+    document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+    els.feed.classList.remove('hidden');
+    return filterFeed({}, 'Dai creator e dalle reti che segui', '/api/feed/following');
+}
+
+// ===== LIVE EVENTS (SSE) =====
+
+// One stream per tab; reopened with the current video's id when another video is opened
+let eventSource = null;
+
+function connectEvents() {
+    disconnectEvents();
+    if (!state.user || !window.EventSource) return;
+
+    const params = new URLSearchParams();
+    if (state.currentVideo) params.set('videoId', state.currentVideo.id);
+    eventSource = new EventSource(`/api/events?${params}`, { withCredentials: true });
+
+    const on = (event, handler) => eventSource.addEventListener(event, e => handler(JSON.parse(e.data)));
+    on('unread', ({ unreadCount }) => setUnreadCount(unreadCount));
+    on('notification', handleLiveNotification);
+    on('comment', handleLiveComment);
+    on('comment_updated', handleLiveCommentUpdate);
+    on('comment_deleted', handleLiveCommentDelete);
+}
+
+function disconnectEvents() {
+    if (eventSource) eventSource.close();
+    eventSource = null;
+}
+
+function handleLiveNotification(notification) {
+    if (!els.notifMenu.classList.contains('hidden')) loadNotifications();
+    // networks.js refreshes the network page it is showing
+    window.dispatchEvent(new CustomEvent('hw:notification', { detail: notification }));
+}
+
+// Comment events carry ids only; our own changes are already on screen
+function isForeignCommentEvent(event) {
+    return !!state.currentVideo && event.actorId !== state.user?.id;
+}
+
+function findLoadedComment(id, parentId) {
+    if (!parentId) return state.comments.find(c => c.id === id);
+    return state.replies[parentId]?.items.find(r => r.id === id);
+}
+
+async function handleLiveComment(event) {
+    if (!isForeignCommentEvent(event) || findLoadedComment(event.id, event.parentId)) return;
+
+    try {
+        if (!event.parentId) {
+            // Under "top" a new comment (no likes yet) would land on a page not loaded yet
+            if (state.commentSort !== 'new') return;
+            const comment = await api(`/api/comments/${event.id}`);
+            if (findLoadedComment(comment.id)) return;
+            state.comments.unshift(comment);
+        } else {
+            const parent = findParent({ parentId: event.parentId });
+            if (!parent) return;
+            parent.replyCount++;
+            const thread = state.replies[parent.id];
+            if (thread?.open && !thread.hasMore) thread.items.push(await api(`/api/comments/${event.id}`));
+        }
+        renderComments();
+    } catch (e) {
+        console.error('Live comment error:', e);
+    }
+}
+
+async function handleLiveCommentUpdate(event) {
+    if (!isForeignCommentEvent(event)) return;
+    const loaded = findLoadedComment(event.id, event.parentId);
+    if (!loaded) return;
+
+    try {
+        const comment = await api(`/api/comments/${event.id}`);
+        Object.assign(loaded, { text: comment.text, editedAt: comment.editedAt });
+        renderComments();
+    } catch (e) {
+        console.error('Live comment error:', e);
+    }
+}
+
+function handleLiveCommentDelete(event) {
+    if (!isForeignCommentEvent(event)) return;
+
+    if (event.parentId) {
+        const thread = state.replies[event.parentId];
+        if (thread) thread.items = thread.items.filter(r => r.id !== event.id);
+        const parent = findParent({ parentId: event.parentId });
+        if (parent) parent.replyCount = Math.max(0, parent.replyCount - 1);
+    } else {
+        state.comments = state.comments.filter(c => c.id !== event.id);
+        delete state.replies[event.id];
+    }
+    renderComments();
+}
+
+// ===== NOTIFICATIONS =====
+
+function setUnreadCount(count) {
+    state.notifications.unreadCount = count;
+    els.bellCount.textContent = count > 99 ? '99+' : String(count);
+    els.bellCount.classList.toggle('hidden', count === 0);
+}
+
+async function toggleNotificationMenu() {
+    const open = els.notifMenu.classList.toggle('hidden') === false;
+    if (open) await loadNotifications();
+}
+
+async function loadNotifications(page = 1) {
+    try {
+        const data = await api(`/api/notifications?page=${page}`);
+        const notifications = state.notifications;
+        notifications.items = page === 1 ? data.notifications : notifications.items.concat(data.notifications);
+        notifications.page = data.page;
+        notifications.hasMore = data.hasMore;
+        setUnreadCount(data.unreadCount);
+        renderNotifications();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+const ROLE_NAMES = { owner: 'Proprietario', admin: 'Amministratore', editor: 'Editor', member: 'Membro' };
+
+// Text of a notification; labels come from the data stored when it was created
+function notificationText(n) {
+    const actor = n.actorName || 'Qualcuno';
+    const d = n.data;
+    switch (n.type) {
+        case 'network_invite': return `${actor} ti ha invitato nella rete ${d.networkName}`;
+        case 'invitation_accepted': return `${actor} ha accettato l'invito nella rete ${d.networkName}`;
+        case 'network_application': return `${actor} ha inviato una candidatura a ${d.networkName}`;
+        case 'application_approved': return `La tua candidatura a ${d.networkName} è stata accettata`;
+        case 'application_rejected': return `La tua candidatura a ${d.networkName} non è stata accettata${d.reason ? `: ${d.reason}` : ''}`;
+        case 'network_role_changed': return `Il tuo ruolo in ${d.networkName} ora è ${ROLE_NAMES[d.role] || d.role}`;
+        case 'ownership_offer': return `${actor} ti ha offerto la proprietà di ${d.networkName}`;
+        case 'ownership_accepted': return `${actor} ha accettato la proprietà di ${d.networkName}`;
+        case 'ownership_declined': return `${actor} ha rifiutato la proprietà di ${d.networkName}`;
+        case 'video_comment': return `${actor} ha commentato “${d.videoTitle}”`;
+        case 'comment_reply': return `${actor} ha risposto al tuo commento su “${d.videoTitle}”`;
+        case 'new_upload': return `${actor} ha caricato “${d.videoTitle}”`;
+        default: return 'Nuova attività';
+    }
+}
+
+function renderNotifications() {
+    const list = els.notifList;
+    list.innerHTML = '';
+    if (state.notifications.items.length === 0) list.appendChild(createEmptyState('Nessuna notifica'));
+
+    state.notifications.items.forEach(n => {
+        const item = document.createElement('div');
+        item.className = n.readAt ? 'notif-item' : 'notif-item unread';
+
+        const text = document.createElement('div');
+        text.textContent = notificationText(n);
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.textContent = new Date(n.createdAt).toLocaleString();
+        item.append(text, meta);
+
+        if (n.type === 'network_invite' && !n.readAt) item.appendChild(createInviteActions(n));
+        item.addEventListener('click', () => openNotification(n));
+        list.appendChild(item);
+    });
+
+    els.btnMoreNotifs.classList.toggle('hidden', !state.notifications.hasMore);
+}
+
+// Accept/decline right from the menu while the notification is unread
+function createInviteActions(n) {
+    const actions = document.createElement('div');
+    actions.className = 'notif-actions';
+    [['accept', 'Accetta'], ['reject', 'Rifiuta']].forEach(([action, label]) => {
+        const btn = document.createElement('button');
+        btn.className = action === 'accept' ? 'btn primary small' : 'btn ghost small';
+        btn.textContent = label;
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            try {
+                await api(`/api/invitations/${n.data.invitationId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ action })
+                });
+                showToast(action === 'accept' ? `Benvenuto in ${n.data.networkName}!` : 'Invito rifiutato');
+                await markNotificationRead(n);
+            } catch (err) {
+                showToast(err.message);
+            }
+        });
+        actions.appendChild(btn);
+    });
+    return actions;
+}
+
+async function markNotificationRead(n) {
+    if (n.readAt) return;
+    try {
+        const { unreadCount } = await api(`/api/notifications/${n.id}/read`, { method: 'POST' });
+        n.readAt = new Date().toISOString();
+        setUnreadCount(unreadCount);
+        renderNotifications();
+    } catch (e) {
+        console.error('Notification read error:', e);
+    }
+}
+
+async function openNotification(n) {
+    await markNotificationRead(n);
+    els.notifMenu.classList.add('hidden');
+
+    if (n.data.videoId) {
+        await watchVideo(n.data.videoId);
+    } else if (n.data.networkId && typeof openNetwork === 'function') {
+        document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+        els.feed.classList.add('hidden');
+        els.playerPanel.classList.add('hidden');
+        await openNetwork(n.data.networkId);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await api('/api/notifications/read-all', { method: 'POST' });
+        const now = new Date().toISOString();
+        state.notifications.items.forEach(n => { n.readAt = n.readAt || now; });
+        setUnreadCount(0);
+        renderNotifications();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// Expose for networks.js
+window.api = api;
+window.showToast = showToast;
+window.isSubscribed = isSubscribed;
+window.toggleSubscription = toggleSubscription;
+window.setSubscribeLabel = setSubscribeLabel;
+window.createVideoCard = createVideoCard;
+window.watchVideo = watchVideo;
+
+// HLS once transcoded (native or via hls.js), original upload otherwise
+let hlsPlayer = null;
+
+function attachStream(video) {
+    if (hlsPlayer) {
+        hlsPlayer.destroy();
+        hlsPlayer = null;
+    }
+
+    if (video.processingStatus === 'ready') {
+        if (els.videoPlayer.canPlayType('application/vnd.apple.mpegurl')) {
+            els.videoPlayer.src = `/api/videos/${video.id}/stream`;
+            return;
+        }
+        if (window.Hls && window.Hls.isSupported()) {
+            hlsPlayer = new window.Hls({ enableWorker: false });
+            hlsPlayer.loadSource(`/api/videos/${video.id}/hls/master.m3u8`);
+            hlsPlayer.attachMedia(els.videoPlayer);
+            return;
+        }
+    }
+
+    els.videoPlayer.src = `/api/videos/${video.id}/stream?format=original`;
+}
+
+// A view counts once playback has actually run for a few seconds
+const VIEW_THRESHOLD_SECONDS = 3;
+let viewRegistered = false;
+
+async function registerView() {
+    const video = state.currentVideo;
+    if (viewRegistered || !video || els.videoPlayer.currentTime < VIEW_THRESHOLD_SECONDS) return;
+    viewRegistered = true;
+
+    try {
+        const res = await api(`/api/videos/${video.id}/views`, {
+            method: 'POST',
+            body: JSON.stringify({ source: playback?.source })
+        });
+        if (res.counted) {
+            video.views = (video.views || 0) + 1;
+            els.videoViews.textContent = formatViews(video.views);
+        }
+    } catch (e) {
+        console.error('View error:', e);
+    }
+}
+
+// Playback heartbeats: while the video plays, and around pauses and seeks, report
+// the position so the server can add up watch time and retention (server_views.js)
+const HEARTBEAT_INTERVAL_MS = 15000;
+let playback = null; // { videoId, sessionId, source, started, position } of the video on screen
+let heartbeatTimer = null;
+
+function startPlayback(video, source) {
+    if (playback?.started && !els.videoPlayer.paused) sendHeartbeat(playback.position);
+    stopHeartbeats();
+    playback = { videoId: video.id, sessionId: crypto.randomUUID(), source, started: false, position: 0 };
+}
+
+function sendHeartbeat(position) {
+    if (!playback?.started) return;
+    const { videoId, sessionId, source } = playback;
+    fetch(`/api/videos/${videoId}/heartbeat`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, source, position }),
+        keepalive: true // still delivered when the page is closing
+    }).catch(() => { /* best effort */ });
+}
+
+function stopHeartbeats() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
+
+function setupHeartbeats() {
+    const player = els.videoPlayer;
+    player.addEventListener('playing', () => {
+        if (!playback) return;
+        playback.started = true;
+        sendHeartbeat(player.currentTime);
+        if (!heartbeatTimer) heartbeatTimer = setInterval(() => sendHeartbeat(player.currentTime), HEARTBEAT_INTERVAL_MS);
+    });
+    player.addEventListener('timeupdate', () => {
+        if (playback && !player.seeking) playback.position = player.currentTime;
+    });
+    // Report up to where it played before the jump, then the new starting point
+    player.addEventListener('seeking', () => playback && sendHeartbeat(playback.position));
+    player.addEventListener('seeked', () => sendHeartbeat(player.currentTime));
+    ['pause', 'ended'].forEach(type => player.addEventListener(type, () => {
+        stopHeartbeats();
+        sendHeartbeat(player.currentTime);
+    }));
+    window.addEventListener('pagehide', () => {
+        if (!player.paused) sendHeartbeat(player.currentTime);
+    });
+}
+
+// Scrubbing preview: sprite tiles from the WebVTT index, shown while hovering the seek bar area
+let scrubCues = [];
+
+async function loadScrubPreview(video) {
+    scrubCues = [];
+    els.scrubPreview.classList.add('hidden');
+    if (!video.spriteVttUrl) return;
+
+    try {
+        const vtt = await fetch(video.spriteVttUrl, { credentials: 'include' }).then(r => r.text());
+        scrubCues = parseSpriteVtt(vtt);
+    } catch (e) {
+        console.error('Sprite index error:', e);
+    }
+}
+
+function parseSpriteVtt(vtt) {
+    const toSeconds = t => t.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+    const cues = [];
+    const blocks = vtt.split(/\n\n+/);
+    blocks.forEach(block => {
+        const [timing, target] = block.trim().split('\n');
+        if (!timing || !timing.includes('-->') || !target) return;
+        const [start, end] = timing.split('-->').map(t => toSeconds(t.trim()));
+        const [url, hash] = target.split('#xywh=');
+        const [x, y, w, h] = hash.split(',').map(Number);
+        cues.push({ start, end, url, x, y, w, h });
+    });
+    return cues;
+}
+
+function updateScrubPreview(e) {
+    const player = els.videoPlayer;
+    const rect = player.getBoundingClientRect();
+    const nearControls = e.clientY > rect.bottom - 48;
+    if (scrubCues.length === 0 || !player.duration || !nearControls) {
+        els.scrubPreview.classList.add('hidden');
+        return;
+    }
+
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const time = ratio * player.duration;
+    const cue = scrubCues.find(c => time >= c.start && time < c.end) || scrubCues[scrubCues.length - 1];
+
+    const preview = els.scrubPreview;
+    preview.style.width = `${cue.w}px`;
+    preview.style.height = `${cue.h}px`;
+    preview.style.backgroundImage = `url("${cue.url}")`;
+    preview.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    preview.style.left = `${Math.min(Math.max(e.clientX - rect.left - cue.w / 2, 0), rect.width - cue.w)}px`;
+    preview.style.top = `${rect.height - 48 - cue.h - 8}px`;
+    preview.classList.remove('hidden');
+}
+
+async function shareVideo() {
+    if (!state.currentVideo) return;
+    const url = `${window.location.origin}${window.location.pathname}?v=${state.currentVideo.id}&ref=share`;
+
+    const shareData = {
+        title: state.currentVideo.title,
+        text: `Guarda questo video su Hello World! Tube: ${state.currentVideo.title}`,
+        url
+    };
+
+    try {
+        if (navigator.share) {
+            await navigator.share(shareData);
+        } else {
+            await navigator.clipboard.writeText(url);
+            showToast('Link copiato negli appunti! 📋');
+        }
+    } catch (err) {
+        console.error('Error sharing:', err);
+    }
+}
+
+async function loadComments(videoId, page = 1) {
+    try {
+        const data = await api(`/api/videos/${videoId}/comments?sort=${state.commentSort}&page=${page}`);
+        state.comments = page === 1 ? data.comments : [...state.comments, ...data.comments];
+        state.commentsPage = data.page;
+        state.commentsHasMore = data.hasMore;
+        if (page === 1) state.replies = {};
+    } catch (e) {
+        showToast(e.message);
+    }
+    renderComments();
+}
+
+function renderComments() {
+    const list = els.commentsList;
+    list.innerHTML = '';
+    if (state.comments.length === 0) list.appendChild(createEmptyState('Nessuna domanda: inizia tu'));
+    state.comments.forEach(c => list.appendChild(createCommentEntry(c)));
+    els.btnMoreComments.classList.toggle('hidden', !state.commentsHasMore);
+}
+
+function createCommentEntry(c) {
+    const isReply = !!c.parentId;
+    const mine = !!state.user && c.userId === state.user.id;
+    const canDelete = mine || (!!state.user && (state.currentVideo?.uploaderId === state.user.id || isStaff()));
+
+    const entry = document.createElement('div');
+    entry.className = isReply ? 'comment reply' : 'comment';
+
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = `${c.userName || 'Utente'} · ${new Date(c.createdAt).toLocaleString()}${c.editedAt ? ' · modificato' : ''}`;
+    const text = document.createElement('div');
+    text.className = 'comment-text';
+    text.textContent = c.text;
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-actions';
+    const addAction = (label, handler, className = 'link-btn') => {
+        const btn = document.createElement('button');
+        btn.className = className;
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+    };
+    addAction(`♥ ${c.likeCount}`, () => toggleCommentLike(c), c.likedByMe ? 'link-btn liked' : 'link-btn');
+    if (state.user) addAction('Rispondi', () => replyToComment(c));
+    if (mine) addAction('Modifica', () => editComment(c));
+    if (canDelete) addAction('Elimina', () => deleteComment(c));
+    if (state.user && !mine) addAction('⚑ Segnala', () => openReport('comment', c.id));
+
+    entry.append(meta, text, actions);
+    if (!isReply) entry.appendChild(createRepliesBlock(c));
+    return entry;
+}
+
+// Replies are fetched only when the thread is opened, one page at a time
+function createRepliesBlock(c) {
+    const block = document.createElement('div');
+    const thread = state.replies[c.id];
+    const toggle = document.createElement('button');
+    toggle.className = 'link-btn';
+
+    if (thread?.open) {
+        block.className = 'replies';
+        thread.items.forEach(reply => block.appendChild(createCommentEntry(reply)));
+        if (thread.hasMore) {
+            const more = document.createElement('button');
+            more.className = 'link-btn';
+            more.textContent = 'Altre risposte';
+            more.addEventListener('click', () => loadReplies(c, thread.page + 1));
+            block.appendChild(more);
+        }
+        toggle.textContent = 'Nascondi risposte';
+        toggle.addEventListener('click', () => {
+            thread.open = false;
+            renderComments();
+        });
+        block.appendChild(toggle);
+    } else if (c.replyCount > 0) {
+        toggle.textContent = c.replyCount === 1 ? 'Mostra 1 risposta' : `Mostra ${c.replyCount} risposte`;
+        toggle.addEventListener('click', () => loadReplies(c, 1));
+        block.appendChild(toggle);
+    }
+    return block;
+}
+
+async function loadReplies(parent, page) {
+    try {
+        const data = await api(`/api/comments/${parent.id}/replies?page=${page}`);
+        const previous = page === 1 ? [] : state.replies[parent.id].items;
+        state.replies[parent.id] = { items: [...previous, ...data.replies], page: data.page, hasMore: data.hasMore, open: true };
+        renderComments();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function findParent(comment) {
+    return state.comments.find(c => c.id === comment.parentId);
+}
+
+async function toggleCommentLike(c) {
+    if (!state.user) return showToast('Accedi per mettere mi piace');
+
+    try {
+        const res = await api(`/api/comments/${c.id}/like`, { method: c.likedByMe ? 'DELETE' : 'POST' });
+        c.likeCount = res.likeCount;
+        c.likedByMe = res.likedByMe;
+        renderComments();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function replyToComment(c) {
+    const text = prompt(`Rispondi a ${c.userName || 'Utente'}:`);
+    if (!text || text.trim().length === 0) return;
+    const parent = c.parentId ? findParent(c) : c;
+
+    try {
+        await api(`/api/videos/${state.currentVideo.id}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ text: text.trim(), parentId: c.id })
+        });
+        if (parent) {
+            parent.replyCount++;
+            await loadReplies(parent, 1);
+        }
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function editComment(c) {
+    const text = prompt('Modifica commento:', c.text);
+    if (text === null || text.trim().length === 0) return;
+
+    try {
+        const { comment } = await api(`/api/comments/${c.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ text: text.trim() })
+        });
+        Object.assign(c, { text: comment.text, editedAt: comment.editedAt });
+        renderComments();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function deleteComment(c) {
+    if (!confirm(c.parentId ? 'Eliminare questa risposta?' : 'Eliminare il commento e le sue risposte?')) return;
+
+    try {
+        await api(`/api/comments/${c.id}`, { method: 'DELETE' });
+        if (c.parentId) {
+            const thread = state.replies[c.parentId];
+            if (thread) thread.items = thread.items.filter(r => r.id !== c.id);
+            const parent = findParent(c);
+            if (parent) parent.replyCount--;
+        } else {
+            state.comments = state.comments.filter(other => other.id !== c.id);
+        }
+        renderComments();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function setCommentSort(sort) {
+    state.commentSort = sort;
+    els.sortButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.sort === sort));
+    if (state.currentVideo) loadComments(state.currentVideo.id);
+}
+
+// ===== NOTES =====
+
+function formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+async function loadNotes(videoId) {
+    state.notes = [];
+    if (state.user) {
+        try {
+            const [notes] = await Promise.all([api(`/api/videos/${videoId}/notes`), loadMyNetworks()]);
+            state.notes = notes;
+        } catch (e) {
+            console.error(e);
+        }
     }
+    renderNotes();
 }
 
-async function loadVideos(query = '') {
-    const data = await fetch('/api/videos', { credentials: 'include' }).then(r => r.json());
-    state.videos = data.filter(v => v.title.toLowerCase().includes(query.toLowerCase()) || (v.description || '').toLowerCase().includes(query.toLowerCase()));
-    renderFeed();
+async function loadMyNetworks() {
+    if (state.myNetworks) return;
+    state.myNetworks = await api('/api/me/networks');
+    renderNoteShare();
 }
 
-function renderFeed() {
-    els.feed.innerHTML = '';
-    state.videos.forEach(video => {
-        const card = document.createElement('div');
-        card.className = 'card';
-        card.innerHTML = `
-            <div class="card-thumb">PLAY</div>
-            <div class="card-title">${video.title}</div>
-            <div class="card-meta">
-                <span>${video.uploaderName || 'Creator'}</span>
-                ${video.fromNetwork ? '<span class="network-badge">🌐 Network</span>' : ''}
-                <span>${new Date(video.createdAt).toLocaleDateString()}</span>
-            </div>
-        `;
-        card.addEventListener('click', () => openVideo(video.id));
-        els.feed.appendChild(card);
+// One checkbox per network the note can be shared with
+function renderNoteShare() {
+    els.noteShare.innerHTML = '';
+    (state.myNetworks || []).forEach(network => {
+        const label = document.createElement('label');
+        label.innerHTML = `<input type="checkbox" value="${network.id}"> `;
+        label.append(`Condividi con ${network.name}`);
+        els.noteShare.appendChild(label);
     });
 }
 
-// Check for video ID in URL
-const urlParams = new URLSearchParams(window.location.search);
-const videoId = urlParams.get('v');
-if (videoId) {
-    // Wait for videos to load then open
-    const checkVideo = setInterval(() => {
-        if (state.videos.length > 0) {
-            clearInterval(checkVideo);
-            openVideo(videoId, false);
+function renderNotes() {
+    const list = els.notesList;
+    list.innerHTML = '';
+    if (!state.user) {
+        list.appendChild(createEmptyState('Accedi per prendere appunti'));
+        return;
+    }
+    if (state.notes.length === 0) {
+        list.appendChild(createEmptyState('Nessun appunto: scrivine uno mentre guardi'));
+        return;
+    }
+
+    state.notes.forEach(note => {
+        const entry = document.createElement('div');
+        entry.className = 'note';
+
+        const shared = note.networkIds.length > 0 ? ' · condiviso' : '';
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.textContent = `${note.mine ? 'Tu' : note.userName || 'Membro'}${shared}`;
+
+        const time = document.createElement('button');
+        time.className = 'note-time';
+        time.textContent = formatTime(note.timestamp);
+        time.addEventListener('click', () => seekTo(note.timestamp));
+
+        const text = document.createElement('span');
+        text.textContent = note.text;
+
+        const body = document.createElement('div');
+        body.append(time, text);
+        entry.append(meta, body);
+
+        if (note.mine) {
+            const actions = document.createElement('div');
+            actions.className = 'note-actions';
+            const edit = document.createElement('button');
+            edit.className = 'link-btn';
+            edit.textContent = 'Modifica';
+            edit.addEventListener('click', () => editNote(note));
+            const remove = document.createElement('button');
+            remove.className = 'link-btn';
+            remove.textContent = 'Elimina';
+            remove.addEventListener('click', () => deleteNote(note));
+            actions.append(edit, remove);
+            entry.appendChild(actions);
         }
-    }, 100);
+
+        list.appendChild(entry);
+    });
 }
 
-// Handle back button
-window.addEventListener('popstate', (event) => {
-    if (event.state && event.state.videoId) {
-        openVideo(event.state.videoId, false);
-    } else {
-        els.playerPanel.classList.add('hidden');
-        state.currentVideo = null;
+function seekTo(seconds) {
+    els.videoPlayer.currentTime = seconds;
+    els.videoPlayer.play().catch(() => { /* autoplay blocked: the seek still applies */ });
+}
+
+async function postNote() {
+    if (!state.user) return showToast('Accedi per prendere appunti');
+    if (!state.currentVideo) return;
+    const text = els.noteText.value.trim();
+    if (text.length === 0) return;
+
+    const networkIds = [...els.noteShare.querySelectorAll('input:checked')].map(input => input.value);
+
+    try {
+        await api(`/api/videos/${state.currentVideo.id}/notes`, {
+            method: 'POST',
+            body: JSON.stringify({ text, timestamp: els.videoPlayer.currentTime || 0, networkIds })
+        });
+        els.noteText.value = '';
+        await loadNotes(state.currentVideo.id);
+        showToast('Appunto salvato');
+    } catch (e) {
+        showToast(e.message);
     }
-});
+}
 
-// Share button listener
-document.getElementById('btn-share').addEventListener('click', shareVideo);
+async function editNote(note) {
+    const text = prompt('Modifica appunto:', note.text);
+    if (text === null || text.trim().length === 0) return;
 
+    try {
+        await api(`/api/notes/${note.id}`, { method: 'PATCH', body: JSON.stringify({ text: text.trim() }) });
+        await loadNotes(state.currentVideo.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
 
-async function openVideo(id, pushState = true) {
-    const video = state.videos.find(v => v.id === id);
-    if (!video) return;
-    state.currentVideo = video;
+async function deleteNote(note) {
+    if (!confirm('Eliminare questo appunto?')) return;
 
-    if (pushState) {
-        const newUrl = `${window.location.pathname}?v=${id}`;
-        window.history.pushState({ videoId: id }, '', newUrl);
+    try {
+        await api(`/api/notes/${note.id}`, { method: 'DELETE' });
+        await loadNotes(state.currentVideo.id);
+    } catch (e) {
+        showToast(e.message);
     }
+}
 
-    els.playerPanel.classList.remove('hidden');
-    els.videoPlayer.src = `/api/videos/${id}/stream`;
-    els.videoTitle.textContent = video.title;
-    els.videoDesc.textContent = video.description || '—';
-    els.videoUploader.textContent = video.uploaderName || 'Creatore';
-    els.videoDate.textContent = new Date(video.createdAt).toLocaleString();
+function exportNotes() {
+    if (!state.user) return showToast('Accedi per esportare gli appunti');
+    window.location.href = `/api/videos/${state.currentVideo.id}/notes/export.md`;
+}
 
-    // Scroll to player
-    els.playerPanel.scrollIntoView({ behavior: 'smooth' });
+// ===== OWNER CONTROLS =====
 
-    await loadComments(id);
+// "Tech, Recensioni" -> ['Tech', 'Recensioni'] (the server lowercases them)
+function parseTags(value) {
+    return (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
 }
 
-async function shareVideo() {
-    if (!state.currentVideo) return;
+function openEditVideo() {
+    const video = state.currentVideo;
+    els.editVideoForm.elements.title.value = video.title;
+    els.editVideoForm.elements.description.value = video.description || '';
+    els.editVideoForm.elements.tags.value = (video.tags || []).join(', ');
+    els.editVideoModal.classList.remove('hidden');
+}
 
-    const shareData = {
-        title: state.currentVideo.title,
-        text: `Guarda questo video su Hello World! Tube: ${state.currentVideo.title}`,
-        url: window.location.href
-    };
+async function handleEditVideo(e) {
+    e.preventDefault();
+    const formData = new FormData(els.editVideoForm);
 
     try {
-        if (navigator.share) {
-            await navigator.share(shareData);
-        } else {
-            await navigator.clipboard.writeText(window.location.href);
-            showToast('Link copiato negli appunti! 📋');
+        const { video } = await api(`/api/videos/${state.currentVideo.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                title: formData.get('title'),
+                description: formData.get('description'),
+                tags: parseTags(formData.get('tags'))
+            })
+        });
+        const changes = { title: video.title, description: video.description, tags: video.tags };
+        Object.assign(state.currentVideo, changes);
+        const inFeed = state.videos.find(v => v.id === video.id);
+        if (inFeed) Object.assign(inFeed, changes);
+
+        els.videoTitle.textContent = video.title;
+        els.videoDesc.textContent = video.description || '—';
+        els.editVideoModal.classList.add('hidden');
+        renderFeed();
+        showToast('Video aggiornato');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function handleDeleteVideo() {
+    const video = state.currentVideo;
+    if (!confirm(`Eliminare “${video.title}”?`)) return;
+
+    try {
+        const res = await api(`/api/videos/${video.id}`, { method: 'DELETE' });
+        state.videos = state.videos.filter(v => v.id !== video.id);
+        state.currentVideo = null;
+        els.videoPlayer.pause();
+        els.playerPanel.classList.add('hidden');
+        window.history.pushState(null, '', window.location.pathname);
+        renderFeed();
+        showToast(`Video eliminato, recuperabile fino al ${new Date(res.restorableUntil).toLocaleDateString()}`);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// ===== REPORTS & MODERATION =====
+
+function openReport(targetType, targetId) {
+    if (!state.user) return showToast('Accedi per segnalare');
+    state.reportTarget = { targetType, targetId };
+    els.reportForm.reset();
+    els.reportModal.classList.remove('hidden');
+}
+
+// Used by networks.js (network detail page)
+window.openReport = openReport;
+
+async function handleReport(e) {
+    e.preventDefault();
+    const formData = new FormData(els.reportForm);
+    const details = formData.get('details').trim();
+
+    try {
+        await api('/api/reports', {
+            method: 'POST',
+            body: JSON.stringify({
+                ...state.reportTarget,
+                reason: formData.get('reason'),
+                details: details || undefined
+            })
+        });
+        els.reportModal.classList.add('hidden');
+        state.reportTarget = null;
+        showToast('Segnalazione inviata, grazie');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+const TARGET_LABELS = { video: 'Video', comment: 'Commento', network: 'Rete' };
+const ACTION_LABELS = {
+    auto_hide: 'Nascosto automaticamente',
+    hide: 'Nascosto',
+    delete: 'Eliminato',
+    dismiss: 'Segnalazioni respinte'
+};
+
+function showFeedPage() {
+    els.moderationPage.classList.add('hidden');
+    els.feed.classList.remove('hidden');
+}
+
+async function openModeration() {
+    document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+    els.feed.classList.add('hidden');
+    els.playerPanel.classList.add('hidden');
+    els.moderationPage.classList.remove('hidden');
+    await Promise.all([loadModerationQueue(), loadModerationAudit()]);
+}
+
+async function loadModerationQueue() {
+    try {
+        const queue = await api('/api/moderation/queue');
+        els.moderationQueue.innerHTML = '';
+        if (queue.length === 0) {
+            els.moderationQueue.appendChild(createEmptyState('Nessuna segnalazione aperta'));
+            return;
         }
-    } catch (err) {
-        console.error('Error sharing:', err);
+
+        queue.forEach(entry => {
+            const reasons = Object.entries(entry.reasons).map(([reason, count]) => `${reason} ×${count}`).join(', ');
+            const item = document.createElement('div');
+            item.className = 'moderation-item';
+            item.innerHTML = `
+                <div>
+                    <div><span class="tag">${TARGET_LABELS[entry.targetType]}</span> <strong class="title"></strong>${entry.hidden ? ' <span class="tag">Nascosto</span>' : ''}</div>
+                    <div class="meta">${entry.reportCount} segnalazioni · ${reasons} · dal ${new Date(entry.firstReportedAt).toLocaleString()}</div>
+                </div>
+                <div class="actions"></div>
+            `;
+            item.querySelector('.title').textContent = entry.target?.title || '(contenuto rimosso)';
+
+            const actions = item.querySelector('.actions');
+            const addAction = (label, handler) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn ghost';
+                btn.textContent = label;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            };
+            const videoId = entry.targetType === 'video' ? entry.targetId : entry.target?.videoId;
+            if (entry.target && videoId) {
+                addAction('Apri', () => {
+                    showFeedPage();
+                    openVideo(videoId);
+                });
+            }
+            addAction('Nascondi', () => moderate(entry, 'resolve', 'hide'));
+            addAction('Elimina', () => moderate(entry, 'resolve', 'delete'));
+            addAction('Respingi', () => moderate(entry, 'dismiss'));
+
+            els.moderationQueue.appendChild(item);
+        });
+    } catch (e) {
+        showToast(e.message);
     }
 }
 
-async function loadComments(videoId) {
-    const data = await fetch(`/api/videos/${videoId}/comments`, { credentials: 'include' }).then(r => r.json());
-    state.comments = data;
-    renderComments();
+async function moderate(entry, decision, outcome) {
+    if (outcome === 'delete' && !confirm('Eliminare definitivamente questo contenuto?')) return;
+    const note = prompt('Nota per il registro (opzionale):');
+    if (note === null) return;
+
+    try {
+        await api(`/api/moderation/queue/${entry.targetType}/${entry.targetId}/${decision}`, {
+            method: 'POST',
+            body: JSON.stringify({ outcome, note: note.trim() || undefined })
+        });
+        showToast('Decisione registrata');
+        await Promise.all([loadModerationQueue(), loadModerationAudit()]);
+    } catch (e) {
+        showToast(e.message);
+    }
 }
 
-function renderComments() {
-    const list = els.commentsList;
-    const notes = els.notesList;
-    list.innerHTML = '';
-    notes.innerHTML = '';
-    state.comments.forEach(c => {
-        const entry = document.createElement('div');
-        entry.className = 'comment';
-        entry.innerHTML = `<div class="meta">${c.userName} · ${new Date(c.createdAt).toLocaleString()}</div><div>${c.text}</div>`;
-        const clone = entry.cloneNode(true);
-        list.appendChild(entry);
-        notes.appendChild(clone);
-    });
+async function loadModerationAudit() {
+    try {
+        const actions = await api('/api/moderation/audit');
+        els.moderationAudit.innerHTML = '';
+        if (actions.length === 0) {
+            els.moderationAudit.appendChild(createEmptyState('Nessuna azione registrata'));
+            return;
+        }
+
+        actions.forEach(action => {
+            const item = document.createElement('div');
+            item.className = 'moderation-item';
+            item.innerHTML = `
+                <div>
+                    <div>${ACTION_LABELS[action.action] || action.action} · ${TARGET_LABELS[action.targetType]}</div>
+                    <div class="meta">${action.moderator?.displayName || 'Sistema'} · ${new Date(action.createdAt).toLocaleString()}</div>
+                    <div class="meta note"></div>
+                </div>
+            `;
+            item.querySelector('.note').textContent = action.note || '';
+            els.moderationAudit.appendChild(item);
+        });
+    } catch (e) {
+        showToast(e.message);
+    }
 }
 
 async function handleLogin() {
@@ -219,7 +1425,67 @@ async function handleSignup() {
             method: 'POST',
             body: JSON.stringify({ email: els.loginEmail.value, password: els.loginPass.value })
         });
-        showToast('Registrato! Ora accedi');
+        showToast('Registrato! Controlla la tua email e accedi');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function handleForgotPassword() {
+    const email = els.loginEmail.value.trim();
+    if (!email) return showToast('Inserisci la tua email');
+
+    try {
+        await api('/api/password/forgot', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showToast('Se l\'account esiste, ti abbiamo inviato un\'email');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function handleResendVerification() {
+    try {
+        await api('/api/verify-email/resend', { method: 'POST' });
+        showToast('Email di conferma inviata');
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// Links from emails: /?verify=<token> and /?reset=<token>
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+    if (!verifyToken && !resetToken) return;
+
+    params.delete('verify');
+    params.delete('reset');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    try {
+        if (verifyToken) {
+            await api('/api/verify-email', {
+                method: 'POST',
+                body: JSON.stringify({ token: verifyToken })
+            });
+            showToast('Email confermata!');
+            await fetchMe();
+        } else {
+            const password = prompt('Nuova password (almeno 6 caratteri):');
+            if (!password) return;
+            await api('/api/password/reset', {
+                method: 'POST',
+                body: JSON.stringify({ token: resetToken, password })
+            });
+            state.user = null;
+            updateAuthUI();
+            showToast('Password aggiornata, ora accedi');
+        }
     } catch (e) {
         showToast(e.message);
     }
@@ -228,84 +1494,311 @@ async function handleSignup() {
 async function handleLogout() {
     await api('/api/logout', { method: 'POST' });
     state.user = null;
+    state.myNetworks = null;
+    state.subscriptions = null;
+    state.notifications = { items: [], page: 1, hasMore: false, unreadCount: 0 };
+    disconnectEvents();
+    setUnreadCount(0);
+    els.notifMenu.classList.add('hidden');
+    state.notes = [];
+    renderNotes();
+    renderNoteShare();
     updateAuthUI();
+    els.btnSubscribe.classList.add('hidden');
+    if (state.feed.endpoint !== '/api/videos') filterFeed({}, '');
     showToast('Logout effettuato');
 }
 
+// ===== DEVICES (SESSIONS) =====
+
+async function openDevices() {
+    els.devicesModal.classList.remove('hidden');
+    await loadSessions();
+}
+
+async function loadSessions() {
+    try {
+        const sessions = await api('/api/sessions');
+        els.sessionsList.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            const info = document.createElement('div');
+            const device = document.createElement('div');
+            device.textContent = session.userAgent || 'Dispositivo sconosciuto';
+            if (session.current) {
+                const tag = document.createElement('span');
+                tag.className = 'tag';
+                tag.textContent = 'Questo dispositivo';
+                device.append(' ', tag);
+            }
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            meta.textContent = `${session.ip || '—'} · ultimo accesso ${new Date(session.lastSeenAt).toLocaleString()}`;
+            info.append(device, meta);
+            item.appendChild(info);
+            if (!session.current) {
+                const btn = document.createElement('button');
+                btn.className = 'btn ghost';
+                btn.textContent = 'Esci';
+                btn.addEventListener('click', () => revokeSession(session.id));
+                item.appendChild(btn);
+            }
+            els.sessionsList.appendChild(item);
+        });
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function revokeSession(id) {
+    try {
+        await api(`/api/sessions/${id}`, { method: 'DELETE' });
+        showToast('Dispositivo disconnesso');
+        await loadSessions();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function revokeOtherSessions() {
+    try {
+        const res = await api('/api/sessions', { method: 'DELETE' });
+        showToast(`Disconnessi ${res.revokedSessions} dispositivi`);
+        await loadSessions();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function handlePasswordChange(e) {
+    e.preventDefault();
+    const formData = new FormData(els.passwordForm);
+
+    try {
+        await api('/api/password/change', {
+            method: 'POST',
+            body: JSON.stringify({
+                currentPassword: formData.get('currentPassword'),
+                newPassword: formData.get('newPassword')
+            })
+        });
+        els.passwordForm.reset();
+        showToast('Password aggiornata, altri dispositivi disconnessi');
+        await loadSessions();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
 function toggleModal(show) {
     if (show) els.uploadModal.classList.remove('hidden');
     else els.uploadModal.classList.add('hidden');
 }
 
-async function requestUploadUrl(file) {
+async function requestUploadUrl(file, kind) {
     const res = await api('/api/upload-url', {
         method: 'POST',
-        body: JSON.stringify({ filename: file.name, mimetype: file.type, size: file.size })
+        body: JSON.stringify({ filename: file.name, mimetype: file.type, size: file.size, kind })
     });
     return res;
 }
 
-async function uploadToPresigned(url, file) {
-    const res = await fetch(url, {
-        method: 'PUT',
-        headers: { 'Content-Type': file.type },
-        body: file
+// Presigned POST: the policy fields go first, the file must be the last field
+async function uploadToPresigned({ url, fields }, file) {
+    const body = new FormData();
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+    body.append('file', file);
+
+    const res = await fetch(url, { method: 'POST', body });
+    if (!res.ok) throw new Error('Errore upload su storage');
+}
+
+// ===== RESUMABLE UPLOADS =====
+// Videos go up as S3 multipart uploads: parts are sent in parallel with retries
+// and the upload id is kept in localStorage, so choosing the same file again
+// after a reload continues from the parts already stored.
+
+const UPLOAD_CONCURRENCY = 4;
+const PART_RETRIES = 3;
+const SIGN_BATCH = 100;
+
+function uploadStorageKey(file) {
+    return `hw_upload:${state.user.id}:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+// The saved upload for this file if the server still has it, otherwise a new one
+async function startOrResumeUpload(file) {
+    const storageKey = uploadStorageKey(file);
+    const savedId = localStorage.getItem(storageKey);
+    if (savedId) {
+        try {
+            const upload = await api(`/api/uploads/${savedId}/parts`);
+            showToast('Riprendo il caricamento interrotto...');
+            return { ...upload, storageKey };
+        } catch (e) {
+            localStorage.removeItem(storageKey);
+        }
+    }
+
+    const upload = await api('/api/uploads/multipart', {
+        method: 'POST',
+        body: JSON.stringify({ filename: file.name, mimetype: file.type, size: file.size })
+    });
+    localStorage.setItem(storageKey, upload.id);
+    return { ...upload, parts: [], storageKey };
+}
+
+// XHR rather than fetch: only XHR reports upload progress
+function putPart(url, blob, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('PUT', url);
+        xhr.upload.onprogress = e => onProgress(e.loaded);
+        xhr.onload = () => (xhr.status >= 200 && xhr.status < 300 ? resolve() : reject(new Error(`Errore upload (${xhr.status})`)));
+        xhr.onerror = () => reject(new Error('Errore di rete durante il caricamento'));
+        xhr.send(blob);
     });
-    if (!res.ok) throw new Error('Errore upload S3');
+}
+
+// Upload a video and return its storage key; onProgress receives 0..1
+async function uploadMultipart(file, onProgress) {
+    const upload = await startOrResumeUpload(file);
+    const { id, partSize, partCount } = upload;
+    const partBytes = n => Math.min(partSize, file.size - (n - 1) * partSize);
+
+    // Parts already stored with the expected size are done
+    const stored = new Set(upload.parts.filter(p => p.size === partBytes(p.partNumber)).map(p => p.partNumber));
+    const remaining = new Set();
+    for (let n = 1; n <= partCount; n++) if (!stored.has(n)) remaining.add(n);
+
+    let uploadedBytes = [...stored].reduce((sum, n) => sum + partBytes(n), 0);
+    const inFlight = new Map();
+    const report = () => {
+        const loaded = [...inFlight.values()].reduce((sum, bytes) => sum + bytes, uploadedBytes);
+        onProgress(Math.min(loaded / file.size, 1));
+    };
+    report();
+
+    // Part URLs are signed in batches to keep API calls (and the rate limit) low
+    const urls = new Map();
+    let signing = null;
+    async function partUrl(n) {
+        while (!urls.has(n)) {
+            if (!signing) {
+                const batch = [n, ...[...remaining].filter(p => p !== n && !urls.has(p))].slice(0, SIGN_BATCH);
+                signing = api(`/api/uploads/${id}/parts`, { method: 'POST', body: JSON.stringify({ partNumbers: batch }) })
+                    .then(res => Object.entries(res.urls).forEach(([p, url]) => urls.set(Number(p), url)))
+                    .finally(() => { signing = null; });
+            }
+            await signing;
+        }
+        return urls.get(n);
+    }
+
+    async function uploadPart(n) {
+        const blob = file.slice((n - 1) * partSize, n * partSize);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await putPart(await partUrl(n), blob, loaded => {
+                    inFlight.set(n, loaded);
+                    report();
+                });
+                break;
+            } catch (e) {
+                inFlight.delete(n);
+                urls.delete(n); // the URL may have expired: sign it again
+                if (attempt >= PART_RETRIES) throw e;
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+            }
+        }
+        inFlight.delete(n);
+        urls.delete(n);
+        remaining.delete(n);
+        uploadedBytes += blob.size;
+        report();
+    }
+
+    const queue = [...remaining];
+    let failed = false;
+    await Promise.all(Array.from({ length: Math.min(UPLOAD_CONCURRENCY, queue.length) }, async () => {
+        while (queue.length > 0 && !failed) {
+            try {
+                await uploadPart(queue.shift());
+            } catch (e) {
+                failed = true;
+                throw e;
+            }
+        }
+    }));
+
+    await api(`/api/uploads/${id}/complete`, { method: 'POST' });
+    localStorage.removeItem(upload.storageKey);
+    return upload.key;
+}
+
+function setUploadProgress(fraction) {
+    const percent = Math.floor(fraction * 100);
+    els.uploadProgress.classList.remove('hidden');
+    els.uploadProgressBar.style.width = `${percent}%`;
+    els.uploadProgressLabel.textContent = `${percent}%`;
 }
 
 async function handleUpload(e) {
     e.preventDefault();
     if (!state.user) return showToast('Accedi per caricare');
+    if (!state.user.emailVerified) return showToast('Conferma la tua email per caricare');
     const formData = new FormData(els.uploadForm);
     const file = formData.get('video');
     const title = formData.get('title');
     const description = formData.get('description');
+    const tags = parseTags(formData.get('tags'));
+    const thumbnail = formData.get('thumbnail');
 
     if (!file || file.size === 0) return showToast('Seleziona un video');
 
+    const submitBtn = els.uploadForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
     try {
         showToast('Preparazione upload...');
 
-        // 1. Get Presigned URL
-        const presignRes = await api('/api/upload-url', {
-            method: 'POST',
-            body: JSON.stringify({
-                filename: file.name,
-                mimetype: file.type
-            })
-        });
-
-        // 2. Upload to S3
-        showToast('Caricamento in corso...');
-        const uploadRes = await fetch(presignRes.url, {
-            method: 'PUT',
-            body: file,
-            headers: {
-                'Content-Type': file.type
-            }
-        });
-
-        if (!uploadRes.ok) throw new Error('Errore upload su storage');
+        // 1-2. Resumable multipart upload to S3 (the server checks type and size)
+        const s3Key = await uploadMultipart(file, setUploadProgress);
 
-        // 3. Save Metadata
-        showToast('Salvataggio dati...');
-        await api('/api/videos', {
+        // 3. Save Metadata (the server verifies the uploaded file)
+        showToast('Verifica e salvataggio...');
+        const { video } = await api('/api/videos', {
             method: 'POST',
             body: JSON.stringify({
                 title,
                 description,
-                s3Key: presignRes.key
+                tags,
+                s3Key
             })
         });
 
+        // 4. Optional custom thumbnail, preferred over the generated one
+        if (thumbnail && thumbnail.size > 0) {
+            showToast('Caricamento copertina...');
+            const thumbRes = await requestUploadUrl(thumbnail, 'thumbnail');
+            await uploadToPresigned(thumbRes, thumbnail);
+            await api(`/api/videos/${video.id}/thumbnail`, {
+                method: 'PATCH',
+                body: JSON.stringify({ source: 'custom', s3Key: thumbRes.key })
+            });
+        }
+
         showToast('Video pubblicato!');
         toggleModal(false);
         els.uploadForm.reset();
+        els.uploadProgress.classList.add('hidden');
         await loadVideos(els.searchInput.value);
     } catch (e) {
         console.error(e);
         showToast(e.message || 'Errore durante il caricamento');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
@@ -353,17 +1846,41 @@ function initEvents() {
     els.btnLogin.addEventListener('click', handleLogin);
     els.btnSignup.addEventListener('click', handleSignup);
     els.btnLogout.addEventListener('click', handleLogout);
+    els.btnForgot.addEventListener('click', handleForgotPassword);
+    els.btnFollowing.addEventListener('click', showFollowingFeed);
+    els.btnBell.addEventListener('click', toggleNotificationMenu);
+    els.btnReadAll.addEventListener('click', markAllNotificationsRead);
+    els.btnMoreNotifs.addEventListener('click', () => loadNotifications(state.notifications.page + 1));
+    els.btnSubscribe.addEventListener('click', handleSubscribeCreator);
+    els.btnModeration.addEventListener('click', openModeration);
+    els.btnBackFeed.addEventListener('click', showFeedPage);
+    els.btnReportVideo.addEventListener('click', () => openReport('video', state.currentVideo.id));
+    els.btnEditVideo.addEventListener('click', openEditVideo);
+    els.btnDeleteVideo.addEventListener('click', handleDeleteVideo);
+    els.btnCloseEditModal.addEventListener('click', () => els.editVideoModal.classList.add('hidden'));
+    els.editVideoForm.addEventListener('submit', handleEditVideo);
+    els.btnCloseReportModal.addEventListener('click', () => els.reportModal.classList.add('hidden'));
+    els.reportForm.addEventListener('submit', handleReport);
+    els.btnDevices.addEventListener('click', openDevices);
+    els.btnCloseDevicesModal.addEventListener('click', () => els.devicesModal.classList.add('hidden'));
+    els.btnRevokeOthers.addEventListener('click', revokeOtherSessions);
+    els.passwordForm.addEventListener('submit', handlePasswordChange);
+    els.btnResendVerify.addEventListener('click', handleResendVerification);
     els.btnUpload.addEventListener('click', () => toggleModal(true));
     els.btnCloseModal.addEventListener('click', () => toggleModal(false));
     els.uploadForm.addEventListener('submit', handleUpload);
+    els.videoPlayer.addEventListener('timeupdate', registerView);
+    setupHeartbeats();
+    els.videoPlayer.addEventListener('mousemove', updateScrubPreview);
+    els.videoPlayer.addEventListener('mouseleave', () => els.scrubPreview.classList.add('hidden'));
     els.btnComment.addEventListener('click', async () => {
         if (els.commentText.value.trim().length === 0) return;
         await postComment(els.commentText.value.trim(), els.commentText);
     });
-    els.btnNote.addEventListener('click', async () => {
-        if (els.noteText.value.trim().length === 0) return;
-        await postComment(els.noteText.value.trim(), els.noteText);
-    });
+    els.btnNote.addEventListener('click', postNote);
+    els.btnMoreComments.addEventListener('click', () => loadComments(state.currentVideo.id, state.commentsPage + 1));
+    els.sortButtons.forEach(btn => btn.addEventListener('click', () => setCommentSort(btn.dataset.sort)));
+    els.btnExportNotes.addEventListener('click', exportNotes);
     setupTabs();
     setupSearch();
 
@@ -385,7 +1902,14 @@ function initEvents() {
 async function bootstrap() {
     initEvents();
     await fetchMe();
+    await handleEmailLinks();
     await loadVideos();
+
+    // Check for video ID in URL
+    // Links from the share button carry ref=share, any other ?v= is a reload or a pasted URL
+    const params = new URLSearchParams(window.location.search);
+    const videoId = params.get('v');
+    if (videoId) await openVideo(videoId, false, params.get('ref') === 'share' ? 'share' : 'other');
 }
 
 bootstrap().catch(err => console.error(err));
@@ -2,16 +2,65 @@
 
 const networksState = {
     networks: [],
+    taxonomy: { themes: [], networkTypes: [] }, // GET /api/themes
+    discovery: { page: 1, hasMore: false }, // filters are read from the listing's controls
     currentNetwork: null,
+    invitations: { received: [], sent: [] },
+    editingId: null, // network being edited in the network modal
+    board: { status: 'open', questions: [], applications: [] }, // Candidature tab
+    channel: null, // GET /api/networks/:id/channel of the open network
+    videos: { items: [], nextCursor: null }, // "Video" tab, paged through the feed
     userProfile: null
 };
 
 // ===== NETWORKS LISTING =====
 
-async function loadNetworks() {
-    const data = await fetch('/api/networks').then(r => r.json());
-    networksState.networks = data;
+const TYPE_LABELS = { sector: 'Settoriale', eclectic: 'Eclettica' };
+
+async function loadTaxonomy() {
+    networksState.taxonomy = await fetch('/api/themes').then(r => r.json());
+
+    const filter = document.getElementById('filter-theme');
+    const options = document.getElementById('network-theme-options');
+    networksState.taxonomy.themes.forEach(theme => {
+        if (filter) filter.add(new Option(theme.name, theme.slug));
+        if (options) {
+            const label = document.createElement('label');
+            label.className = 'theme-option';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = 'themes';
+            input.value = theme.slug;
+            label.append(input, ` ${theme.name}`);
+            options.appendChild(label);
+        }
+    });
+}
+
+function themeName(slug) {
+    return networksState.taxonomy.themes.find(t => t.slug === slug)?.name || slug;
+}
+
+// Discovery listing: filters and sort come from the controls above the grid
+async function loadNetworks(page = 1) {
+    const params = new URLSearchParams({ sort: document.getElementById('filter-sort')?.value || 'members', page });
+    const theme = document.getElementById('filter-theme')?.value;
+    const type = document.getElementById('filter-type')?.value;
+    if (theme) params.set('theme', theme);
+    if (type) params.set('type', type);
+    if (document.getElementById('filter-open')?.checked) params.set('open', '1');
+
+    const data = await fetch(`/api/networks?${params}`).then(r => r.json());
+    networksState.networks = page === 1 ? data.networks : [...networksState.networks, ...data.networks];
+    networksState.discovery = { page: data.page, hasMore: data.hasMore };
     renderNetworks();
+    if (page === 1) await loadInvitations();
+}
+
+function activityText(stats) {
+    if (stats.recentUploads > 0) return `${stats.recentUploads} video nell'ultimo mese`;
+    if (stats.lastUploadAt) return `ultimo video ${new Date(stats.lastUploadAt).toLocaleDateString()}`;
+    return 'nessun video';
 }
 
 function renderNetworks() {
@@ -19,21 +68,36 @@ function renderNetworks() {
     if (!grid) return;
 
     grid.innerHTML = '';
+    if (networksState.networks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'Nessuna rete corrisponde ai filtri';
+        grid.appendChild(empty);
+    }
+
     networksState.networks.forEach(network => {
         const card = document.createElement('div');
         card.className = 'network-card';
         card.innerHTML = `
             <div class="network-logo">${network.logoUrl ? `<img src="${network.logoUrl}">` : network.name[0]}</div>
             <h3>${network.name}</h3>
+            <div class="network-badges">
+                <span class="tag">${TYPE_LABELS[network.type] || network.type}</span>
+                ${network.openToApplications ? '<span class="tag open">Candidature aperte</span>' : ''}
+            </div>
             <p>${network.description || ''}</p>
             <div class="network-meta">
                 <span>${network._count.memberships} membri</span>
-                <span>${network.themes.join(', ')}</span>
+                <span>${network._count.subscriptions} iscritti</span>
+                <span>${activityText(network.stats)}</span>
+                <span>${network.themes.map(themeName).join(', ')}</span>
             </div>
         `;
         card.addEventListener('click', () => openNetwork(network.id));
         grid.appendChild(card);
     });
+
+    document.getElementById('btn-more-networks')?.classList.toggle('hidden', !networksState.discovery.hasMore);
 }
 
 // ===== NETWORK DETAIL =====
@@ -41,11 +105,39 @@ function renderNetworks() {
 async function openNetwork(id) {
     const network = await fetch(`/api/networks/${id}`).then(r => r.json());
     networksState.currentNetwork = network;
+    networksState.videos = { items: [], nextCursor: null };
 
     document.getElementById('networks-page').classList.add('hidden');
     document.getElementById('network-detail-page').classList.remove('hidden');
 
     renderNetworkDetail();
+    await loadChannel();
+    if (document.querySelector('#network-detail-page .tab.active')?.dataset.tab === 'videos') await loadNetworkVideos();
+}
+
+// Mirrors NETWORK_ROLES and the permission matrix in policy.js (the server has the final say)
+const NETWORK_ROLES = ['owner', 'admin', 'editor', 'member'];
+const ROLE_LABELS = { owner: 'Proprietario', admin: 'Amministratore', editor: 'Editor', member: 'Membro' };
+
+function roleRank(role) {
+    const index = NETWORK_ROLES.indexOf(role);
+    return index === -1 ? 0 : NETWORK_ROLES.length - index;
+}
+
+function myNetworkRole(network) {
+    const user = window.state && window.state.user;
+    if (!user) return null;
+    if (network.ownerId === user.id) return 'owner';
+    const membership = network.memberships.find(m => m.userId === user.id);
+    return membership ? membership.role : null;
+}
+
+function actionButton(label, className, handler) {
+    const btn = document.createElement('button');
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener('click', handler);
+    return btn;
 }
 
 function renderNetworkDetail() {
@@ -56,48 +148,564 @@ function renderNetworkDetail() {
     infoEl.innerHTML = `
         <h1>${network.name}</h1>
         <p>${network.description || ''}</p>
-        <div class="network-themes">${network.themes.map(t => `<span class="tag">${t}</span>`).join('')}</div>
+        <div class="network-themes">
+            <span class="tag">${TYPE_LABELS[network.type] || network.type}</span>
+            ${network.themes.map(t => `<span class="tag">${themeName(t)}</span>`).join('')}
+        </div>
     `;
 
-    // Show actions based on user role
+    // Show actions based on the user's role in the network
     const globalState = window.state || (typeof state !== 'undefined' ? state : null);
-    const isOwner = globalState && globalState.user && network.ownerId === globalState.user.id;
-    const isMember = globalState && globalState.user && network.memberships.some(m => m.userId === globalState.user.id);
+    const user = globalState && globalState.user;
+    const role = myNetworkRole(network);
 
-    if (isOwner) {
-        actionsEl.innerHTML = `
-            <button class="btn secondary" onclick="editNetwork()">Modifica</button>
-            <button class="btn ghost" onclick="deleteNetwork()">Elimina</button>
-        `;
-    } else if (!isMember && globalState && globalState.user) {
-        actionsEl.innerHTML = `<button class="btn primary" onclick="applyToNetwork()">Candidati</button>`;
+    actionsEl.innerHTML = '';
+    if (['owner', 'admin'].includes(role)) actionsEl.appendChild(actionButton('+ Invita', 'btn primary', inviteToNetwork));
+    if (['owner', 'admin', 'editor'].includes(role)) actionsEl.appendChild(actionButton('Modifica', 'btn secondary', editNetwork));
+    if (['owner', 'admin'].includes(role)) {
+        actionsEl.appendChild(actionButton('Statistiche', 'btn ghost', () => window.openNetworkAnalytics(network)));
+    }
+    if (role === 'owner') {
+        actionsEl.appendChild(actionButton('Trasferisci proprietà', 'btn ghost', offerOwnership));
+        actionsEl.appendChild(actionButton('Elimina', 'btn ghost', deleteNetwork));
+    } else if (role) {
+        actionsEl.appendChild(actionButton('Lascia la rete', 'btn ghost', leaveNetwork));
+    } else if (user) {
+        const applicationEl = document.createElement('div');
+        applicationEl.className = 'application-status';
+        actionsEl.appendChild(applicationEl);
+        renderApplicationStatus(applicationEl);
+    }
+
+    // Anyone signed in can follow a network to get its members' videos in "Seguiti"
+    if (user && globalState.subscriptions) {
+        const subscribeBtn = document.createElement('button');
+        subscribeBtn.className = 'btn';
+        window.setSubscribeLabel(subscribeBtn, window.isSubscribed('network', network.id), network._count.subscriptions);
+        subscribeBtn.addEventListener('click', async () => {
+            try {
+                const res = await window.toggleSubscription('network', network.id);
+                network._count.subscriptions = res.subscriberCount;
+                window.setSubscribeLabel(subscribeBtn, res.subscribed, res.subscriberCount);
+            } catch (e) {
+                showToast(e.message);
+            }
+        });
+        actionsEl.appendChild(subscribeBtn);
     }
 
+    if (role !== 'owner' && user) {
+        const reportBtn = document.createElement('button');
+        reportBtn.className = 'btn ghost';
+        reportBtn.textContent = '⚑ Segnala';
+        reportBtn.addEventListener('click', () => window.openReport('network', network.id));
+        actionsEl.appendChild(reportBtn);
+    }
+
+    // Applications and suggestions are for owners and admins only
+    document.querySelectorAll('#network-detail-page .tab[data-tab="applications"], #network-detail-page .tab[data-tab="suggestions"]').forEach(tab => {
+        tab.classList.toggle('hidden', !['owner', 'admin'].includes(role));
+        if (tab.classList.contains('hidden') && tab.classList.contains('active')) {
+            document.querySelector('#network-detail-page .tab[data-tab="home"]').click();
+        }
+    });
+
+    renderOwnershipOffer(actionsEl);
     renderMembers();
 }
 
+// Pending transfer: the offered member answers it, the owner may cancel it
+function renderOwnershipOffer(actionsEl) {
+    const network = networksState.currentNetwork;
+    const user = window.state && window.state.user;
+    if (!network.pendingOwnerId || !user) return;
+
+    const pending = network.memberships.find(m => m.userId === network.pendingOwnerId);
+    const banner = document.createElement('div');
+    banner.className = 'ownership-offer';
+
+    if (network.pendingOwnerId === user.id) {
+        banner.append('Ti è stata offerta la proprietà di questa rete ');
+        banner.appendChild(actionButton('Accetta', 'btn primary', () => answerOwnership('accept')));
+        banner.appendChild(actionButton('Rifiuta', 'btn ghost', () => answerOwnership('decline')));
+    } else if (network.ownerId === user.id) {
+        banner.append(`Trasferimento in attesa di ${pending ? pending.user.displayName : 'un membro'} `);
+        banner.appendChild(actionButton('Annulla', 'btn ghost', cancelOwnershipOffer));
+    } else {
+        return;
+    }
+    actionsEl.appendChild(banner);
+}
+
 function renderMembers() {
     const list = document.getElementById('members-list');
     const network = networksState.currentNetwork;
+    const myRole = myNetworkRole(network);
+    const canManage = ['owner', 'admin'].includes(myRole);
 
     list.innerHTML = '';
     network.memberships.forEach(m => {
         const item = document.createElement('div');
         item.className = 'member-item';
-        item.innerHTML = `
-            <span>${m.user.displayName}</span>
-            <span class="role">${m.role}</span>
-        `;
+
+        const name = document.createElement('span');
+        name.textContent = m.user.displayName || 'Membro';
+        item.appendChild(name);
+
+        const controls = document.createElement('div');
+        controls.className = 'member-controls';
+
+        // Only members ranked below the viewer can be changed, and only to roles below the viewer's
+        if (canManage && roleRank(myRole) > roleRank(m.role)) {
+            const select = document.createElement('select');
+            NETWORK_ROLES.filter(r => r !== 'owner' && roleRank(r) < roleRank(myRole)).forEach(r => {
+                const option = document.createElement('option');
+                option.value = r;
+                option.textContent = ROLE_LABELS[r];
+                option.selected = r === m.role;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => setMemberRole(m, select.value));
+            controls.appendChild(select);
+            controls.appendChild(actionButton('Rimuovi', 'btn ghost', () => removeMember(m)));
+        } else {
+            const role = document.createElement('span');
+            role.className = 'role';
+            role.textContent = ROLE_LABELS[m.role] || m.role;
+            controls.appendChild(role);
+        }
+
+        item.appendChild(controls);
         list.appendChild(item);
     });
 }
 
+// ===== CHANNEL =====
+
+// Owner, admins and editors curate the channel (network:curate in policy.js)
+function canCurate() {
+    return ['owner', 'admin', 'editor'].includes(myNetworkRole(networksState.currentNetwork));
+}
+
+async function loadChannel() {
+    const network = networksState.currentNetwork;
+    try {
+        networksState.channel = await api(`/api/networks/${network.id}/channel`);
+    } catch (e) {
+        return showToast(e.message);
+    }
+    renderChannel();
+}
+
+function renderChannel() {
+    const home = document.getElementById('channel-home');
+    const { featured, playlists, schedule, recent } = networksState.channel;
+    home.innerHTML = '';
+
+    home.appendChild(channelSection('📺 Palinsesto', schedule.map(createSlotItem), 'Nessun video in programma'));
+    home.appendChild(channelSection('⭐ In evidenza', featured.map(createChannelCard), 'Nessun video in evidenza', 'channel-grid'));
+
+    const playlistSection = channelSection('Playlist', playlists.map(createPlaylistBlock), 'Nessuna playlist');
+    if (canCurate()) playlistSection.querySelector('.channel-section-header').appendChild(actionButton('+ Playlist', 'btn ghost small', createPlaylist));
+    home.appendChild(playlistSection);
+
+    home.appendChild(channelSection('Ultimi video', recent.map(createChannelCard), 'I membri non hanno ancora caricato video', 'channel-grid'));
+}
+
+function channelSection(title, items, emptyText, className = '') {
+    const section = document.createElement('div');
+    section.className = 'channel-section';
+
+    const header = document.createElement('div');
+    header.className = 'channel-section-header';
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    header.appendChild(heading);
+    section.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = className;
+    if (items.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = emptyText;
+        body.appendChild(empty);
+    } else {
+        body.append(...items);
+    }
+    section.appendChild(body);
+    return section;
+}
+
+// Feed card plus, for curators, the featured / playlist / palinsesto shortcuts
+function createChannelCard(video) {
+    const card = window.createVideoCard(video, 'network');
+    if (!canCurate()) return card;
+
+    const featured = (networksState.channel?.featured || []).some(v => v.id === video.id);
+    const actions = document.createElement('div');
+    actions.className = 'curate-actions';
+    actions.appendChild(actionButton(featured ? '★ In evidenza' : '☆ Evidenzia', 'btn ghost small', () => toggleFeatured(video)));
+    actions.appendChild(actionButton('+ Playlist', 'btn ghost small', () => addToPlaylist(video)));
+    actions.appendChild(actionButton('+ Palinsesto', 'btn ghost small', () => scheduleVideo(video)));
+    actions.addEventListener('click', e => e.stopPropagation());
+    card.appendChild(actions);
+    return card;
+}
+
+// Re-render whatever shows curation state after a change
+async function refreshChannel() {
+    await loadChannel();
+    if (networksState.videos.items.length > 0) renderNetworkVideos();
+}
+
+async function toggleFeatured(video) {
+    const network = networksState.currentNetwork;
+    const ids = networksState.channel.featured.map(v => v.id);
+    const videoIds = ids.includes(video.id) ? ids.filter(id => id !== video.id) : [...ids, video.id];
+
+    try {
+        await api(`/api/networks/${network.id}/featured`, { method: 'PUT', body: JSON.stringify({ videoIds }) });
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// ===== PLAYLISTS =====
+
+function createPlaylistBlock(playlist) {
+    const block = document.createElement('div');
+    block.className = 'playlist-block';
+
+    const header = document.createElement('div');
+    header.className = 'playlist-header';
+    const title = document.createElement('strong');
+    title.textContent = `${playlist.title} · ${playlist.itemCount} video`;
+    header.appendChild(title);
+    if (playlist.itemCount > playlist.items.length) {
+        header.appendChild(actionButton('Mostra tutti', 'btn ghost small', () => expandPlaylist(playlist, block)));
+    }
+    if (canCurate()) header.appendChild(actionButton('Elimina', 'btn ghost small', () => deletePlaylist(playlist)));
+    block.appendChild(header);
+
+    if (playlist.description) {
+        const desc = document.createElement('p');
+        desc.textContent = playlist.description;
+        block.appendChild(desc);
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'channel-grid';
+    playlist.items.forEach(item => {
+        const card = window.createVideoCard(item.video, 'network');
+        if (canCurate()) {
+            card.appendChild(actionButton('Togli dalla playlist', 'btn ghost small', e => {
+                e.stopPropagation();
+                removeFromPlaylist(playlist, item.video.id);
+            }));
+        }
+        grid.appendChild(card);
+    });
+    block.appendChild(grid);
+    return block;
+}
+
+async function expandPlaylist(playlist, block) {
+    const network = networksState.currentNetwork;
+    try {
+        const full = await api(`/api/networks/${network.id}/playlists/${playlist.id}`);
+        block.replaceWith(createPlaylistBlock(full));
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function createPlaylist() {
+    const network = networksState.currentNetwork;
+    const title = prompt('Titolo della playlist');
+    if (!title || !title.trim()) return;
+
+    try {
+        await api(`/api/networks/${network.id}/playlists`, { method: 'POST', body: JSON.stringify({ title }) });
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function deletePlaylist(playlist) {
+    const network = networksState.currentNetwork;
+    if (!confirm(`Eliminare la playlist ${playlist.title}?`)) return;
+
+    try {
+        await api(`/api/networks/${network.id}/playlists/${playlist.id}`, { method: 'DELETE' });
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// The API replaces a playlist's items with the ordered id list it is given
+async function updatePlaylistVideos(playlistId, change) {
+    const network = networksState.currentNetwork;
+    const playlist = await api(`/api/networks/${network.id}/playlists/${playlistId}`);
+    const videoIds = change(playlist.items.map(item => item.video.id));
+    await api(`/api/networks/${network.id}/playlists/${playlistId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ videoIds })
+    });
+}
+
+async function addToPlaylist(video) {
+    const playlists = networksState.channel.playlists;
+    if (playlists.length === 0) return showToast('Crea prima una playlist');
+
+    const choices = playlists.map((p, i) => `${i + 1}. ${p.title}`).join('\n');
+    const playlist = playlists[Number(prompt(`In quale playlist?\n${choices}`)) - 1];
+    if (!playlist) return;
+
+    try {
+        await updatePlaylistVideos(playlist.id, ids => [...ids.filter(id => id !== video.id), video.id]);
+        showToast(`Aggiunto a ${playlist.title}`);
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function removeFromPlaylist(playlist, videoId) {
+    try {
+        await updatePlaylistVideos(playlist.id, ids => ids.filter(id => id !== videoId));
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// ===== PALINSESTO =====
+
+function formatSlotTime(date) {
+    return new Date(date).toLocaleString('it-IT', {
+        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function createSlotItem(slot) {
+    const item = document.createElement('div');
+    item.className = `slot-item${slot.onAir ? ' on-air' : ''}`;
+
+    const time = document.createElement('span');
+    time.className = 'slot-time';
+    time.textContent = slot.onAir ? '● In onda' : formatSlotTime(slot.startsAt);
+    item.appendChild(time);
+
+    const title = document.createElement('button');
+    title.className = 'slot-title';
+    title.textContent = `${slot.video.title} · ${slot.video.uploaderName || 'Creator'}`;
+    title.addEventListener('click', () => window.watchVideo(slot.video.id, 'network'));
+    item.appendChild(title);
+
+    if (canCurate()) item.appendChild(actionButton('×', 'btn ghost small', () => removeSlot(slot)));
+    return item;
+}
+
+async function scheduleVideo(video) {
+    const network = networksState.currentNetwork;
+    const answer = prompt(`Quando va in onda “${video.title}”? (AAAA-MM-GG HH:MM)`);
+    if (!answer) return;
+
+    const startsAt = new Date(answer.trim().replace(' ', 'T'));
+    if (isNaN(startsAt)) return showToast('Data non valida');
+
+    try {
+        await api(`/api/networks/${network.id}/schedule`, {
+            method: 'POST',
+            body: JSON.stringify({ videoId: video.id, startsAt: startsAt.toISOString() })
+        });
+        showToast('Aggiunto al palinsesto');
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function removeSlot(slot) {
+    const network = networksState.currentNetwork;
+    try {
+        await api(`/api/networks/${network.id}/schedule/${slot.id}`, { method: 'DELETE' });
+        await refreshChannel();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// ===== MEMBER VIDEOS =====
+
+async function loadNetworkVideos(more = false) {
+    const network = networksState.currentNetwork;
+    const params = new URLSearchParams({ networkId: network.id, limit: 24 });
+    if (more) params.set('cursor', networksState.videos.nextCursor);
+
+    try {
+        const { videos, nextCursor } = await api(`/api/videos?${params}`);
+        networksState.videos = {
+            items: more ? [...networksState.videos.items, ...videos] : videos,
+            nextCursor
+        };
+    } catch (e) {
+        return showToast(e.message);
+    }
+    renderNetworkVideos();
+}
+
+function renderNetworkVideos() {
+    const list = document.getElementById('network-videos');
+    list.innerHTML = '';
+
+    const grid = document.createElement('div');
+    grid.className = 'channel-grid';
+    networksState.videos.items.forEach(video => grid.appendChild(createChannelCard(video)));
+    list.appendChild(grid);
+
+    if (networksState.videos.items.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'I membri non hanno ancora caricato video';
+        list.appendChild(empty);
+    }
+    if (networksState.videos.nextCursor) {
+        list.appendChild(actionButton('Altri video', 'btn ghost full', () => loadNetworkVideos(true)));
+    }
+}
+
+// ===== ROLES & OWNERSHIP =====
+
+async function setMemberRole(member, role) {
+    const network = networksState.currentNetwork;
+    try {
+        await api(`/api/networks/${network.id}/members/${member.userId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ role })
+        });
+        showToast(`${member.user.displayName || 'Membro'} ora è ${ROLE_LABELS[role]}`);
+    } catch (e) {
+        showToast(e.message);
+    }
+    await openNetwork(network.id);
+}
+
+async function removeMember(member) {
+    const network = networksState.currentNetwork;
+    if (!confirm(`Rimuovere ${member.user.displayName || 'questo membro'} dalla rete?`)) return;
+
+    try {
+        await api(`/api/networks/${network.id}/members/${member.userId}`, { method: 'DELETE' });
+        showToast('Membro rimosso');
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function leaveNetwork() {
+    const network = networksState.currentNetwork;
+    if (!confirm(`Lasciare la rete ${network.name}?`)) return;
+
+    try {
+        await api(`/api/networks/${network.id}/leave`, { method: 'POST' });
+        showToast('Hai lasciato la rete');
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function offerOwnership() {
+    const network = networksState.currentNetwork;
+    const candidates = network.memberships.filter(m => m.userId !== network.ownerId);
+    if (candidates.length === 0) return showToast('Nessun altro membro a cui trasferire la rete');
+
+    const choices = candidates.map((m, i) => `${i + 1}. ${m.user.displayName || 'Membro'}`).join('\n');
+    const answer = prompt(`A chi vuoi trasferire la proprietà?\n${choices}`);
+    const member = candidates[Number(answer) - 1];
+    if (!member) return;
+
+    try {
+        await api(`/api/networks/${network.id}/transfer`, {
+            method: 'POST',
+            body: JSON.stringify({ userId: member.userId })
+        });
+        showToast('Proposta inviata: il nuovo proprietario deve accettarla');
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function cancelOwnershipOffer() {
+    const network = networksState.currentNetwork;
+    try {
+        await api(`/api/networks/${network.id}/transfer`, { method: 'DELETE' });
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function answerOwnership(answer) {
+    const network = networksState.currentNetwork;
+    try {
+        await api(`/api/networks/${network.id}/transfer/${answer}`, { method: 'POST' });
+        showToast(answer === 'accept' ? `Ora sei il proprietario di ${network.name}` : 'Proposta rifiutata');
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
 // ===== CREATE/EDIT NETWORK =====
 
 function toggleNetworkModal(show) {
     const modal = document.getElementById('network-modal');
     if (show) modal.classList.remove('hidden');
     else modal.classList.add('hidden');
+    if (!show && networksState.editingId) {
+        networksState.editingId = null;
+        document.getElementById('network-form').reset();
+        document.getElementById('network-modal-title').textContent = 'Crea Rete';
+    }
+}
+
+// Same modal as creation, prefilled; the form PATCHes while editingId is set
+function editNetwork() {
+    const network = networksState.currentNetwork;
+    const form = document.getElementById('network-form');
+
+    form.elements.name.value = network.name;
+    form.elements.description.value = network.description || '';
+    form.querySelectorAll('input[name="themes"]').forEach(input => { input.checked = network.themes.includes(input.value); });
+    form.elements.type.value = network.type;
+    form.elements.openToApplications.checked = network.openToApplications;
+    form.elements.logoUrl.value = network.logoUrl || '';
+    toggleNetworkModal(true);
+    networksState.editingId = network.id;
+    document.getElementById('network-modal-title').textContent = 'Modifica Rete';
+}
+
+async function deleteNetwork() {
+    const network = networksState.currentNetwork;
+    if (!confirm(`Eliminare definitivamente la rete ${network.name}?`)) return;
+
+    try {
+        await api(`/api/networks/${network.id}`, { method: 'DELETE' });
+        showToast('Rete eliminata');
+        document.getElementById('network-detail-page').classList.add('hidden');
+        document.getElementById('networks-page').classList.remove('hidden');
+        await loadNetworks();
+    } catch (e) {
+        showToast(e.message);
+    }
 }
 
 async function handleNetworkForm(e) {
@@ -114,13 +722,16 @@ async function handleNetworkForm(e) {
     const data = {
         name: formData.get('name'),
         description: formData.get('description'),
-        themes: formData.get('themes').split(',').map(t => t.trim()),
+        themes: formData.getAll('themes'),
+        type: formData.get('type'),
+        openToApplications: e.target.elements.openToApplications.checked,
         logoUrl: formData.get('logoUrl') || undefined
     };
 
+    const editingId = networksState.editingId;
     try {
-        const res = await fetch('/api/networks', {
-            method: 'POST',
+        const res = await fetch(editingId ? `/api/networks/${editingId}` : '/api/networks', {
+            method: editingId ? 'PATCH' : 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
             body: JSON.stringify(data)
@@ -131,88 +742,560 @@ async function handleNetworkForm(e) {
             throw new Error(err.error || 'Errore creazione rete');
         }
 
-        alert('Rete creata!');
+        alert(editingId ? 'Rete aggiornata!' : 'Rete creata!');
         toggleNetworkModal(false);
         e.target.reset();
-        await loadNetworks();
+        if (editingId) await openNetwork(editingId);
+        else await loadNetworks();
     } catch (e) {
         alert(e.message);
     }
 }
 
+// ===== INVITATIONS =====
+
+const INVITATION_STATUS = {
+    pending: 'In attesa',
+    accepted: 'Accettato',
+    rejected: 'Rifiutato',
+    revoked: 'Revocato',
+    expired: 'Scaduto'
+};
+
+async function loadInvitations() {
+    const section = document.getElementById('invitations-section');
+    const globalState = window.state;
+    if (!section) return;
+    if (!globalState || !globalState.user) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    try {
+        networksState.invitations = await api('/api/invitations');
+        section.classList.remove('hidden');
+        renderInvitations();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+function createInvitationItem(title, meta, buttons) {
+    const item = document.createElement('div');
+    item.className = 'invitation-item';
+
+    const text = document.createElement('div');
+    const strong = document.createElement('strong');
+    strong.textContent = title;
+    const details = document.createElement('div');
+    details.className = 'invitation-meta';
+    details.textContent = meta;
+    text.append(strong, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'invitation-buttons';
+    buttons.forEach(([label, className, handler]) => {
+        const btn = document.createElement('button');
+        btn.className = className;
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+    });
+
+    item.append(text, actions);
+    return item;
+}
+
+function renderInvitations() {
+    const { received, sent } = networksState.invitations;
+    const receivedEl = document.getElementById('invitations-received');
+    const sentEl = document.getElementById('invitations-sent');
+
+    receivedEl.innerHTML = '';
+    if (received.length === 0) receivedEl.textContent = 'Nessun invito in attesa';
+    received.forEach(inv => {
+        const meta = [
+            `Da ${inv.inviter.displayName || 'Creator'}`,
+            `scade il ${new Date(inv.expiresAt).toLocaleDateString()}`,
+            inv.message
+        ].filter(Boolean).join(' · ');
+        receivedEl.appendChild(createInvitationItem(inv.network.name, meta, [
+            ['Accetta', 'btn primary', () => respondToInvitation(inv, 'accept')],
+            ['Rifiuta', 'btn ghost', () => respondToInvitation(inv, 'reject')]
+        ]));
+    });
+
+    sentEl.innerHTML = '';
+    if (sent.length === 0) sentEl.textContent = 'Nessun invito inviato';
+    sent.forEach(inv => {
+        const meta = [
+            inv.network.name,
+            INVITATION_STATUS[inv.status] || inv.status,
+            `inviato il ${new Date(inv.sentAt).toLocaleDateString()}`
+        ].join(' · ');
+        const buttons = inv.status === 'pending' ? [['Revoca', 'btn ghost', () => revokeInvitation(inv)]] : [];
+        sentEl.appendChild(createInvitationItem(inv.invitedUser.displayName || 'Utente', meta, buttons));
+    });
+}
+
+async function respondToInvitation(invitation, action) {
+    try {
+        await api(`/api/invitations/${invitation.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ action })
+        });
+        showToast(action === 'accept' ? `Benvenuto in ${invitation.network.name}!` : 'Invito rifiutato');
+        await loadInvitations();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+async function revokeInvitation(invitation) {
+    if (!confirm(`Revocare l'invito a ${invitation.invitedUser.displayName || 'questo utente'}?`)) return;
+
+    try {
+        await api(`/api/invitations/${invitation.id}`, { method: 'DELETE' });
+        showToast('Invito revocato');
+        await loadInvitations();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// The invitee is picked among the creators matching a name search
+async function inviteToNetwork() {
+    const query = prompt('Nome del creator da invitare:');
+    if (!query || !query.trim()) return;
+
+    try {
+        const data = await api(`/api/search?type=user&limit=10&q=${encodeURIComponent(query.trim())}`);
+        const users = data.results.map(r => r.item);
+        if (users.length === 0) return showToast('Nessun creator trovato');
+
+        const list = users.map((u, i) => `${i + 1}. ${u.displayName || 'Creator'}`).join('\n');
+        const choice = prompt(`Chi vuoi invitare? (numero)\n${list}`, '1');
+        const invitee = users[Number(choice) - 1];
+        if (!invitee) return;
+        const message = prompt('Messaggio (opzionale):') || undefined;
+
+        await api(`/api/networks/${networksState.currentNetwork.id}/invite`, {
+            method: 'POST',
+            body: JSON.stringify({ userId: invitee.id, message })
+        });
+        showToast(`Invito inviato a ${invitee.displayName || 'creator'}`);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
+// ===== SUGGESTIONS =====
+
+// Creators whose tagged videos match the network's themes, best match first
+async function loadSuggestions() {
+    const network = networksState.currentNetwork;
+    const list = document.getElementById('suggestions-list');
+
+    let suggestions;
+    try {
+        suggestions = await api(`/api/networks/${network.id}/suggestions`);
+    } catch (e) {
+        return showToast(e.message);
+    }
+
+    list.innerHTML = '';
+    if (suggestions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'Nessun creator con video sulle tematiche della rete';
+        list.appendChild(empty);
+    }
+
+    suggestions.forEach(suggestion => {
+        const item = document.createElement('div');
+        item.className = 'member-item';
+
+        const info = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = suggestion.displayName || 'Creator';
+        const why = document.createElement('p');
+        why.className = 'suggestion-why';
+        why.textContent = suggestion.explanation;
+        info.append(name, why);
+        item.appendChild(info);
+
+        item.appendChild(actionButton('Invita', 'btn primary', () => inviteSuggested(suggestion)));
+        list.appendChild(item);
+    });
+}
+
+async function inviteSuggested(suggestion) {
+    try {
+        await api(`/api/networks/${networksState.currentNetwork.id}/invite`, {
+            method: 'POST',
+            body: JSON.stringify({ userId: suggestion.id })
+        });
+        showToast(`Invito inviato a ${suggestion.displayName || 'creator'}`);
+        await loadSuggestions();
+    } catch (e) {
+        showToast(e.message);
+    }
+}
+
 // ===== APPLICATIONS =====
 
+// Applicant side: status of my application, or the button to apply
+async function renderApplicationStatus(container) {
+    const network = networksState.currentNetwork;
+    let mine;
+    try {
+        mine = await api(`/api/networks/${network.id}/application`);
+    } catch (e) {
+        return;
+    }
+
+    const { application, reapplyAt } = mine;
+    const open = application && ['pending', 'shortlisted'].includes(application.status);
+    container.innerHTML = '';
+
+    if (open) {
+        container.append(`Candidatura inviata il ${new Date(application.submittedAt).toLocaleDateString()}, in valutazione `);
+        container.appendChild(actionButton('Ritira', 'btn ghost small', withdrawApplication));
+        return;
+    }
+    if (application && application.status === 'rejected') {
+        container.append(`Candidatura non accettata${application.rejectionReason ? `: ${application.rejectionReason}` : ''}`);
+        if (reapplyAt) container.append(` · puoi ricandidarti dal ${new Date(reapplyAt).toLocaleDateString()}`);
+    }
+    if (network.openToApplications && !reapplyAt) container.appendChild(actionButton('Candidati', 'btn primary', applyToNetwork));
+}
+
 async function applyToNetwork() {
-    const message = prompt('Messaggio di candidatura (opzionale):');
+    const network = networksState.currentNetwork;
+    const user = window.state && window.state.user;
+    const form = document.getElementById('application-form');
+    form.reset();
+
+    // The network's own questions
+    const questions = document.getElementById('application-questions');
+    questions.innerHTML = '';
+    network.applicationQuestions.forEach(question => {
+        const label = document.createElement('label');
+        label.textContent = question.required ? `${question.label} *` : question.label;
+        const input = document.createElement(question.type === 'longtext' ? 'textarea' : 'input');
+        if (question.type === 'url') input.type = 'url';
+        if (question.type === 'number') input.type = 'number';
+        input.name = `answer:${question.id}`;
+        input.required = question.required;
+        questions.append(label, input);
+    });
 
+    // Sample videos: the applicant's own uploads
+    const videos = document.getElementById('application-videos');
+    videos.innerHTML = '';
     try {
-        const res = await fetch(`/api/networks/${networksState.currentNetwork.id}/apply`, {
+        const { videos: mine } = await api(`/api/videos?uploaderId=${user.id}&limit=50`);
+        if (mine.length === 0) videos.textContent = 'Non hai ancora caricato video';
+        mine.forEach(video => {
+            const label = document.createElement('label');
+            label.className = 'sample-video';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = 'sampleVideoIds';
+            input.value = video.id;
+            label.append(input, ` ${video.title}`);
+            videos.appendChild(label);
+        });
+    } catch (e) {
+        showToast(e.message);
+    }
+
+    document.getElementById('application-modal').classList.remove('hidden');
+}
+
+async function handleApplicationForm(e) {
+    e.preventDefault();
+    const network = networksState.currentNetwork;
+    const formData = new FormData(e.target);
+
+    const sampleVideoIds = formData.getAll('sampleVideoIds');
+    if (sampleVideoIds.length > 5) return showToast('Puoi allegare al massimo 5 video');
+
+    const answers = {};
+    network.applicationQuestions.forEach(question => {
+        answers[question.id] = formData.get(`answer:${question.id}`) || '';
+    });
+
+    try {
+        await api(`/api/networks/${network.id}/apply`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message: formData.get('message') || undefined, answers, sampleVideoIds })
         });
+        document.getElementById('application-modal').classList.add('hidden');
+        showToast('Candidatura inviata!');
+        await openNetwork(network.id);
+    } catch (e) {
+        showToast(e.message);
+    }
+}
 
-        if (!res.ok) {
-            const err = await res.json();
-            throw new Error(err.error || 'Errore candidatura');
-        }
+async function withdrawApplication() {
+    const network = networksState.currentNetwork;
+    if (!confirm('Ritirare la candidatura?')) return;
 
-        alert('Candidatura inviata!');
+    try {
+        await api(`/api/networks/${network.id}/apply`, { method: 'DELETE' });
+        await openNetwork(network.id);
     } catch (e) {
-        alert(e.message);
+        showToast(e.message);
     }
 }
 
-async function loadApplications() {
-    if (!networksState.currentNetwork) return;
+// ===== REVIEW BOARD =====
+
+const APPLICATION_STATUS_LABELS = {
+    pending: 'Nuova',
+    shortlisted: 'In shortlist',
+    approved: 'Approvata',
+    rejected: 'Respinta',
+    withdrawn: 'Ritirata'
+};
+
+// Presets for the application form editor
+const QUESTION_PRESETS = [
+    { button: '+ Portfolio', label: 'Link al portfolio o al canale', type: 'url', required: true },
+    { button: '+ Statistiche', label: 'Statistiche del canale (iscritti, visualizzazioni medie)', type: 'longtext', required: false },
+    { button: '+ Disponibilità', label: 'Disponibilità (ore a settimana, periodo)', type: 'text', required: false }
+];
 
-    const apps = await fetch(`/api/networks/${networksState.currentNetwork.id}/applications`, {
-        credentials: 'include'
-    }).then(r => r.json());
+async function loadApplications(status = networksState.board.status) {
+    const network = networksState.currentNetwork;
+    if (!network) return;
 
+    let board;
+    try {
+        board = await api(`/api/networks/${network.id}/applications?status=${status}`);
+    } catch (e) {
+        return showToast(e.message);
+    }
+    networksState.board = { status, ...board };
+    renderApplications();
+}
+
+function renderApplications() {
     const list = document.getElementById('applications-list');
+    const { status, applications } = networksState.board;
     list.innerHTML = '';
 
-    apps.forEach(app => {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'board-toolbar';
+    toolbar.appendChild(actionButton('Aperte', `btn small ${status === 'open' ? 'secondary' : 'ghost'}`, () => loadApplications('open')));
+    toolbar.appendChild(actionButton('Decise', `btn small ${status === 'decided' ? 'secondary' : 'ghost'}`, () => loadApplications('decided')));
+    toolbar.appendChild(actionButton('Modulo di candidatura', 'btn ghost small', () => {
+        editor.classList.toggle('hidden');
+    }));
+    list.appendChild(toolbar);
+
+    const editor = document.createElement('div');
+    editor.className = 'form-editor hidden';
+    renderFormEditor(editor);
+    list.appendChild(editor);
+
+    const columns = status === 'open'
+        ? [['Nuove', applications.filter(a => a.status === 'pending')], ['Shortlist', applications.filter(a => a.status === 'shortlisted')]]
+        : [['Decise di recente', applications]];
+
+    const board = document.createElement('div');
+    board.className = 'review-board';
+    columns.forEach(([title, items]) => {
+        const column = document.createElement('div');
+        column.className = 'board-column';
+        const heading = document.createElement('h3');
+        heading.textContent = `${title} (${items.length})`;
+        column.appendChild(heading);
+        items.forEach(application => column.appendChild(createApplicationCard(application)));
+        board.appendChild(column);
+    });
+    list.appendChild(board);
+}
+
+function createApplicationCard(application) {
+    const card = document.createElement('div');
+    card.className = 'application-card';
+    const open = ['pending', 'shortlisted'].includes(application.status);
+
+    const header = document.createElement('div');
+    header.className = 'application-header';
+    const name = document.createElement('strong');
+    name.textContent = application.applicant.displayName || 'Creator';
+    const meta = document.createElement('span');
+    meta.className = 'application-meta';
+    meta.textContent = `${APPLICATION_STATUS_LABELS[application.status]} · ${new Date(application.submittedAt).toLocaleDateString()}`;
+    header.append(name, meta);
+    card.appendChild(header);
+
+    [application.applicant.bio, application.message].filter(Boolean).forEach(text => {
+        const p = document.createElement('p');
+        p.textContent = text;
+        card.appendChild(p);
+    });
+
+    // Answers, in the order of the current questions
+    const answers = document.createElement('dl');
+    answers.className = 'application-answers';
+    networksState.board.questions.forEach(question => {
+        const value = application.answers[question.id];
+        if (value === undefined) return;
+        const dt = document.createElement('dt');
+        dt.textContent = question.label;
+        const dd = document.createElement('dd');
+        if (question.type === 'url' && /^https?:\/\//i.test(value)) {
+            const link = document.createElement('a');
+            link.href = value;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = value;
+            dd.appendChild(link);
+        } else {
+            dd.textContent = value;
+        }
+        answers.append(dt, dd);
+    });
+    card.appendChild(answers);
+
+    if (application.sampleVideos.length > 0) {
+        const videos = document.createElement('div');
+        videos.className = 'channel-grid';
+        application.sampleVideos.forEach(video => videos.appendChild(window.createVideoCard(video, 'other')));
+        card.appendChild(videos);
+    }
+
+    if (application.rejectionReason) {
+        const reason = document.createElement('p');
+        reason.className = 'application-meta';
+        reason.textContent = `Motivo: ${application.rejectionReason}`;
+        card.appendChild(reason);
+    }
+
+    card.appendChild(createNotesBlock(application));
+
+    if (open) {
+        const actions = document.createElement('div');
+        actions.className = 'application-actions';
+        const shortlisted = application.status === 'shortlisted';
+        actions.appendChild(actionButton(shortlisted ? 'Togli dalla shortlist' : 'Shortlist', 'btn ghost small',
+            () => reviewApplication(application, shortlisted ? 'unshortlist' : 'shortlist')));
+        actions.appendChild(actionButton('Approva', 'btn primary small', () => reviewApplication(application, 'approve')));
+        actions.appendChild(actionButton('Rifiuta', 'btn ghost small', () => reviewApplication(application, 'reject')));
+        card.appendChild(actions);
+    }
+    return card;
+}
+
+// Reviewer notes: visible to owner and admins only
+function createNotesBlock(application) {
+    const block = document.createElement('div');
+    block.className = 'review-notes';
+
+    application.notes.forEach(note => {
         const item = document.createElement('div');
-        item.className = 'application-item';
-        item.innerHTML = `
-            <div>
-                <strong>${app.applicant.displayName}</strong>
-                <p>${app.message || ''}</p>
-            </div>
-            <div>
-                <button class="btn primary" onclick="approveApplication('${app.id}')">Approva</button>
-                <button class="btn ghost" onclick="rejectApplication('${app.id}')">Rifiuta</button>
-            </div>
-        `;
-        list.appendChild(item);
+        item.className = 'review-note';
+        item.textContent = `${note.author?.displayName || 'Utente eliminato'}: ${note.text}`;
+        block.appendChild(item);
     });
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Nota per gli altri revisori';
+    input.maxLength = 2000;
+    block.appendChild(input);
+    block.appendChild(actionButton('Aggiungi nota', 'btn ghost small', async () => {
+        const text = input.value.trim();
+        if (!text) return;
+        try {
+            await api(`/api/networks/${networksState.currentNetwork.id}/applications/${application.id}/notes`, {
+                method: 'POST',
+                body: JSON.stringify({ text })
+            });
+            await loadApplications();
+        } catch (e) {
+            showToast(e.message);
+        }
+    }));
+    return block;
 }
 
-async function approveApplication(appId) {
+async function reviewApplication(application, action) {
+    let reason;
+    if (action === 'reject') {
+        reason = prompt('Motivo del rifiuto (inviato al candidato, opzionale):');
+        if (reason === null) return;
+    }
+
     try {
-        await api(`/api/networks/${networksState.currentNetwork.id}/applications/${appId}`, {
+        await api(`/api/networks/${networksState.currentNetwork.id}/applications/${application.id}`, {
             method: 'PATCH',
-            body: JSON.stringify({ action: 'approve' })
+            body: JSON.stringify({ action, reason: reason || undefined })
         });
-        showToast('Candidatura approvata!');
+        if (action === 'approve') {
+            showToast('Candidatura approvata!');
+            await openNetwork(networksState.currentNetwork.id);
+        } else if (action === 'reject') {
+            showToast('Candidatura rifiutata');
+        }
         await loadApplications();
-        await openNetwork(networksState.currentNetwork.id);
     } catch (e) {
         showToast(e.message);
     }
 }
 
-async function rejectApplication(appId) {
+// ===== APPLICATION FORM =====
+
+function renderFormEditor(editor) {
+    const questions = networksState.board.questions;
+    editor.innerHTML = '';
+
+    questions.forEach((question, i) => {
+        const row = document.createElement('div');
+        row.className = 'form-question';
+        const label = document.createElement('span');
+        label.textContent = `${question.label} (${question.type}${question.required ? ', obbligatoria' : ''})`;
+        row.appendChild(label);
+        if (i > 0) {
+            row.appendChild(actionButton('↑', 'btn ghost small', () => {
+                const next = [...questions];
+                [next[i - 1], next[i]] = [next[i], next[i - 1]];
+                saveQuestions(next);
+            }));
+        }
+        row.appendChild(actionButton('×', 'btn ghost small', () => saveQuestions(questions.filter(q => q !== question))));
+        editor.appendChild(row);
+    });
+
+    const add = document.createElement('div');
+    add.className = 'form-question-add';
+    QUESTION_PRESETS.forEach(({ button, ...question }) => {
+        add.appendChild(actionButton(button, 'btn ghost small', () => saveQuestions([...questions, question])));
+    });
+    add.appendChild(actionButton('+ Domanda', 'btn ghost small', () => {
+        const label = prompt('Testo della domanda');
+        if (!label || !label.trim()) return;
+        saveQuestions([...questions, { label: label.trim(), type: 'text', required: confirm('Risposta obbligatoria?') }]);
+    }));
+    editor.appendChild(add);
+}
+
+async function saveQuestions(questions) {
+    const network = networksState.currentNetwork;
     try {
-        await api(`/api/networks/${networksState.currentNetwork.id}/applications/${appId}`, {
-            method: 'PATCH',
-            body: JSON.stringify({ action: 'reject' })
+        const res = await api(`/api/networks/${network.id}/application-form`, {
+            method: 'PUT',
+            body: JSON.stringify({ questions })
         });
-        showToast('Candidatura rifiutata');
-        await loadApplications();
+        network.applicationQuestions = res.questions;
+        networksState.board.questions = res.questions;
+        const editor = document.querySelector('#applications-list .form-editor');
+        if (editor) renderFormEditor(editor);
     } catch (e) {
         showToast(e.message);
     }
@@ -269,8 +1352,49 @@ async function handleProfileForm(e) {
     }
 }
 
+// ===== LIVE UPDATES =====
+
+// app.js forwards notifications from the event stream; refresh the network on screen
+function handleNetworkNotification(e) {
+    const { type, data } = e.detail;
+    const listing = document.getElementById('networks-page');
+    if (['network_invite', 'invitation_accepted'].includes(type) && listing && !listing.classList.contains('hidden')) loadInvitations();
+
+    const network = networksState.currentNetwork;
+    const page = document.getElementById('network-detail-page');
+    if (!network || data.networkId !== network.id || page.classList.contains('hidden')) return;
+
+    if (type === 'network_application') {
+        loadApplications();
+    } else if (['invitation_accepted', 'application_approved', 'network_role_changed', 'ownership_offer',
+        'ownership_accepted', 'ownership_declined'].includes(type)) {
+        openNetwork(network.id);
+    }
+}
+
+// Members / Video / Candidature tabs of the network page
+function setupNetworkTabs() {
+    const page = document.getElementById('network-detail-page');
+    if (!page) return;
+
+    page.querySelectorAll('.tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            page.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+            page.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('hidden', c.id !== `tab-${tab.dataset.tab}`));
+            if (tab.dataset.tab === 'applications') loadApplications();
+            if (tab.dataset.tab === 'videos') loadNetworkVideos();
+            if (tab.dataset.tab === 'suggestions') loadSuggestions();
+        });
+    });
+}
+
 // ===== INIT =====
 
+// Used by app.js (feed search results and the Networks button)
+window.loadNetworks = loadNetworks;
+window.openNetwork = openNetwork;
+window.themeName = themeName;
+
 function initNetworks() {
     const networkForm = document.getElementById('network-form');
     const profileForm = document.getElementById('profile-form');
@@ -279,8 +1403,20 @@ function initNetworks() {
 
     if (networkForm) networkForm.addEventListener('submit', handleNetworkForm);
     if (profileForm) profileForm.addEventListener('submit', handleProfileForm);
+    document.getElementById('application-form')?.addEventListener('submit', handleApplicationForm);
+    document.getElementById('btn-close-application-modal')?.addEventListener('click', () => {
+        document.getElementById('application-modal').classList.add('hidden');
+    });
     if (btnCreateNetwork) btnCreateNetwork.addEventListener('click', () => toggleNetworkModal(true));
     if (btnCloseNetworkModal) btnCloseNetworkModal.addEventListener('click', () => toggleNetworkModal(false));
+    setupNetworkTabs();
+    window.addEventListener('hw:notification', handleNetworkNotification);
+
+    ['filter-theme', 'filter-type', 'filter-sort', 'filter-open'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => loadNetworks());
+    });
+    document.getElementById('btn-more-networks')?.addEventListener('click', () => loadNetworks(networksState.discovery.page + 1));
+    loadTaxonomy().catch(console.error);
 }
 
 // Auto-init if elements exist
@@ -0,0 +1,98 @@
+// Realtime - publish/subscribe fan-out behind the Server-Sent Events stream
+// Events are published on named channels ("user:<id>", "video:<id>") and handed
+// to the listeners subscribed to that channel on every server instance. With
+// REALTIME_TRANSPORT=postgres (default) they travel through Postgres
+// NOTIFY/LISTEN on DATABASE_URL; with "memory", or while the LISTEN connection
+// is down, they stay inside this process. NOTIFY caps payloads at 8000 bytes:
+// publish ids and let clients fetch the records they need.
+
+import pg from 'pg';
+
+const PG_CHANNEL = 'hw_realtime';
+const MAX_PAYLOAD_BYTES = 7900;
+const RECONNECT_MS = 5000;
+
+const listeners = new Map(); // channel -> Set of listener(event, data)
+let client = null; // LISTEN connection while the Postgres transport is up
+
+// Subscribe to a channel on this instance; returns the unsubscribe function
+export function subscribe(channel, listener) {
+    if (!listeners.has(channel)) listeners.set(channel, new Set());
+    listeners.get(channel).add(listener);
+
+    return () => {
+        const set = listeners.get(channel);
+        if (!set) return;
+        set.delete(listener);
+        if (set.size === 0) listeners.delete(channel);
+    };
+}
+
+function deliver({ channel, event, data }) {
+    listeners.get(channel)?.forEach(listener => {
+        try {
+            listener(event, data);
+        } catch (err) {
+            console.error(`Realtime listener on ${channel} failed:`, err);
+        }
+    });
+}
+
+// Publish to every instance. Never throws: a lost live update must not fail the request behind it.
+export async function publish(channel, event, data = {}) {
+    const message = { channel, event, data };
+    if (!client) return deliver(message);
+
+    const payload = JSON.stringify(message);
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+        console.error(`Realtime event ${event} too large for NOTIFY, delivered on this instance only`);
+        return deliver(message);
+    }
+
+    try {
+        await client.query('SELECT pg_notify($1, $2)', [PG_CHANNEL, payload]);
+    } catch (err) {
+        console.error('Realtime publish failed, delivered on this instance only:', err.message);
+        deliver(message);
+    }
+}
+
+// Open the LISTEN connection (long-lived servers only); reconnects when it drops
+export async function startRealtime() {
+    if ((process.env.REALTIME_TRANSPORT || 'postgres') !== 'postgres') return;
+
+    const retry = () => setTimeout(connect, RECONNECT_MS).unref();
+
+    async function connect() {
+        const next = new pg.Client({ connectionString: process.env.DATABASE_URL });
+        let dropped = false;
+        const drop = err => {
+            if (dropped) return;
+            dropped = true;
+            if (client === next) client = null;
+            console.error('Realtime LISTEN connection lost:', err?.message || 'closed');
+            next.end().catch(() => {});
+            retry();
+        };
+
+        next.on('notification', msg => {
+            try {
+                deliver(JSON.parse(msg.payload));
+            } catch (err) {
+                console.error('Bad realtime payload:', err.message);
+            }
+        });
+        next.on('error', drop);
+        next.on('end', () => drop());
+
+        try {
+            await next.connect();
+            await next.query(`LISTEN ${PG_CHANNEL}`);
+            client = next;
+        } catch (err) {
+            drop(err);
+        }
+    }
+
+    await connect();
+}
@@ -6,11 +6,29 @@ import morgan from 'morgan';
 import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 import { PrismaClient } from '@prisma/client';
-import { v4 as uuidv4 } from 'uuid';
-import { S3Client, PutObjectCommand, GetObjectCommand, CreateBucketCommand, HeadBucketCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
+import { ensureBucket, presignGet } from './storage.js';
+import { setupMediaRoutes, enqueueMediaJobs, resumeMediaJobs, withMediaUrls, softDeleteVideo, startVideoPurge, canWatchVideo, DELETE_GRACE_MS } from './server_media.js';
+import { setupViewRoutes, startViewRollup } from './server_views.js';
+import { setupSearchRoutes } from './server_search.js';
+import { setupUploadRoutes, verifyUpload, finalizeUpload, uploadAlreadyUsed, startUploadSweeper } from './server_uploads.js';
+import { setupAccountRoutes, sendVerificationEmail, requireVerifiedEmail } from './server_account.js';
+import { setupAdminRoutes, promoteConfiguredAdmins } from './server_admin.js';
+import { setupModerationRoutes } from './server_moderation.js';
+import { setupNoteRoutes } from './server_notes.js';
+import { setupCommentRoutes } from './server_comments.js';
+import { setupSubscriptionRoutes, followedIds, notifySubscribers } from './server_subscriptions.js';
+import { setupNotificationRoutes } from './server_notifications.js';
+import { setupEventRoutes } from './server_events.js';
+import { setupChannelRoutes } from './server_channels.js';
+import { setupApplicationRoutes } from './server_applications.js';
+import { setupAnalyticsRoutes, startAnalyticsRollup } from './server_analytics.js';
+import { setupStudioRoutes } from './server_studio.js';
+import { startRealtime } from './realtime.js';
+import { normalizeTag } from './suggestions.js';
+import { can } from './policy.js';
+import { createAuthMiddleware, createSession, clearSessionCookie, getSession, startSessionCleanup } from './auth.js';
 
 dotenv.config();
 
@@ -18,37 +36,6 @@ const prisma = new PrismaClient();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// S3 Configuration
-const s3 = new S3Client({
-  region: process.env.S3_REGION || 'us-east-1',
-  endpoint: process.env.S3_ENDPOINT,
-  forcePathStyle: true, // Needed for MinIO
-  credentials: {
-    accessKeyId: process.env.S3_ACCESS_KEY,
-    secretAccessKey: process.env.S3_SECRET_KEY,
-  },
-});
-const BUCKET_NAME = process.env.S3_BUCKET || 'videos';
-
-// Ensure Bucket Exists
-async function ensureBucket() {
-  try {
-    await s3.send(new HeadBucketCommand({ Bucket: BUCKET_NAME }));
-    console.log(`Bucket '${BUCKET_NAME}' exists.`);
-  } catch (error) {
-    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
-      console.log(`Bucket '${BUCKET_NAME}' not found. Creating...`);
-      try {
-        await s3.send(new CreateBucketCommand({ Bucket: BUCKET_NAME }));
-        console.log(`Bucket '${BUCKET_NAME}' created.`);
-      } catch (err) {
-        console.error('Failed to create bucket:', err);
-      }
-    } else {
-      console.error('Error checking bucket:', error);
-    }
-  }
-}
 ensureBucket();
 
 // Trust proxy (required for Render)
@@ -60,7 +47,7 @@ app.use(helmet({
     directives: {
       defaultSrc: ["'self'"],
       connectSrc: ["'self'", "https://vsxaqsgcrpijascpitkf.supabase.co", "http://localhost:9000", "https://localhost:9000"],
-      mediaSrc: ["'self'", "https://vsxaqsgcrpijascpitkf.supabase.co", "http://localhost:9000", "https://localhost:9000"],
+      mediaSrc: ["'self'", "blob:", "https://vsxaqsgcrpijascpitkf.supabase.co", "http://localhost:9000", "https://localhost:9000"],
       imgSrc: ["'self'", "data:", "blob:", "https://vsxaqsgcrpijascpitkf.supabase.co", "http://localhost:9000", "https://localhost:9000"],
       scriptSrc: ["'self'", "'unsafe-inline'"], // Allow inline scripts if needed for simple frontend
     },
@@ -74,37 +61,25 @@ app.use(express.json());
 app.use(cookieParser());
 app.use(morgan('dev'));
 app.use(express.static('public'));
+app.get('/vendor/hls.min.js', (req, res) => res.sendFile('node_modules/hls.js/dist/hls.min.js', { root: process.cwd() }));
 
 // Rate Limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: req => req.path.endsWith('/heartbeat') // player heartbeats have their own budget below
 });
 app.use('/api/', limiter);
 
-// Auth Middleware
-const authMiddleware = async (req, res, next) => {
-  const token = req.cookies['hw_token'];
-  if (!token) return res.status(401).json({ error: 'Not authenticated' });
-
-  try {
-    const session = await prisma.session.findUnique({
-      where: { token },
-      include: { user: true }
-    });
-
-    if (!session) {
-      res.clearCookie('hw_token');
-      return res.status(401).json({ error: 'Session invalid' });
-    }
+// Playback heartbeats: one every few seconds per playing video (see server_views.js)
+const heartbeatLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 600
+});
+app.use('/api/videos/:id/heartbeat', heartbeatLimiter);
 
-    req.user = session.user;
-    next();
-  } catch (error) {
-    console.error('Auth error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-};
+// Auth Middleware (expiry enforced, sliding renewal)
+const authMiddleware = createAuthMiddleware(prisma);
 
 // Validation Schemas
 const signupSchema = z.object({
@@ -118,14 +93,29 @@ const loginSchema = z.object({
   password: z.string()
 });
 
+// Tags are stored lowercase and de-duplicated; network suggestions match them against themes
+const tagsSchema = z.array(z.string().trim().min(1).max(30)).max(10)
+  .transform(tags => [...new Set(tags.map(normalizeTag))]);
+
 const videoSchema = z.object({
   title: z.string().min(1),
   description: z.string().optional(),
+  tags: tagsSchema.optional(),
   s3Key: z.string()
 });
 
-const commentSchema = z.object({
-  text: z.string().min(1)
+const videoUpdateSchema = z.object({
+  title: z.string().min(1).optional(),
+  description: z.string().optional(),
+  tags: tagsSchema.optional()
+});
+
+const feedQuerySchema = z.object({
+  cursor: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  uploaderId: z.string().uuid().optional(),
+  networkId: z.string().uuid().optional(),
+  theme: z.string().min(1).max(50).optional()
 });
 
 // --- Routes ---
@@ -145,7 +135,7 @@ app.post('/api/signup', async (req, res) => {
     if (existing) return res.status(400).json({ error: 'User already exists' });
 
     const passwordHash = await bcrypt.hash(password, 10);
-    await prisma.user.create({
+    const user = await prisma.user.create({
       data: {
         email,
         passwordHash,
@@ -153,6 +143,9 @@ app.post('/api/signup', async (req, res) => {
       }
     });
 
+    // The account works right away; uploading waits for the email confirmation
+    sendVerificationEmail(prisma, user).catch(err => console.error('Verification mail error:', err));
+
     res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ error: e.errors?.[0]?.message || e.message });
@@ -167,120 +160,205 @@ app.post('/api/login', async (req, res) => {
     if (!user || !await bcrypt.compare(password, user.passwordHash)) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    if (user.suspendedAt) return res.status(403).json({ error: 'Account suspended' });
 
-    const token = uuidv4();
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
-    await prisma.session.create({
-      data: {
-        token,
-        userId: user.id,
-        expiresAt
-      }
-    });
+    await createSession(prisma, req, res, user);
 
-    res.cookie('hw_token', token, {
-      httpOnly: true,
-      sameSite: 'lax',
-      secure: process.env.NODE_ENV === 'production'
+    res.json({
+      ok: true,
+      user: { id: user.id, email: user.email, displayName: user.displayName, role: user.role, emailVerified: !!user.emailVerifiedAt }
     });
-
-    res.json({ ok: true, user: { id: user.id, email: user.email, displayName: user.displayName } });
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
 app.post('/api/logout', authMiddleware, async (req, res) => {
-  const token = req.cookies['hw_token'];
-  if (token) {
-    await prisma.session.deleteMany({ where: { token } });
-  }
-  res.clearCookie('hw_token');
+  await prisma.session.deleteMany({ where: { id: req.authSession.id } });
+  clearSessionCookie(res);
   res.json({ ok: true });
 });
 
 app.get('/api/me', async (req, res) => {
-  const token = req.cookies['hw_token'];
-  if (!token) return res.json({ user: null });
-
-  const session = await prisma.session.findUnique({
-    where: { token },
-    include: { user: true }
+  const session = await getSession(prisma, req, res);
+  if (!session || session.user.suspendedAt) return res.json({ user: null });
+
+  res.json({
+    user: {
+      id: session.user.id,
+      email: session.user.email,
+      displayName: session.user.displayName,
+      role: session.user.role,
+      emailVerified: !!session.user.emailVerifiedAt
+    }
   });
+});
 
-  if (!session) {
-    res.clearCookie('hw_token');
-    return res.json({ user: null });
+// Feed cursor: which phase (0 = viewer's networks first, 1 = everything else)
+// plus the (createdAt, id) of the last video returned
+function encodeCursor(phase, video) {
+  const payload = video ? { p: phase, c: video.createdAt, id: video.id } : { p: phase };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return { p: 0 };
+  try {
+    const { p, c, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (![0, 1].includes(p)) throw new Error();
+    if (id === undefined) return { p };
+    if (typeof id !== 'string' || isNaN(Date.parse(c))) throw new Error();
+    return { p, c: new Date(c), id };
+  } catch {
+    throw new Error('Invalid cursor');
   }
+}
 
-  res.json({ user: { id: session.user.id, email: session.user.email, displayName: session.user.displayName } });
-});
+function afterCursor(cursor) {
+  if (!cursor.id) return {};
+  return {
+    OR: [
+      { createdAt: { lt: cursor.c } },
+      { createdAt: cursor.c, id: { lt: cursor.id } }
+    ]
+  };
+}
 
 // Videos
 app.get('/api/videos', async (req, res) => {
+  let query;
+  let cursor;
+  try {
+    query = feedQuerySchema.parse(req.query);
+    cursor = decodeCursor(query.cursor);
+  } catch (e) {
+    return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+  }
+
   try {
     // Get user's networks if authenticated
     let userNetworkIds = [];
-    const token = req.cookies['hw_token'];
-
-    if (token) {
-      const session = await prisma.session.findUnique({
-        where: { token },
+    const session = await getSession(prisma, req, res, {
+      user: {
         include: {
-          user: {
-            include: {
-              memberships: {
-                where: { status: 'active' },
-                select: { networkId: true }
-              }
-            }
+          memberships: {
+            where: { status: 'active' },
+            select: { networkId: true }
           }
         }
+      }
+    });
+
+    if (session) {
+      userNetworkIds = session.user.memberships.map(m => m.networkId);
+    }
+
+    // Filters (hidden videos are under moderation, deleted ones await purging)
+    const filters = [{ hiddenAt: null, deletedAt: null }];
+    if (query.uploaderId) filters.push({ uploaderId: query.uploaderId });
+    if (query.networkId) {
+      filters.push({ uploader: { memberships: { some: { status: 'active', networkId: query.networkId } } } });
+    }
+    if (query.theme) {
+      filters.push({ uploader: { memberships: { some: { status: 'active', network: { themes: { has: query.theme } } } } } });
+    }
+
+    // Smart ordering: videos from the viewer's networks first, then the others,
+    // each phase newest first. Viewers without networks only have phase 1.
+    const inUserNetworks = { uploader: { memberships: { some: { status: 'active', networkId: { in: userNetworkIds } } } } };
+    const phases = userNetworkIds.length > 0
+      ? [{ p: 0, where: inUserNetworks }, { p: 1, where: { NOT: inUserNetworks } }]
+      : [{ p: 1, where: {} }];
+
+    const videos = [];
+    let nextCursor = null;
+
+    for (const phase of phases) {
+      if (phase.p < cursor.p) continue;
+      const remaining = query.limit - videos.length;
+
+      const page = await prisma.video.findMany({
+        where: {
+          AND: [...filters, phase.where, phase.p === cursor.p ? afterCursor(cursor) : {}]
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: remaining + 1,
+        include: { uploader: { select: { displayName: true } } }
       });
 
-      if (session) {
-        userNetworkIds = session.user.memberships.map(m => m.networkId);
+      const pageVideos = page.slice(0, remaining);
+      videos.push(...pageVideos.map(v => ({ ...v, fromNetwork: phase.p === 0 })));
+
+      if (page.length > remaining) {
+        nextCursor = encodeCursor(phase.p, pageVideos[pageVideos.length - 1]);
+        break;
+      }
+      // Phase exhausted exactly at the page boundary: continue from the next phase
+      if (videos.length === query.limit) {
+        nextCursor = phase.p === 0 ? encodeCursor(1) : null;
+        break;
       }
     }
 
-    // Fetch all videos with uploader info
-    const allVideos = await prisma.video.findMany({
-      orderBy: { createdAt: 'desc' },
-      include: {
-        uploader: {
-          select: {
-            displayName: true,
-            memberships: {
-              where: { status: 'active' },
-              select: { networkId: true }
-            }
-          }
-        }
-      }
-    });
+    // Map to match frontend expectations
+    const mapped = await Promise.all(videos.map(async v => ({
+      ...await withMediaUrls(v),
+      uploaderName: v.uploader.displayName
+    })));
 
-    // Smart sorting: Network videos first, then others
-    const sortedVideos = allVideos.sort((a, b) => {
-      const aInNetwork = a.uploader.memberships.some(m => userNetworkIds.includes(m.networkId));
-      const bInNetwork = b.uploader.memberships.some(m => userNetworkIds.includes(m.networkId));
+    res.json({ videos: mapped, nextCursor });
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({ error: 'Error loading feed' });
+  }
+});
 
-      if (aInNetwork && !bInNetwork) return -1;
-      if (!aInNetwork && bInNetwork) return 1;
+// Following feed: uploads of followed creators and of every active member of
+// followed networks, newest first (single phase, so the cursor phase stays 0)
+app.get('/api/feed/following', authMiddleware, async (req, res) => {
+  let query;
+  let cursor;
+  try {
+    query = feedQuerySchema.pick({ cursor: true, limit: true }).parse(req.query);
+    cursor = decodeCursor(query.cursor);
+  } catch (e) {
+    return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+  }
 
-      // Both in network or both not: sort by date
-      return new Date(b.createdAt) - new Date(a.createdAt);
+  try {
+    const { creatorIds, networkIds } = await followedIds(prisma, req.user.id);
+    if (creatorIds.length === 0 && networkIds.length === 0) return res.json({ videos: [], nextCursor: null });
+
+    const page = await prisma.video.findMany({
+      where: {
+        AND: [
+          { hiddenAt: null, deletedAt: null },
+          {
+            OR: [
+              { uploaderId: { in: creatorIds } },
+              { uploader: { memberships: { some: { status: 'active', networkId: { in: networkIds } } } } }
+            ]
+          },
+          afterCursor(cursor)
+        ]
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: query.limit + 1,
+      include: { uploader: { select: { displayName: true } } }
     });
 
-    // Map to match frontend expectations
-    const mapped = sortedVideos.map(v => ({
-      ...v,
-      uploaderName: v.uploader.displayName,
-      fromNetwork: v.uploader.memberships.some(m => userNetworkIds.includes(m.networkId))
-    }));
+    const videos = page.slice(0, query.limit);
+    const mapped = await Promise.all(videos.map(async v => ({
+      ...await withMediaUrls(v),
+      uploaderName: v.uploader.displayName
+    })));
 
-    res.json(mapped);
+    res.json({
+      videos: mapped,
+      nextCursor: page.length > query.limit ? encodeCursor(0, videos[videos.length - 1]) : null
+    });
   } catch (error) {
-    console.error('Feed error:', error);
+    console.error('Following feed error:', error);
     res.status(500).json({ error: 'Error loading feed' });
   }
 });
@@ -290,84 +368,105 @@ app.get('/api/videos/:id', async (req, res) => {
     where: { id: req.params.id },
     include: { uploader: { select: { displayName: true } } }
   });
-  if (!video) return res.status(404).json({ error: 'Video not found' });
+  if (!video || video.deletedAt) return res.status(404).json({ error: 'Video not found' });
+
+  // Hidden videos stay reachable for their uploader and for moderators reviewing them
+  if (!await canWatchVideo(prisma, req, res, video)) return res.status(404).json({ error: 'Video not found' });
 
-  res.json({ ...video, uploaderName: video.uploader.displayName });
+  res.json({ ...await withMediaUrls(video), uploaderName: video.uploader.displayName });
 });
 
-// Upload Flow
-app.post('/api/upload-url', authMiddleware, async (req, res) => {
+// Upload Flow (upload URLs come from the uploads feature, see server_uploads.js)
+setupUploadRoutes(app, prisma, authMiddleware);
+
+app.post('/api/videos', authMiddleware, requireVerifiedEmail, async (req, res) => {
   try {
-    const { filename, mimetype } = req.body;
-    if (!filename || !mimetype) return res.status(400).json({ error: 'Missing file info' });
-
-    const key = `${uuidv4()}-${filename}`;
-    const command = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-      ContentType: mimetype,
-    });
+    const data = videoSchema.parse(req.body);
 
-    let url = await getSignedUrl(s3, command, { expiresIn: 3600 });
+    // The object must be this user's finalized-able upload and a real video
+    const intent = await verifyUpload(prisma, req.user, data.s3Key, 'video');
 
-    // Hack for local MinIO: force HTTP if endpoint is HTTP
-    if (process.env.S3_ENDPOINT && process.env.S3_ENDPOINT.startsWith('http://')) {
-      url = url.replace('https://', 'http://');
-    }
+    const [, video] = await prisma.$transaction([
+      finalizeUpload(prisma, intent),
+      prisma.video.create({
+        data: {
+          ...data,
+          uploaderId: req.user.id
+        }
+      })
+    ]);
+
+    // Upload is complete at this point: thumbnails and HLS ladder are built in the background
+    enqueueMediaJobs(prisma, video.id);
+    notifySubscribers(prisma, video).catch(err => console.error('Upload notification failed:', err));
 
-    res.json({ url, key });
+    res.json({ ok: true, video });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to generate upload URL' });
+    if (uploadAlreadyUsed(e)) return res.status(409).json({ error: 'Upload already used' });
+    res.status(400).json({ error: e.errors?.[0]?.message || e.message });
   }
 });
 
-app.post('/api/videos', authMiddleware, async (req, res) => {
+// Edit Video (uploader only)
+app.patch('/api/videos/:id', authMiddleware, async (req, res) => {
   try {
-    const data = videoSchema.parse(req.body);
+    const data = videoUpdateSchema.parse(req.body);
 
-    const video = await prisma.video.create({
-      data: {
-        ...data,
-        uploaderId: req.user.id
-      }
-    });
+    const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+    if (!video || video.deletedAt) return res.status(404).json({ error: 'Video not found' });
+    if (!can(req.user, 'video:update', video)) return res.status(403).json({ error: 'Not authorized' });
 
-    res.json({ ok: true, video });
+    const updated = await prisma.video.update({ where: { id: video.id }, data });
+    res.json({ ok: true, video: await withMediaUrls(updated) });
   } catch (e) {
     res.status(400).json({ error: e.errors?.[0]?.message || e.message });
   }
 });
 
-// Stream
-app.get('/api/videos/:id/stream', async (req, res) => {
-  try {
-    const video = await prisma.video.findUnique({ where: { id: req.params.id } });
-    if (!video) return res.status(404).json({ error: 'Video not found' });
+// Delete Video (uploader only): soft delete, restorable until the purge job runs
+app.delete('/api/videos/:id', authMiddleware, async (req, res) => {
+  const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+  if (!video || video.deletedAt) return res.status(404).json({ error: 'Video not found' });
+  if (!can(req.user, 'video:update', video)) return res.status(403).json({ error: 'Not authorized' });
 
-    const command = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: video.s3Key
-    });
+  const deleted = await softDeleteVideo(prisma, video.id, req.user.id);
+  res.json({ ok: true, restorableUntil: new Date(deleted.deletedAt.getTime() + DELETE_GRACE_MS) });
+});
 
-    let url = await getSignedUrl(s3, command, { expiresIn: 3600 });
+// Restore Deleted Video (uploader only, within the grace period; not after a staff removal)
+app.post('/api/videos/:id/restore', authMiddleware, async (req, res) => {
+  const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+  if (!video || !video.deletedAt) return res.status(404).json({ error: 'Deleted video not found' });
+  if (!can(req.user, 'video:update', video)) return res.status(403).json({ error: 'Not authorized' });
+  if (video.deletedById && video.deletedById !== video.uploaderId) {
+    return res.status(403).json({ error: 'Video removed by staff' });
+  }
+  if (video.deletedAt.getTime() + DELETE_GRACE_MS < Date.now()) {
+    return res.status(410).json({ error: 'Restore period expired' });
+  }
 
-    console.log('Original Stream URL:', url);
+  await prisma.video.update({ where: { id: video.id }, data: { deletedAt: null, deletedById: null } });
+  res.json({ ok: true });
+});
 
-    // Force HTTP for local MinIO
-    if (url.includes('localhost:9000')) {
-      url = url.replace('https://', 'http://');
+// Stream
+app.get('/api/videos/:id/stream', async (req, res) => {
+  try {
+    const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+    if (!video || video.deletedAt || !await canWatchVideo(prisma, req, res, video)) {
+      return res.status(404).json({ error: 'Video not found' });
     }
 
-    console.log('Final Stream URL:', url);
+    // Serve the adaptive stream once transcoded; ?format=original forces the raw upload
+    const useHls = video.processingStatus === 'ready' && req.query.format !== 'original';
+    const url = useHls
+      ? `/api/videos/${video.id}/hls/master.m3u8`
+      : await presignGet(video.s3Key);
 
-    // Increment views (fire and forget)
-    prisma.video.update({
-      where: { id: video.id },
-      data: { views: { increment: 1 } }
-    }).catch(console.error);
+    // Views are registered by the player via POST /api/videos/:id/views, so
+    // refreshes and range re-requests of this redirect are never counted
 
-    // Redirect to the S3 URL
+    // Redirect to the HLS playlist or the presigned S3 URL
     res.redirect(url);
   } catch (e) {
     console.error(e);
@@ -375,48 +474,57 @@ app.get('/api/videos/:id/stream', async (req, res) => {
   }
 });
 
-// Comments
-app.get('/api/videos/:id/comments', async (req, res) => {
-  const comments = await prisma.comment.findMany({
-    where: { videoId: req.params.id },
-    orderBy: { createdAt: 'desc' },
-    include: { user: { select: { displayName: true } } }
-  });
+// ===== ACCOUNT FEATURE =====
+// Email verification, password reset and sessions
+setupAccountRoutes(app, prisma, authMiddleware);
 
-  const mapped = comments.map(c => ({
-    ...c,
-    userName: c.user.displayName
-  }));
+// ===== COMMENTS FEATURE =====
+setupCommentRoutes(app, prisma, authMiddleware);
 
-  res.json(mapped);
-});
+// ===== SUBSCRIPTIONS FEATURE =====
+setupSubscriptionRoutes(app, prisma, authMiddleware);
 
-app.post('/api/videos/:id/comments', authMiddleware, async (req, res) => {
-  try {
-    const { text } = commentSchema.parse(req.body);
+// ===== NOTIFICATIONS FEATURE =====
+setupNotificationRoutes(app, prisma, authMiddleware);
 
-    const comment = await prisma.comment.create({
-      data: {
-        text,
-        videoId: req.params.id,
-        userId: req.user.id
-      },
-      include: { user: { select: { displayName: true } } }
-    });
+// ===== EVENTS FEATURE =====
+setupEventRoutes(app, prisma, authMiddleware);
 
-    res.json({
-      ok: true,
-      comment: { ...comment, userName: comment.user.displayName }
-    });
-  } catch (e) {
-    res.status(400).json({ error: e.message });
-  }
-});
+// ===== MEDIA FEATURE =====
+setupMediaRoutes(app, prisma, authMiddleware);
+
+// ===== VIEWS FEATURE =====
+setupViewRoutes(app, prisma);
+
+// ===== SEARCH FEATURE =====
+setupSearchRoutes(app, prisma);
+
+// ===== ADMIN FEATURE =====
+setupAdminRoutes(app, prisma, authMiddleware);
+promoteConfiguredAdmins(prisma).catch(console.error);
+
+// ===== NOTES FEATURE =====
+setupNoteRoutes(app, prisma, authMiddleware);
+
+// ===== MODERATION FEATURE =====
+setupModerationRoutes(app, prisma, authMiddleware);
 
 // ===== NETWORKS FEATURE =====
-import { setupNetworkRoutes } from './server_networks.js';
+import { setupNetworkRoutes, startInvitationExpiry } from './server_networks.js';
 setupNetworkRoutes(app, prisma, authMiddleware);
 
+// ===== APPLICATIONS FEATURE =====
+setupApplicationRoutes(app, prisma, authMiddleware);
+
+// ===== CHANNELS FEATURE =====
+setupChannelRoutes(app, prisma, authMiddleware);
+
+// ===== ANALYTICS FEATURE =====
+setupAnalyticsRoutes(app, prisma, authMiddleware);
+
+// ===== STUDIO FEATURE =====
+setupStudioRoutes(app, prisma, authMiddleware);
+
 // Export for Vercel
 export default app;
 
@@ -425,4 +533,14 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
+
+  // Background workers only run on a long-lived server
+  resumeMediaJobs(prisma).catch(console.error);
+  startViewRollup(prisma);
+  startSessionCleanup(prisma);
+  startVideoPurge(prisma);
+  startUploadSweeper(prisma);
+  startInvitationExpiry(prisma);
+  startAnalyticsRollup(prisma);
+  startRealtime().catch(console.error);
 }
@@ -0,0 +1,261 @@
+// Account Feature - email verification, password reset/change and sessions
+// Tokens are random, sent by mail and stored only as sha256 hashes with an expiry.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
+import { sendMail } from './mailer.js';
+import { clearSessionCookie } from './auth.js';
+
+const VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+const RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const verifySchema = z.object({
+    token: z.string().min(1)
+});
+
+const forgotSchema = z.object({
+    email: z.string().email()
+});
+
+const resetSchema = z.object({
+    token: z.string().min(1),
+    password: z.string().min(6)
+});
+
+const changePasswordSchema = z.object({
+    currentPassword: z.string(),
+    newPassword: z.string().min(6)
+});
+
+function newToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function appUrl(params) {
+    const base = process.env.PUBLIC_URL || 'http://localhost:3000';
+    return `${base}/?${new URLSearchParams(params)}`;
+}
+
+export async function sendVerificationEmail(prisma, user) {
+    const { token, tokenHash } = newToken();
+
+    // Only the latest link stays valid
+    await prisma.$transaction([
+        prisma.emailVerificationToken.deleteMany({ where: { userId: user.id } }),
+        prisma.emailVerificationToken.create({
+            data: {
+                userId: user.id,
+                tokenHash,
+                expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS)
+            }
+        })
+    ]);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Conferma la tua email su Hello World! Tube',
+        text: `Ciao ${user.displayName || ''},\n\nconferma il tuo indirizzo email aprendo questo link:\n${appUrl({ verify: token })}\n\nIl link scade tra 48 ore.`
+    });
+}
+
+// Blocks actions (uploads) until the user has confirmed their email
+export function requireVerifiedEmail(req, res, next) {
+    if (!req.user.emailVerifiedAt) {
+        return res.status(403).json({ error: 'Email not verified' });
+    }
+    next();
+}
+
+export function setupAccountRoutes(app, prisma, authMiddleware) {
+
+    // ===== EMAIL VERIFICATION =====
+
+    // Verify Email
+    app.post('/api/verify-email', async (req, res) => {
+        try {
+            const { token } = verifySchema.parse(req.body);
+
+            const record = await prisma.emailVerificationToken.findUnique({
+                where: { tokenHash: hashToken(token) }
+            });
+            if (!record || record.expiresAt < new Date()) {
+                return res.status(400).json({ error: 'Invalid or expired token' });
+            }
+
+            await prisma.$transaction([
+                prisma.user.update({
+                    where: { id: record.userId },
+                    data: { emailVerifiedAt: new Date() }
+                }),
+                prisma.emailVerificationToken.deleteMany({ where: { userId: record.userId } })
+            ]);
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Resend Verification Email
+    app.post('/api/verify-email/resend', authMiddleware, async (req, res) => {
+        if (req.user.emailVerifiedAt) return res.status(400).json({ error: 'Email already verified' });
+
+        try {
+            await sendVerificationEmail(prisma, req.user);
+            res.json({ ok: true });
+        } catch (e) {
+            console.error('Mail error:', e);
+            res.status(500).json({ error: 'Failed to send email' });
+        }
+    });
+
+    // ===== PASSWORD RESET =====
+
+    // Request Reset (always answers ok, so it can't be used to probe for accounts)
+    app.post('/api/password/forgot', async (req, res) => {
+        let email;
+        try {
+            ({ email } = forgotSchema.parse(req.body));
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        try {
+            const user = await prisma.user.findUnique({ where: { email } });
+            if (user) {
+                // Only the latest link stays valid: earlier unused ones go
+                const { token, tokenHash } = newToken();
+                await prisma.$transaction([
+                    prisma.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } }),
+                    prisma.passwordResetToken.create({
+                        data: {
+                            userId: user.id,
+                            tokenHash,
+                            expiresAt: new Date(Date.now() + RESET_TTL_MS)
+                        }
+                    })
+                ]);
+
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reimposta la password di Hello World! Tube',
+                    text: `Ciao ${user.displayName || ''},\n\nper scegliere una nuova password apri questo link:\n${appUrl({ reset: token })}\n\nIl link scade tra un'ora. Se non hai chiesto tu il reset, ignora questa email.`
+                });
+            }
+
+            res.json({ ok: true });
+        } catch (e) {
+            console.error('Password reset error:', e);
+            res.status(500).json({ error: 'Failed to send email' });
+        }
+    });
+
+    // Reset Password
+    app.post('/api/password/reset', async (req, res) => {
+        try {
+            const { token, password } = resetSchema.parse(req.body);
+
+            const tokenHash = hashToken(token);
+            const record = await prisma.passwordResetToken.findUnique({
+                where: { tokenHash },
+                include: { user: { select: { emailVerifiedAt: true } } }
+            });
+            if (!record || record.usedAt || record.expiresAt < new Date()) {
+                return res.status(400).json({ error: 'Invalid or expired token' });
+            }
+
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            // The token is consumed by a conditional update, so two concurrent
+            // requests with the same link cannot both set a password.
+            // Receiving the mail proves ownership of the address as well.
+            // Existing sessions are logged out: whoever knew the old password loses access.
+            const consumed = await prisma.$transaction(async (tx) => {
+                const now = new Date();
+                const { count } = await tx.passwordResetToken.updateMany({
+                    where: { tokenHash, usedAt: null, expiresAt: { gt: now } },
+                    data: { usedAt: now }
+                });
+                if (count !== 1) return false;
+
+                await tx.user.update({
+                    where: { id: record.userId },
+                    data: { passwordHash, emailVerifiedAt: record.user.emailVerifiedAt || now }
+                });
+                await tx.session.deleteMany({ where: { userId: record.userId } });
+                return true;
+            });
+            if (!consumed) return res.status(400).json({ error: 'Invalid or expired token' });
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Change Password (other devices are logged out, this one stays signed in)
+    app.post('/api/password/change', authMiddleware, async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = changePasswordSchema.parse(req.body);
+
+            if (!await bcrypt.compare(currentPassword, req.user.passwordHash)) {
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+
+            const passwordHash = await bcrypt.hash(newPassword, 10);
+            const [, revoked] = await prisma.$transaction([
+                prisma.user.update({ where: { id: req.user.id }, data: { passwordHash } }),
+                prisma.session.deleteMany({ where: { userId: req.user.id, id: { not: req.authSession.id } } })
+            ]);
+
+            res.json({ ok: true, revokedSessions: revoked.count });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // ===== SESSIONS =====
+
+    // List Active Sessions (devices)
+    app.get('/api/sessions', authMiddleware, async (req, res) => {
+        const sessions = await prisma.session.findMany({
+            where: { userId: req.user.id, expiresAt: { gt: new Date() } },
+            select: {
+                id: true,
+                userAgent: true,
+                ip: true,
+                createdAt: true,
+                lastSeenAt: true,
+                expiresAt: true
+            },
+            orderBy: { lastSeenAt: 'desc' }
+        });
+
+        res.json(sessions.map(s => ({ ...s, current: s.id === req.authSession.id })));
+    });
+
+    // Revoke All Other Sessions
+    app.delete('/api/sessions', authMiddleware, async (req, res) => {
+        const { count } = await prisma.session.deleteMany({
+            where: { userId: req.user.id, id: { not: req.authSession.id } }
+        });
+        res.json({ ok: true, revokedSessions: count });
+    });
+
+    // Revoke Session
+    app.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+        const session = await prisma.session.findUnique({ where: { id: req.params.id } });
+        if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Session not found' });
+
+        await prisma.session.delete({ where: { id: session.id } });
+        if (session.id === req.authSession.id) clearSessionCookie(res);
+
+        res.json({ ok: true });
+    });
+}
@@ -0,0 +1,165 @@
+// Admin Feature - platform administration API
+// Users: listing, suspension, roles (admins). Content removal: videos and
+// comments (moderators and admins), networks (admins).
+
+import { z } from 'zod';
+import { can, requireRole, ROLES } from './policy.js';
+import { softDeleteVideo } from './server_media.js';
+
+const userListSchema = z.object({
+    q: z.string().trim().max(100).optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+});
+
+const suspendSchema = z.object({
+    reason: z.string().max(500).optional()
+});
+
+const roleSchema = z.object({
+    role: z.enum(ROLES)
+});
+
+// Emails listed in ADMIN_EMAILS (comma separated) are promoted on startup,
+// so a fresh deployment can get its first admin
+export async function promoteConfiguredAdmins(prisma) {
+    const emails = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+    if (emails.length === 0) return;
+
+    const { count } = await prisma.user.updateMany({
+        where: { email: { in: emails }, role: { not: 'admin' } },
+        data: { role: 'admin' }
+    });
+    if (count > 0) console.log(`Promoted ${count} user(s) to admin`);
+}
+
+export function setupAdminRoutes(app, prisma, authMiddleware) {
+
+    const staffOnly = [authMiddleware, requireRole('moderator', 'admin')];
+    const adminOnly = [authMiddleware, requireRole('admin')];
+
+    // ===== USERS =====
+
+    // List Users (?q= matches email or display name)
+    app.get('/api/admin/users', adminOnly, async (req, res) => {
+        try {
+            const { q, page, limit } = userListSchema.parse(req.query);
+            const where = q
+                ? {
+                    OR: [
+                        { email: { contains: q, mode: 'insensitive' } },
+                        { displayName: { contains: q, mode: 'insensitive' } }
+                    ]
+                }
+                : {};
+
+            const [users, total] = await Promise.all([
+                prisma.user.findMany({
+                    where,
+                    select: {
+                        id: true,
+                        email: true,
+                        displayName: true,
+                        role: true,
+                        emailVerifiedAt: true,
+                        suspendedAt: true,
+                        suspendedReason: true,
+                        createdAt: true,
+                        _count: { select: { videos: true, comments: true, ownedNetworks: true } }
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    skip: (page - 1) * limit,
+                    take: limit
+                }),
+                prisma.user.count({ where })
+            ]);
+
+            res.json({ users, total, page, limit });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Suspend User (also ends all their sessions)
+    app.post('/api/admin/users/:id/suspend', adminOnly, async (req, res) => {
+        try {
+            const { reason } = suspendSchema.parse(req.body);
+            if (req.params.id === req.user.id) return res.status(400).json({ error: 'Cannot suspend yourself' });
+
+            const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+            if (!user) return res.status(404).json({ error: 'User not found' });
+
+            await prisma.$transaction([
+                prisma.user.update({
+                    where: { id: user.id },
+                    data: { suspendedAt: new Date(), suspendedReason: reason }
+                }),
+                prisma.session.deleteMany({ where: { userId: user.id } })
+            ]);
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Lift Suspension
+    app.post('/api/admin/users/:id/unsuspend', adminOnly, async (req, res) => {
+        const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { suspendedAt: null, suspendedReason: null }
+        });
+
+        res.json({ ok: true });
+    });
+
+    // Change Platform Role
+    app.patch('/api/admin/users/:id/role', adminOnly, async (req, res) => {
+        try {
+            const { role } = roleSchema.parse(req.body);
+            if (req.params.id === req.user.id) return res.status(400).json({ error: 'Cannot change your own role' });
+
+            const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+            if (!user) return res.status(404).json({ error: 'User not found' });
+
+            await prisma.user.update({ where: { id: user.id }, data: { role } });
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // ===== CONTENT =====
+
+    // Delete Any Video (same soft delete and purge as the uploader's own delete, but the uploader can't restore it)
+    app.delete('/api/admin/videos/:id', staffOnly, async (req, res) => {
+        const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+        if (!video || video.deletedAt) return res.status(404).json({ error: 'Video not found' });
+        if (!can(req.user, 'video:delete', video)) return res.status(403).json({ error: 'Not authorized' });
+
+        await softDeleteVideo(prisma, video.id, req.user.id);
+        res.json({ ok: true });
+    });
+
+    // Delete Any Comment
+    app.delete('/api/admin/comments/:id', staffOnly, async (req, res) => {
+        const comment = await prisma.comment.findUnique({ where: { id: req.params.id } });
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+        if (!can(req.user, 'comment:delete', comment)) return res.status(403).json({ error: 'Not authorized' });
+
+        await prisma.comment.delete({ where: { id: comment.id } });
+        res.json({ ok: true });
+    });
+
+    // Delete Any Network
+    app.delete('/api/admin/networks/:id', adminOnly, async (req, res) => {
+        const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+
+        await prisma.network.delete({ where: { id: network.id } });
+        res.json({ ok: true });
+    });
+}
@@ -0,0 +1,273 @@
+// Analytics Feature - daily rollups and the network dashboard
+// A periodic job rebuilds one row per video, creator and network for each UTC
+// day (VideoDailyStat, CreatorDailyStat, NetworkDailyStat) from the raw views,
+// playback sessions, comments, uploads, subscriptions, memberships and
+// applications. Days are rebuilt whole, so the job can rerun them at will: each
+// run redoes the last rolled-up day and everything since, which also fills the
+// gap after downtime. Dashboards (this one and the creator studio in
+// server_studio.js) only read the rollups; today's numbers lag by up to one run.
+
+import { z } from 'zod';
+import { can } from './policy.js';
+import { enqueue, schedule } from './jobs.js';
+import { findNetwork } from './server_networks.js';
+
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+const BACKFILL_DAYS = 90; // history rebuilt on the first run
+const DAYS_PER_RUN = 7; // a longer backfill is split into runs, each queued behind the periodic jobs waiting
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_VIDEOS = 5;
+
+const rangeSchema = z.object({
+    days: z.coerce.number().int().min(7).max(365).default(30)
+});
+
+// Midnight UTC of the day holding date
+export function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// "2026-10-20", the key of a day in rollups and API responses
+export function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Rebuild the rollup rows of the UTC day starting at start
+async function rollupDay(prisma, start) {
+    const end = new Date(start.getTime() + DAY_MS);
+    const day = dayKey(start);
+
+    await prisma.$transaction([
+        prisma.videoDailyStat.deleteMany({ where: { day: start } }),
+        prisma.$executeRaw`
+            INSERT INTO "VideoDailyStat" ("videoId", "uploaderId", "day", "views", "viewers", "comments",
+                "feedViews", "networkViews", "shareViews", "sessions", "watchSeconds")
+            SELECT v."id", v."uploaderId", ${day}::date, COALESCE(e."views", 0), COALESCE(e."viewers", 0), COALESCE(c."comments", 0),
+                COALESCE(e."feedViews", 0), COALESCE(e."networkViews", 0), COALESCE(e."shareViews", 0),
+                COALESCE(p."sessions", 0), COALESCE(p."watchSeconds", 0)
+            FROM (
+                SELECT "videoId", count(*)::int AS "views", count(DISTINCT "viewerHash")::int AS "viewers",
+                    count(*) FILTER (WHERE "source" = 'feed')::int AS "feedViews",
+                    count(*) FILTER (WHERE "source" = 'network')::int AS "networkViews",
+                    count(*) FILTER (WHERE "source" = 'share')::int AS "shareViews"
+                FROM "ViewEvent" WHERE "createdAt" >= ${start} AND "createdAt" < ${end}
+                GROUP BY "videoId"
+            ) e
+            FULL JOIN (
+                SELECT "videoId", count(*)::int AS "comments"
+                FROM "Comment" WHERE "createdAt" >= ${start} AND "createdAt" < ${end} AND "hiddenAt" IS NULL
+                GROUP BY "videoId"
+            ) c ON c."videoId" = e."videoId"
+            FULL JOIN (
+                SELECT "videoId", count(*)::int AS "sessions", sum("watchedSeconds") AS "watchSeconds"
+                FROM "PlaybackSession" WHERE "startedAt" >= ${start} AND "startedAt" < ${end}
+                GROUP BY "videoId"
+            ) p ON p."videoId" = COALESCE(e."videoId", c."videoId")
+            JOIN "Video" v ON v."id" = COALESCE(e."videoId", c."videoId", p."videoId")
+        `,
+        prisma.creatorDailyStat.deleteMany({ where: { day: start } }),
+        prisma.$executeRaw`
+            INSERT INTO "CreatorDailyStat" ("userId", "day", "uploads", "newFollowers")
+            SELECT COALESCE(u."userId", f."userId"), ${day}::date, COALESCE(u."uploads", 0), COALESCE(f."newFollowers", 0)
+            FROM (
+                SELECT "uploaderId" AS "userId", count(*)::int AS "uploads"
+                FROM "Video" WHERE "createdAt" >= ${start} AND "createdAt" < ${end} AND "deletedAt" IS NULL
+                GROUP BY "uploaderId"
+            ) u
+            FULL JOIN (
+                SELECT "creatorId" AS "userId", count(*)::int AS "newFollowers"
+                FROM "Subscription" WHERE "creatorId" IS NOT NULL AND "createdAt" >= ${start} AND "createdAt" < ${end}
+                GROUP BY "creatorId"
+            ) f ON f."userId" = u."userId"
+        `,
+        prisma.networkDailyStat.deleteMany({ where: { day: start } }),
+        prisma.$executeRaw`
+            INSERT INTO "NetworkDailyStat" ("networkId", "day", "followers", "newFollowers", "newMembers", "applications", "approved", "rejected")
+            SELECT n."id", ${day}::date, subs."followers", subs."newFollowers", members."newMembers",
+                apps."applications", apps."approved", apps."rejected"
+            FROM "Network" n
+            CROSS JOIN LATERAL (
+                SELECT count(*)::int AS "followers",
+                    count(*) FILTER (WHERE s."createdAt" >= ${start})::int AS "newFollowers"
+                FROM "Subscription" s WHERE s."networkId" = n."id" AND s."createdAt" < ${end}
+            ) subs
+            CROSS JOIN LATERAL (
+                SELECT count(*)::int AS "newMembers"
+                FROM "NetworkMembership" m
+                WHERE m."networkId" = n."id" AND m."status" = 'active' AND m."joinedAt" >= ${start} AND m."joinedAt" < ${end}
+            ) members
+            CROSS JOIN LATERAL (
+                SELECT count(*) FILTER (WHERE a."submittedAt" >= ${start} AND a."submittedAt" < ${end})::int AS "applications",
+                    count(*) FILTER (WHERE a."status" = 'approved' AND a."decidedAt" >= ${start} AND a."decidedAt" < ${end})::int AS "approved",
+                    count(*) FILTER (WHERE a."status" = 'rejected' AND a."decidedAt" >= ${start} AND a."decidedAt" < ${end})::int AS "rejected"
+                FROM "NetworkApplication" a WHERE a."networkId" = n."id"
+            ) apps
+            WHERE n."createdAt" < ${end}
+        `
+    ]);
+}
+
+// Rebuild the last rolled-up day (it may have been partial) up to today, at most
+// DAYS_PER_RUN days at a time: resolves to the day to resume from, or null once
+// today is rolled up
+export async function rollupAnalytics(prisma, from = null) {
+    const today = startOfDay(new Date());
+    let day = from;
+    if (!day) {
+        const [{ last }] = await prisma.$queryRaw`
+            SELECT GREATEST(
+                (SELECT max("day") FROM "VideoDailyStat"),
+                (SELECT max("day") FROM "CreatorDailyStat"),
+                (SELECT max("day") FROM "NetworkDailyStat")
+            ) AS "last"
+        `;
+        day = last ? startOfDay(last) : new Date(today.getTime() - (BACKFILL_DAYS - 1) * DAY_MS);
+    }
+
+    for (let n = 0; day <= today; day = new Date(day.getTime() + DAY_MS), n++) {
+        if (n === DAYS_PER_RUN) return day;
+        await rollupDay(prisma, day);
+    }
+    return null;
+}
+
+// Runs once at startup, so a fresh install gets its history without waiting an
+// interval. Until caught up the job re-queues itself, so the other periodic jobs
+// (view rollups, sweeps) run between its chunks instead of after all of them.
+export function startAnalyticsRollup(prisma) {
+    let resumeFrom = null;
+    const task = async () => {
+        resumeFrom = await rollupAnalytics(prisma, resumeFrom);
+        if (resumeFrom) setImmediate(() => enqueue('analytics:rollup', task));
+    };
+    enqueue('analytics:rollup', task);
+    return schedule('analytics:rollup', ROLLUP_INTERVAL_MS, task);
+}
+
+// Sums of a groupBy row's _sum, with nulls (no rows) as 0
+function sums(row, fields) {
+    return Object.fromEntries(fields.map(field => [field, row?._sum[field] || 0]));
+}
+
+export function setupAnalyticsRoutes(app, prisma, authMiddleware) {
+
+    // ===== NETWORK DASHBOARD =====
+
+    // Network Analytics (?days=): daily series, per-member totals, top videos and the
+    // application funnel over the last days. Member numbers cover the current active
+    // members from the day they joined, and only videos uploaded since: former members
+    // are left out entirely, and a video counts whole even if it is also shown in
+    // other networks (views are not attributed per network).
+    app.get('/api/networks/:id/analytics', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = rangeSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:viewAnalytics', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        const to = startOfDay(new Date());
+        const from = new Date(to.getTime() - (params.days - 1) * DAY_MS);
+
+        const memberships = await prisma.networkMembership.findMany({
+            where: { networkId: network.id, status: 'active' },
+            include: { user: { select: { id: true, displayName: true } } }
+        });
+        // Each member's stats start when they joined, so a join doesn't rewrite past days
+        const videoWhere = {
+            day: { gte: from },
+            OR: memberships.map(m => ({
+                uploaderId: m.userId,
+                day: { gte: startOfDay(m.joinedAt) },
+                video: { createdAt: { gte: m.joinedAt } }
+            }))
+        };
+        const creatorWhere = {
+            day: { gte: from },
+            OR: memberships.map(m => ({ userId: m.userId, day: { gte: startOfDay(m.joinedAt) } }))
+        };
+
+        const [videoDays, creatorDays, networkDays, videoMembers, creatorMembers, topRows] = await Promise.all([
+            prisma.videoDailyStat.groupBy({ by: ['day'], where: videoWhere, _sum: { views: true, comments: true } }),
+            prisma.creatorDailyStat.groupBy({ by: ['day'], where: creatorWhere, _sum: { uploads: true, newFollowers: true } }),
+            prisma.networkDailyStat.findMany({ where: { networkId: network.id, day: { gte: from } } }),
+            prisma.videoDailyStat.groupBy({ by: ['uploaderId'], where: videoWhere, _sum: { views: true, comments: true } }),
+            prisma.creatorDailyStat.groupBy({ by: ['userId'], where: creatorWhere, _sum: { uploads: true, newFollowers: true } }),
+            prisma.videoDailyStat.groupBy({
+                by: ['videoId'],
+                where: videoWhere,
+                _sum: { views: true, comments: true },
+                orderBy: { _sum: { views: 'desc' } },
+                take: TOP_VIDEOS
+            })
+        ]);
+
+        // One entry per day of the range, zeros where nothing happened
+        const byDay = new Map();
+        for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+            byDay.set(dayKey(day), { day: dayKey(day), uploads: 0, views: 0, comments: 0, memberFollowers: 0, followers: 0, newFollowers: 0 });
+        }
+        const entryOf = row => byDay.get(dayKey(row.day)) || {};
+        videoDays.forEach(row => Object.assign(entryOf(row), sums(row, ['views', 'comments'])));
+        creatorDays.forEach(row => Object.assign(entryOf(row), {
+            uploads: row._sum.uploads || 0,
+            memberFollowers: row._sum.newFollowers || 0
+        }));
+        networkDays.forEach(row => Object.assign(entryOf(row), { followers: row.followers, newFollowers: row.newFollowers }));
+
+        // Days not rolled up yet (today, before the first run) keep the last known follower count
+        const daily = [...byDay.values()];
+        const rolledUp = new Set(networkDays.map(row => dayKey(row.day)));
+        daily.forEach((entry, i) => {
+            if (i > 0 && !rolledUp.has(entry.day)) entry.followers = daily[i - 1].followers;
+        });
+
+        const videoByMember = new Map(videoMembers.map(row => [row.uploaderId, sums(row, ['views', 'comments'])]));
+        const creatorByMember = new Map(creatorMembers.map(row => [row.userId, sums(row, ['uploads', 'newFollowers'])]));
+        const members = memberships.map(m => ({
+            id: m.userId,
+            displayName: m.user.displayName,
+            role: m.role,
+            ...(videoByMember.get(m.userId) || { views: 0, comments: 0 }),
+            ...(creatorByMember.get(m.userId) || { uploads: 0, newFollowers: 0 })
+        })).sort((a, b) => b.views - a.views);
+
+        const titles = await prisma.video.findMany({
+            where: { id: { in: topRows.map(row => row.videoId) }, deletedAt: null },
+            select: { id: true, title: true, uploader: { select: { displayName: true } } }
+        });
+        const byId = new Map(titles.map(v => [v.id, v]));
+        const topVideos = topRows.filter(row => byId.has(row.videoId)).map(row => ({
+            id: row.videoId,
+            title: byId.get(row.videoId).title,
+            uploaderName: byId.get(row.videoId).uploader.displayName,
+            ...sums(row, ['views', 'comments'])
+        }));
+
+        const total = field => daily.reduce((sum, entry) => sum + entry[field], 0);
+        const funnel = ['applications', 'approved', 'rejected'].map(field => [field, networkDays.reduce((sum, row) => sum + row[field], 0)]);
+
+        res.json({
+            from: dayKey(from),
+            to: dayKey(to),
+            totals: {
+                uploads: total('uploads'),
+                views: total('views'),
+                comments: total('comments'),
+                newFollowers: total('newFollowers'),
+                memberFollowers: total('memberFollowers'),
+                followers: await prisma.subscription.count({ where: { networkId: network.id } }),
+                newMembers: networkDays.reduce((sum, row) => sum + row.newMembers, 0),
+                members: memberships.length
+            },
+            daily,
+            members,
+            topVideos,
+            funnel: Object.fromEntries(funnel)
+        });
+    });
+}
@@ -0,0 +1,321 @@
+// Applications Feature - "Lavora con noi"
+// Networks open to applications define their own questions (portfolio links,
+// channel stats, availability...); applicants answer them and may attach up
+// to MAX_SAMPLE_VIDEOS of their own videos. Reviewers (owner and admins, see
+// network:reviewApplications) work the board: notes for each other, shortlist,
+// then approve or reject with a reason the applicant receives. One row per
+// network and applicant: reapplying reuses it, once REAPPLY_COOLDOWN_MS has
+// passed since a rejection.
+
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+import { can } from './policy.js';
+import { notify } from './server_notifications.js';
+import { withMediaUrls } from './server_media.js';
+import { findNetwork, memberIdsWith } from './server_networks.js';
+
+const QUESTION_TYPES = ['text', 'longtext', 'url', 'number'];
+const MAX_QUESTIONS = 10;
+const MAX_SAMPLE_VIDEOS = 5;
+const REAPPLY_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['pending', 'shortlisted'];
+const DECIDED_STATUSES = ['approved', 'rejected'];
+
+const questionSchema = z.object({
+    id: z.string().min(1).max(40).optional(), // kept on edits so existing answers still match
+    label: z.string().trim().min(1).max(200),
+    type: z.enum(QUESTION_TYPES).default('text'),
+    required: z.boolean().default(false)
+});
+
+const formSchema = z.object({
+    questions: z.array(questionSchema).max(MAX_QUESTIONS)
+});
+
+const applicationSchema = z.object({
+    message: z.string().max(500).optional(),
+    answers: z.record(z.union([z.string(), z.number()])).default({}),
+    sampleVideoIds: z.array(z.string().uuid()).max(MAX_SAMPLE_VIDEOS).default([])
+});
+
+const boardQuerySchema = z.object({
+    status: z.enum(['open', 'decided']).default('open')
+});
+
+const decisionSchema = z.object({
+    action: z.enum(['shortlist', 'unshortlist', 'approve', 'reject']),
+    reason: z.string().trim().max(500).optional()
+});
+
+const noteSchema = z.object({
+    text: z.string().trim().min(1).max(2000)
+});
+
+// Answers keyed by question id, checked against the network's questions; unknown keys are dropped
+function checkAnswers(questions, answers) {
+    const checked = {};
+    for (const question of questions) {
+        const value = String(answers[question.id] ?? '').trim();
+        if (!value) {
+            if (question.required) throw new Error(`"${question.label}" is required`);
+            continue;
+        }
+        if (value.length > (question.type === 'longtext' ? 2000 : 300)) throw new Error(`"${question.label}" is too long`);
+        if (question.type === 'url' && !(/^https?:\/\//i.test(value) && z.string().url().safeParse(value).success)) {
+            throw new Error(`"${question.label}" must be a link (http or https)`);
+        }
+        if (question.type === 'number' && !Number.isFinite(Number(value))) throw new Error(`"${question.label}" must be a number`);
+        checked[question.id] = question.type === 'number' ? Number(value) : value;
+    }
+    return checked;
+}
+
+// When a rejected applicant may apply again (null if they may now)
+function reapplyAt(application) {
+    if (application.status !== 'rejected' || !application.decidedAt) return null;
+    const at = new Date(application.decidedAt.getTime() + REAPPLY_COOLDOWN_MS);
+    return at > new Date() ? at : null;
+}
+
+export function setupApplicationRoutes(app, prisma, authMiddleware) {
+
+    // Sample videos of some applications, visible ones only, by id
+    async function sampleVideos(applications) {
+        const videos = await prisma.video.findMany({
+            where: {
+                id: { in: applications.flatMap(a => a.sampleVideoIds) },
+                uploaderId: { in: applications.map(a => a.applicantId) },
+                hiddenAt: null,
+                deletedAt: null
+            },
+            include: { uploader: { select: { displayName: true } } }
+        });
+        return new Map(await Promise.all(videos.map(async v => [v.id, {
+            ...await withMediaUrls(v),
+            uploaderName: v.uploader.displayName
+        }])));
+    }
+
+    // ===== APPLICANTS =====
+
+    // My Application to a network (null if none), with when a rejected applicant may reapply
+    app.get('/api/networks/:id/application', authMiddleware, async (req, res) => {
+        const application = await prisma.networkApplication.findUnique({
+            where: { networkId_applicantId: { networkId: req.params.id, applicantId: req.user.id } }
+        });
+
+        res.json({ application, reapplyAt: application && reapplyAt(application) });
+    });
+
+    // Apply to Network (answers to its questions, optional sample videos)
+    app.post('/api/networks/:id/apply', authMiddleware, async (req, res) => {
+        try {
+            const data = applicationSchema.parse(req.body);
+
+            const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+            if (!network || network.hiddenAt) return res.status(404).json({ error: 'Network not found' });
+            if (!network.openToApplications) return res.status(400).json({ error: 'This network is not accepting applications' });
+
+            const member = await prisma.networkMembership.findUnique({
+                where: { networkId_userId: { networkId: network.id, userId: req.user.id } }
+            });
+            if (member) return res.status(400).json({ error: 'Already member' });
+
+            const existing = await prisma.networkApplication.findUnique({
+                where: { networkId_applicantId: { networkId: network.id, applicantId: req.user.id } }
+            });
+            if (existing && OPEN_STATUSES.includes(existing.status)) return res.status(400).json({ error: 'You already applied to this network' });
+            const cooldown = existing && reapplyAt(existing);
+            if (cooldown) return res.status(400).json({ error: `You can apply again from ${cooldown.toISOString().slice(0, 10)}` });
+
+            const answers = checkAnswers(network.applicationQuestions, data.answers);
+            const sampleVideoIds = [...new Set(data.sampleVideoIds)];
+            const owned = await prisma.video.count({
+                where: { id: { in: sampleVideoIds }, uploaderId: req.user.id, hiddenAt: null, deletedAt: null }
+            });
+            if (owned !== sampleVideoIds.length) return res.status(400).json({ error: 'Sample videos must be your own uploads' });
+
+            const fields = {
+                message: data.message,
+                answers,
+                sampleVideoIds,
+                status: 'pending',
+                rejectionReason: null,
+                submittedAt: new Date(),
+                decidedAt: null
+            };
+            const application = await prisma.networkApplication.upsert({
+                where: { networkId_applicantId: { networkId: network.id, applicantId: req.user.id } },
+                create: { networkId: network.id, applicantId: req.user.id, ...fields },
+                update: fields
+            });
+
+            await notify(prisma, await memberIdsWith(prisma, network.id, 'network:reviewApplications'), {
+                type: 'network_application',
+                actorId: req.user.id,
+                data: { networkId: network.id, networkName: network.name, applicationId: application.id }
+            });
+
+            res.json({ ok: true, application });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Withdraw Application (while pending or shortlisted)
+    app.delete('/api/networks/:id/apply', authMiddleware, async (req, res) => {
+        const { count } = await prisma.networkApplication.updateMany({
+            where: { networkId: req.params.id, applicantId: req.user.id, status: { in: OPEN_STATUSES } },
+            data: { status: 'withdrawn' }
+        });
+        if (count === 0) return res.status(404).json({ error: 'No open application' });
+
+        res.json({ ok: true });
+    });
+
+    // ===== REVIEW BOARD =====
+
+    // Set Application Form (replaces the questions; new ones get an id)
+    app.put('/api/networks/:id/application-form', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:reviewApplications', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { questions } = formSchema.parse(req.body);
+            const applicationQuestions = questions.map(q => ({ ...q, id: q.id || randomUUID() }));
+
+            await prisma.network.update({ where: { id: network.id }, data: { applicationQuestions } });
+            res.json({ ok: true, questions: applicationQuestions });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // List Applications (?status=open: pending and shortlisted; decided: the latest decisions)
+    app.get('/api/networks/:id/applications', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = boardQuerySchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:reviewApplications', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        const decided = params.status === 'decided';
+        const applications = await prisma.networkApplication.findMany({
+            where: { networkId: network.id, status: { in: decided ? DECIDED_STATUSES : OPEN_STATUSES } },
+            include: {
+                applicant: { select: { id: true, displayName: true, bio: true } },
+                notes: {
+                    include: { author: { select: { id: true, displayName: true } } },
+                    orderBy: { createdAt: 'asc' }
+                }
+            },
+            orderBy: decided ? { decidedAt: 'desc' } : { submittedAt: 'asc' },
+            take: decided ? 50 : undefined
+        });
+        const videos = await sampleVideos(applications);
+
+        res.json({
+            questions: network.applicationQuestions,
+            applications: applications.map(({ sampleVideoIds, ...a }) => ({
+                ...a,
+                sampleVideos: sampleVideoIds.filter(id => videos.has(id)).map(id => videos.get(id))
+            }))
+        });
+    });
+
+    // Review Application (shortlist, unshortlist, approve, or reject with an optional reason)
+    app.patch('/api/networks/:networkId/applications/:appId', authMiddleware, async (req, res) => {
+        let decision;
+        try {
+            decision = decisionSchema.parse(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const network = await findNetwork(prisma, req.params.networkId, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:reviewApplications', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        const application = await prisma.networkApplication.findFirst({
+            where: { id: req.params.appId, networkId: network.id }
+        });
+        if (!application) return res.status(404).json({ error: 'Application not found' });
+        if (!OPEN_STATUSES.includes(application.status)) return res.status(400).json({ error: `Application is ${application.status}` });
+
+        const { action, reason } = decision;
+        if (action === 'shortlist' || action === 'unshortlist') {
+            await prisma.networkApplication.update({
+                where: { id: application.id },
+                data: { status: action === 'shortlist' ? 'shortlisted' : 'pending' }
+            });
+            return res.json({ ok: true });
+        }
+
+        if (action === 'approve') {
+            await prisma.$transaction([
+                prisma.networkMembership.upsert({
+                    where: { networkId_userId: { networkId: network.id, userId: application.applicantId } },
+                    create: {
+                        networkId: network.id,
+                        userId: application.applicantId,
+                        role: 'member',
+                        status: 'active'
+                    },
+                    update: { status: 'active' }
+                }),
+                prisma.networkApplication.update({
+                    where: { id: application.id },
+                    data: { status: 'approved', decidedAt: new Date() }
+                })
+            ]);
+        } else {
+            await prisma.networkApplication.update({
+                where: { id: application.id },
+                data: { status: 'rejected', rejectionReason: reason || null, decidedAt: new Date() }
+            });
+        }
+
+        await notify(prisma, application.applicantId, {
+            type: action === 'approve' ? 'application_approved' : 'application_rejected',
+            actorId: req.user.id,
+            data: {
+                networkId: network.id,
+                networkName: network.name,
+                ...(action === 'reject' && reason ? { reason } : {})
+            }
+        });
+
+        res.json({ ok: true });
+    });
+
+    // Add Reviewer Note
+    app.post('/api/networks/:networkId/applications/:appId/notes', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.networkId, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:reviewApplications', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const application = await prisma.networkApplication.findFirst({
+                where: { id: req.params.appId, networkId: network.id }
+            });
+            if (!application) return res.status(404).json({ error: 'Application not found' });
+
+            const { text } = noteSchema.parse(req.body);
+            const note = await prisma.networkApplicationNote.create({
+                data: { applicationId: application.id, authorId: req.user.id, text },
+                include: { author: { select: { id: true, displayName: true } } }
+            });
+
+            res.json({ ok: true, note });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+}
@@ -0,0 +1,347 @@
+// Channels Feature - a network's public home, TV-channel style
+// The channel aggregates the videos of the network's active members and adds
+// what its owner, admins and editors curate: featured videos, playlists and the
+// palinsesto, a schedule of non-overlapping slots each airing one video from
+// startsAt for its duration. Only videos of active members can be curated, and
+// videos that are hidden, deleted or whose uploader left drop out of every listing.
+
+import { z } from 'zod';
+import { can } from './policy.js';
+import { withMediaUrls } from './server_media.js';
+import { findNetwork } from './server_networks.js';
+
+const MAX_FEATURED = 12;
+const MAX_PLAYLIST_ITEMS = 200;
+const RECENT_LIMIT = 12;
+const PLAYLIST_PREVIEW_ITEMS = 4;
+const UPCOMING_LIMIT = 10;
+
+const featuredSchema = z.object({
+    videoIds: z.array(z.string().uuid()).max(MAX_FEATURED)
+});
+
+const playlistSchema = z.object({
+    title: z.string().trim().min(1).max(100),
+    description: z.string().max(500).optional(),
+    videoIds: z.array(z.string().uuid()).max(MAX_PLAYLIST_ITEMS).default([])
+});
+
+const playlistUpdateSchema = z.object({
+    title: z.string().trim().min(1).max(100).optional(),
+    description: z.string().max(500).optional(),
+    videoIds: z.array(z.string().uuid()).max(MAX_PLAYLIST_ITEMS).optional()
+});
+
+const slotSchema = z.object({
+    videoId: z.string().uuid(),
+    startsAt: z.coerce.date()
+});
+
+const scheduleQuerySchema = z.object({
+    from: z.coerce.date().optional(),
+    days: z.coerce.number().int().min(1).max(31).default(7)
+});
+
+const videoInclude = { uploader: { select: { displayName: true } } };
+
+// Videos a network may show: visible and uploaded by one of its active members
+function channelVideo(networkId) {
+    return {
+        hiddenAt: null,
+        deletedAt: null,
+        uploader: { memberships: { some: { networkId, status: 'active' } } }
+    };
+}
+
+async function toVideoJson(video) {
+    return { ...await withMediaUrls(video), uploaderName: video.uploader.displayName };
+}
+
+// Curated rows (featured, playlist items, slots) with their video in API shape
+function withVideos(rows) {
+    return Promise.all(rows.map(async ({ video, ...row }) => ({ ...row, video: await toVideoJson(video) })));
+}
+
+export function setupChannelRoutes(app, prisma, authMiddleware) {
+
+    function findVisibleNetwork(id) {
+        return prisma.network.findFirst({ where: { id, hiddenAt: null } });
+    }
+
+    // De-duplicated ids, in order, all of them videos the network may show
+    async function checkVideos(networkId, videoIds) {
+        const ids = [...new Set(videoIds)];
+        const count = await prisma.video.count({ where: { id: { in: ids }, ...channelVideo(networkId) } });
+        if (count !== ids.length) throw new Error('Only videos of active members of the network can be added');
+        return ids;
+    }
+
+    function playlistItems(networkId, take) {
+        return {
+            where: { video: channelVideo(networkId) },
+            include: { video: { include: videoInclude } },
+            orderBy: { position: 'asc' },
+            ...(take ? { take } : {})
+        };
+    }
+
+    async function playlistJson(playlist) {
+        const { items, _count, ...rest } = playlist;
+        return { ...rest, itemCount: _count?.items ?? items.length, items: await withVideos(items) };
+    }
+
+    function listPlaylists(networkId) {
+        return prisma.networkPlaylist.findMany({
+            where: { networkId },
+            include: {
+                items: playlistItems(networkId, PLAYLIST_PREVIEW_ITEMS),
+                _count: { select: { items: { where: { video: channelVideo(networkId) } } } }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+    }
+
+    function listSlots(networkId, where, take) {
+        return prisma.networkScheduleSlot.findMany({
+            where: { networkId, video: channelVideo(networkId), ...where },
+            include: { video: { include: videoInclude } },
+            orderBy: { startsAt: 'asc' },
+            ...(take ? { take } : {})
+        });
+    }
+
+    async function slotsJson(slots) {
+        const now = new Date();
+        return (await withVideos(slots)).map(slot => ({ ...slot, onAir: slot.startsAt <= now && slot.endsAt > now }));
+    }
+
+    // ===== CHANNEL HOME =====
+
+    // Get Channel (public home: featured, playlists, what's on air and next, latest member videos)
+    app.get('/api/networks/:id/channel', async (req, res) => {
+        const network = await prisma.network.findUnique({
+            where: { id: req.params.id },
+            include: {
+                owner: { select: { id: true, displayName: true } },
+                _count: { select: { memberships: { where: { status: 'active' } }, subscriptions: true } }
+            }
+        });
+        if (!network || network.hiddenAt) return res.status(404).json({ error: 'Network not found' });
+
+        const [featured, playlists, slots, recent] = await Promise.all([
+            prisma.networkFeaturedVideo.findMany({
+                where: { networkId: network.id, video: channelVideo(network.id) },
+                include: { video: { include: videoInclude } },
+                orderBy: { position: 'asc' }
+            }),
+            listPlaylists(network.id),
+            listSlots(network.id, { endsAt: { gt: new Date() } }, UPCOMING_LIMIT),
+            prisma.video.findMany({
+                where: channelVideo(network.id),
+                include: videoInclude,
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                take: RECENT_LIMIT
+            })
+        ]);
+
+        // The full member video list pages through GET /api/videos?networkId=
+        res.json({
+            network,
+            featured: await Promise.all(featured.map(f => toVideoJson(f.video))),
+            playlists: await Promise.all(playlists.map(playlistJson)),
+            schedule: await slotsJson(slots),
+            recent: await Promise.all(recent.map(toVideoJson))
+        });
+    });
+
+    // ===== FEATURED VIDEOS =====
+
+    // Set Featured Videos (replaces the list; the order given is the display order)
+    app.put('/api/networks/:id/featured', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { videoIds } = featuredSchema.parse(req.body);
+            const ids = await checkVideos(network.id, videoIds);
+
+            await prisma.$transaction([
+                prisma.networkFeaturedVideo.deleteMany({ where: { networkId: network.id } }),
+                prisma.networkFeaturedVideo.createMany({
+                    data: ids.map((videoId, position) => ({ networkId: network.id, videoId, position }))
+                })
+            ]);
+
+            res.json({ ok: true, videoIds: ids });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // ===== PLAYLISTS =====
+
+    // List Playlists (with a preview of the first videos)
+    app.get('/api/networks/:id/playlists', async (req, res) => {
+        const network = await findVisibleNetwork(req.params.id);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+
+        const playlists = await listPlaylists(network.id);
+        res.json(await Promise.all(playlists.map(playlistJson)));
+    });
+
+    // Get Playlist (all videos, in order)
+    app.get('/api/networks/:id/playlists/:playlistId', async (req, res) => {
+        const network = await findVisibleNetwork(req.params.id);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+
+        const playlist = await prisma.networkPlaylist.findFirst({
+            where: { id: req.params.playlistId, networkId: network.id },
+            include: { items: playlistItems(network.id) }
+        });
+        if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+        res.json(await playlistJson(playlist));
+    });
+
+    // Create Playlist
+    app.post('/api/networks/:id/playlists', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { videoIds, ...data } = playlistSchema.parse(req.body);
+            const ids = await checkVideos(network.id, videoIds);
+
+            const playlist = await prisma.networkPlaylist.create({
+                data: {
+                    ...data,
+                    networkId: network.id,
+                    items: { create: ids.map((videoId, position) => ({ videoId, position })) }
+                }
+            });
+
+            res.json({ ok: true, playlist });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Update Playlist (title, description; videoIds replaces the items in the order given)
+    app.patch('/api/networks/:id/playlists/:playlistId', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const playlist = await prisma.networkPlaylist.findFirst({
+                where: { id: req.params.playlistId, networkId: network.id }
+            });
+            if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+
+            const { videoIds, ...data } = playlistUpdateSchema.parse(req.body);
+            const ids = videoIds && await checkVideos(network.id, videoIds);
+
+            const [updated] = await prisma.$transaction([
+                prisma.networkPlaylist.update({ where: { id: playlist.id }, data }),
+                ...(ids ? [
+                    prisma.networkPlaylistItem.deleteMany({ where: { playlistId: playlist.id } }),
+                    prisma.networkPlaylistItem.createMany({
+                        data: ids.map((videoId, position) => ({ playlistId: playlist.id, videoId, position }))
+                    })
+                ] : [])
+            ]);
+
+            res.json({ ok: true, playlist: updated });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Delete Playlist
+    app.delete('/api/networks/:id/playlists/:playlistId', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        const { count } = await prisma.networkPlaylist.deleteMany({
+            where: { id: req.params.playlistId, networkId: network.id }
+        });
+        if (count === 0) return res.status(404).json({ error: 'Playlist not found' });
+
+        res.json({ ok: true });
+    });
+
+    // ===== PALINSESTO =====
+
+    // Get Schedule (?from=&days=, slots overlapping the window, in airing order)
+    app.get('/api/networks/:id/schedule', async (req, res) => {
+        let params;
+        try {
+            params = scheduleQuerySchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const network = await findVisibleNetwork(req.params.id);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+
+        const from = params.from || new Date();
+        const to = new Date(from.getTime() + params.days * 24 * 60 * 60 * 1000);
+        const slots = await listSlots(network.id, { endsAt: { gt: from }, startsAt: { lt: to } });
+
+        res.json({ from, to, slots: await slotsJson(slots) });
+    });
+
+    // Schedule Video (the slot lasts as long as the video and may not overlap another)
+    app.post('/api/networks/:id/schedule', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { videoId, startsAt } = slotSchema.parse(req.body);
+            if (startsAt <= new Date()) return res.status(400).json({ error: 'Slots must start in the future' });
+
+            const video = await prisma.video.findFirst({ where: { id: videoId, ...channelVideo(network.id) } });
+            if (!video) return res.status(400).json({ error: 'Only videos of active members of the network can be scheduled' });
+            if (!video.duration) return res.status(400).json({ error: 'Video is still processing' });
+
+            const endsAt = new Date(startsAt.getTime() + Math.ceil(video.duration) * 1000);
+            // Check and insert under a transaction-scoped lock on the network's schedule,
+            // so two editors scheduling at once cannot both take overlapping slots
+            const slot = await prisma.$transaction(async (tx) => {
+                await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtextextended(${'schedule|' + network.id}, 0))`;
+
+                const overlapping = await tx.networkScheduleSlot.findFirst({
+                    where: { networkId: network.id, startsAt: { lt: endsAt }, endsAt: { gt: startsAt } }
+                });
+                if (overlapping) return null;
+
+                return tx.networkScheduleSlot.create({
+                    data: { networkId: network.id, videoId, startsAt, endsAt }
+                });
+            });
+            if (!slot) return res.status(409).json({ error: 'The slot overlaps another one in the schedule' });
+
+            res.json({ ok: true, slot });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Remove Slot
+    app.delete('/api/networks/:id/schedule/:slotId', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:curate', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        const { count } = await prisma.networkScheduleSlot.deleteMany({
+            where: { id: req.params.slotId, networkId: network.id }
+        });
+        if (count === 0) return res.status(404).json({ error: 'Slot not found' });
+
+        res.json({ ok: true });
+    });
+}
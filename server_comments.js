@@ -0,0 +1,250 @@
+// Comments Feature - threaded comments, editing, deletion and likes
+// Threads are one level deep: a reply to a reply is attached to the top-level
+// comment. Top-level comments sort by "new" or "top" (likes); replies are
+// loaded per thread, oldest first, one page at a time.
+// Changes are published on the video's realtime channel (ids only) so open
+// players can fetch and show them live.
+
+import { z } from 'zod';
+import { can } from './policy.js';
+import { getSession } from './auth.js';
+import { notify } from './server_notifications.js';
+import { publish } from './realtime.js';
+
+const commentSchema = z.object({
+    text: z.string().trim().min(1).max(5000),
+    parentId: z.string().uuid().optional()
+});
+
+const commentUpdateSchema = z.object({
+    text: z.string().trim().min(1).max(5000)
+});
+
+const listSchema = z.object({
+    sort: z.enum(['new', 'top']).default('new'),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+const repliesSchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+const ORDER_BY = {
+    new: [{ createdAt: 'desc' }, { id: 'desc' }],
+    top: [{ likes: { _count: 'desc' } }, { createdAt: 'desc' }, { id: 'desc' }]
+};
+
+// Shared include: author, like and reply counts, and whether the viewer liked it
+function commentInclude(viewerId) {
+    return {
+        user: { select: { id: true, displayName: true } },
+        _count: { select: { likes: true, replies: { where: { hiddenAt: null } } } },
+        likes: viewerId ? { where: { userId: viewerId }, select: { userId: true } } : false
+    };
+}
+
+function toJson(comment) {
+    const { _count, likes, ...rest } = comment;
+    return {
+        ...rest,
+        userName: comment.user.displayName,
+        likeCount: _count.likes,
+        replyCount: _count.replies,
+        likedByMe: !!likes?.length
+    };
+}
+
+export function setupCommentRoutes(app, prisma, authMiddleware) {
+
+    async function findVideo(id) {
+        const video = await prisma.video.findUnique({ where: { id } });
+        if (!video || video.deletedAt || video.hiddenAt) return null;
+        return video;
+    }
+
+    async function findComment(id) {
+        return prisma.comment.findUnique({
+            where: { id },
+            include: { video: { select: { uploaderId: true } } }
+        });
+    }
+
+    // A comment others can see and interact with: not hidden, under a video that isn't either
+    async function findVisibleComment(id, include) {
+        const comment = await prisma.comment.findUnique({ where: { id }, include });
+        if (!comment || comment.hiddenAt || !await findVideo(comment.videoId)) return null;
+        return comment;
+    }
+
+    async function viewerId(req, res) {
+        const session = await getSession(prisma, req, res);
+        return session?.userId;
+    }
+
+    // ===== THREADS =====
+
+    // List Comments (?sort=new|top&page=&limit=), top-level only
+    app.get('/api/videos/:id/comments', async (req, res) => {
+        let params;
+        try {
+            params = listSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const video = await findVideo(req.params.id);
+        if (!video) return res.status(404).json({ error: 'Video not found' });
+
+        const page = await prisma.comment.findMany({
+            where: { videoId: video.id, parentId: null, hiddenAt: null },
+            orderBy: ORDER_BY[params.sort],
+            skip: (params.page - 1) * params.limit,
+            take: params.limit + 1,
+            include: commentInclude(await viewerId(req, res))
+        });
+
+        res.json({
+            comments: page.slice(0, params.limit).map(toJson),
+            page: params.page,
+            hasMore: page.length > params.limit
+        });
+    });
+
+    // List Replies (?page=&limit=), oldest first
+    app.get('/api/comments/:id/replies', async (req, res) => {
+        let params;
+        try {
+            params = repliesSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const parent = await findVisibleComment(req.params.id);
+        if (!parent) return res.status(404).json({ error: 'Comment not found' });
+
+        const page = await prisma.comment.findMany({
+            where: { parentId: parent.id, hiddenAt: null },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            skip: (params.page - 1) * params.limit,
+            take: params.limit + 1,
+            include: commentInclude(await viewerId(req, res))
+        });
+
+        res.json({
+            replies: page.slice(0, params.limit).map(toJson),
+            page: params.page,
+            hasMore: page.length > params.limit
+        });
+    });
+
+    // Get Comment (lets live clients fetch a comment announced on the stream)
+    app.get('/api/comments/:id', async (req, res) => {
+        const comment = await findVisibleComment(req.params.id, commentInclude(await viewerId(req, res)));
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+        res.json(toJson(comment));
+    });
+
+    // Post Comment or Reply
+    app.post('/api/videos/:id/comments', authMiddleware, async (req, res) => {
+        try {
+            const video = await findVideo(req.params.id);
+            if (!video) return res.status(404).json({ error: 'Video not found' });
+
+            const { text, parentId } = commentSchema.parse(req.body);
+
+            let parent = null;
+            if (parentId) {
+                parent = await prisma.comment.findUnique({ where: { id: parentId } });
+                if (!parent || parent.videoId !== video.id || parent.hiddenAt) {
+                    return res.status(404).json({ error: 'Comment not found' });
+                }
+            }
+
+            const comment = await prisma.comment.create({
+                data: {
+                    text,
+                    videoId: video.id,
+                    userId: req.user.id,
+                    parentId: parent ? parent.parentId || parent.id : null
+                },
+                include: commentInclude(req.user.id)
+            });
+
+            await publish(`video:${video.id}`, 'comment', { id: comment.id, parentId: comment.parentId, actorId: req.user.id });
+
+            // The author replied to hears about the reply; the uploader about any other comment
+            const data = { videoId: video.id, videoTitle: video.title, commentId: comment.id };
+            if (parent) await notify(prisma, parent.userId, { type: 'comment_reply', actorId: req.user.id, data });
+            if (video.uploaderId !== parent?.userId) {
+                await notify(prisma, video.uploaderId, { type: 'video_comment', actorId: req.user.id, data });
+            }
+
+            res.json({ ok: true, comment: toJson(comment) });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Edit Comment (author only)
+    app.patch('/api/comments/:id', authMiddleware, async (req, res) => {
+        try {
+            const comment = await findComment(req.params.id);
+            if (!comment) return res.status(404).json({ error: 'Comment not found' });
+            if (!can(req.user, 'comment:update', comment)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { text } = commentUpdateSchema.parse(req.body);
+            const updated = await prisma.comment.update({
+                where: { id: comment.id },
+                data: { text, editedAt: new Date() },
+                include: commentInclude(req.user.id)
+            });
+            await publish(`video:${comment.videoId}`, 'comment_updated', { id: comment.id, parentId: comment.parentId, actorId: req.user.id });
+
+            res.json({ ok: true, comment: toJson(updated) });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Delete Comment (author, video owner or staff; replies go with it)
+    app.delete('/api/comments/:id', authMiddleware, async (req, res) => {
+        const comment = await findComment(req.params.id);
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+        if (!can(req.user, 'comment:delete', comment)) return res.status(403).json({ error: 'Not authorized' });
+
+        await prisma.comment.delete({ where: { id: comment.id } });
+        await publish(`video:${comment.videoId}`, 'comment_deleted', { id: comment.id, parentId: comment.parentId, actorId: req.user.id });
+        res.json({ ok: true });
+    });
+
+    // ===== LIKES =====
+
+    // Like Comment (idempotent)
+    app.post('/api/comments/:id/like', authMiddleware, async (req, res) => {
+        const comment = await findVisibleComment(req.params.id);
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+        await prisma.commentLike.upsert({
+            where: { commentId_userId: { commentId: comment.id, userId: req.user.id } },
+            create: { commentId: comment.id, userId: req.user.id },
+            update: {}
+        });
+
+        const likeCount = await prisma.commentLike.count({ where: { commentId: comment.id } });
+        res.json({ ok: true, likeCount, likedByMe: true });
+    });
+
+    // Unlike Comment
+    app.delete('/api/comments/:id/like', authMiddleware, async (req, res) => {
+        const comment = await findVisibleComment(req.params.id);
+        if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+        await prisma.commentLike.deleteMany({ where: { commentId: comment.id, userId: req.user.id } });
+
+        const likeCount = await prisma.commentLike.count({ where: { commentId: comment.id } });
+        res.json({ ok: true, likeCount, likedByMe: false });
+    });
+}
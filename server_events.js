@@ -0,0 +1,69 @@
+// Events Feature - Server-Sent Events stream for live updates
+// One stream per signed-in tab (hw_token cookie, like every other route). It
+// carries the user's notifications and unread count and, with ?videoId=, the
+// comment activity of the video being watched. Clients reconnect with a new
+// videoId when they open another video. Fan-out across instances is realtime.js.
+
+import { z } from 'zod';
+import { subscribe } from './realtime.js';
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+const STREAM_MAX_MS = 30 * 60 * 1000; // the browser reconnects, re-checking the session
+
+const streamSchema = z.object({
+    videoId: z.string().uuid().optional()
+});
+
+export function setupEventRoutes(app, prisma, authMiddleware) {
+
+    // Event Stream
+    app.get('/api/events', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = streamSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const sendUnread = async () => {
+            try {
+                send('unread', { unreadCount: await prisma.notification.count({ where: { userId: req.user.id, readAt: null } }) });
+            } catch (err) {
+                console.error('Unread count for stream failed:', err);
+            }
+        };
+
+        // User channel: "notification" (a new one) and "notifications_read" (read elsewhere)
+        const unsubscribers = [
+            subscribe(`user:${req.user.id}`, (event, data) => {
+                if (event === 'notification') send('notification', data);
+                sendUnread();
+            })
+        ];
+        // Video channel: "comment", "comment_updated", "comment_deleted" with ids only
+        if (params.videoId) {
+            unsubscribers.push(subscribe(`video:${params.videoId}`, (event, data) => send(event, data)));
+        }
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        const expiry = setTimeout(() => res.end(), STREAM_MAX_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        });
+
+        await sendUnread();
+    });
+}
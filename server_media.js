@@ -0,0 +1,479 @@
+// Media Feature - HLS transcoding, thumbnails, purging and their routes
+// After upload, background jobs pull the original object and store derived
+// media next to it in the bucket:
+//   hls/<videoId>/master.m3u8
+//   hls/<videoId>/<rendition>/index.m3u8 + seg_000.ts ...
+//   thumbs/<videoId>/poster.jpg, sprite.jpg, sprite.vtt
+// Deleted videos are only marked (deletedAt); once the grace period is over a
+// periodic job removes the original, the derived objects and the record.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { z } from 'zod';
+import { enqueue, schedule } from './jobs.js';
+import { can } from './policy.js';
+import { getSession } from './auth.js';
+import { downloadObject, uploadFile, getObjectText, presignGet, deleteObject, deletePrefix } from './storage.js';
+import { verifyUpload, finalizeUpload, uploadAlreadyUsed } from './server_uploads.js';
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const SEGMENT_SECONDS = 6;
+
+export const DELETE_GRACE_MS = 7 * 24 * 60 * 60 * 1000; // deleted videos can be restored for 7 days
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Scrubbing sprite: at most MAX_SPRITE_FRAMES tiles of SPRITE_WIDTH x SPRITE_HEIGHT
+const SPRITE_WIDTH = 160;
+const SPRITE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const MAX_SPRITE_FRAMES = 100;
+
+// Adaptive bitrate ladder, highest first
+const RENDITIONS = [
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.jpg': 'image/jpeg',
+    '.vtt': 'text/vtt'
+};
+
+const thumbnailSchema = z.object({
+    source: z.enum(['generated', 'custom']),
+    s3Key: z.string().optional()
+});
+
+// ===== FFMPEG HELPERS =====
+
+function run(bin, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-4000); });
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) resolve(stdout);
+            else reject(new Error(`${path.basename(bin)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+export async function probe(file) {
+    const out = await run(FFPROBE, [
+        '-v', 'error',
+        '-show_entries', 'stream=codec_type,width,height:format=duration',
+        '-of', 'json',
+        file
+    ]);
+    const info = JSON.parse(out);
+    const video = (info.streams || []).find(s => s.codec_type === 'video');
+    if (!video) throw new Error('No video stream found');
+
+    return {
+        width: video.width,
+        height: video.height,
+        duration: Number(info.format?.duration) || 0,
+        hasAudio: info.streams.some(s => s.codec_type === 'audio')
+    };
+}
+
+// Never upscale: keep the renditions that fit the source, or the smallest one
+function pickRenditions(sourceHeight) {
+    const fitting = RENDITIONS.filter(r => r.height <= sourceHeight);
+    return fitting.length > 0 ? fitting : [RENDITIONS[RENDITIONS.length - 1]];
+}
+
+function evenWidth(source, height) {
+    return Math.round((source.width * height) / source.height / 2) * 2;
+}
+
+async function transcodeRendition(input, outDir, rendition, source) {
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    const args = [
+        '-y', '-i', input,
+        '-map', '0:v:0',
+        '-vf', `scale=-2:${rendition.height}`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        // Fixed GOP so every rendition has aligned segment boundaries
+        '-g', '48', '-keyint_min', '48', '-sc_threshold', '0'
+    ];
+    if (source.hasAudio) {
+        args.push('-map', '0:a:0', '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2');
+    }
+    args.push(
+        '-f', 'hls',
+        '-hls_time', String(SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outDir, 'seg_%03d.ts'),
+        path.join(outDir, 'index.m3u8')
+    );
+
+    await run(FFMPEG, args);
+}
+
+function buildMasterPlaylist(renditions, source) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    renditions.forEach(r => {
+        const bandwidth = (r.videoBitrate + (source.hasAudio ? r.audioBitrate : 0)) * 1000;
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${evenWidth(source, r.height)}x${r.height}`);
+        lines.push(`${r.name}/index.m3u8`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+async function uploadDirectory(dir, prefix) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            await uploadDirectory(full, `${prefix}${entry.name}/`);
+        } else {
+            const contentType = CONTENT_TYPES[path.extname(entry.name)] || 'application/octet-stream';
+            await uploadFile(`${prefix}${entry.name}`, full, contentType);
+        }
+    }
+}
+
+// ===== PIPELINE =====
+
+// Download the original into a temp dir, run fn, always clean up
+async function withSource(video, fn) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hw-media-'));
+    try {
+        const input = path.join(workDir, 'source');
+        await downloadObject(video.s3Key, input);
+        return await fn(input, workDir);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+async function transcodeVideo(prisma, videoId) {
+    const video = await prisma.video.findUnique({ where: { id: videoId } });
+    if (!video || video.processingStatus === 'ready') return;
+
+    await prisma.video.update({
+        where: { id: videoId },
+        data: { processingStatus: 'processing', processingError: null }
+    });
+
+    try {
+        await withSource(video, async (input, workDir) => {
+            const outDir = path.join(workDir, 'hls');
+            const source = await probe(input);
+            const renditions = pickRenditions(source.height);
+            for (const rendition of renditions) {
+                await transcodeRendition(input, path.join(outDir, rendition.name), rendition, source);
+            }
+            await fs.promises.writeFile(path.join(outDir, 'master.m3u8'), buildMasterPlaylist(renditions, source));
+
+            const hlsPrefix = `hls/${videoId}/`;
+            await uploadDirectory(outDir, hlsPrefix);
+
+            await prisma.video.update({
+                where: { id: videoId },
+                data: {
+                    processingStatus: 'ready',
+                    hlsPrefix,
+                    duration: source.duration,
+                    processedAt: new Date()
+                }
+            });
+            console.log(`Video ${videoId} transcoded (${renditions.map(r => r.name).join(', ')})`);
+        });
+    } catch (err) {
+        console.error(`Transcode failed for video ${videoId}:`, err);
+        await prisma.video.update({
+            where: { id: videoId },
+            data: { processingStatus: 'failed', processingError: String(err.message).slice(0, 500) }
+        });
+    }
+}
+
+function vttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+    const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+    return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// WebVTT index mapping time ranges to tiles of sprite.jpg (media fragment #xywh)
+function buildSpriteVtt(frames, interval, duration) {
+    const cues = ['WEBVTT', ''];
+    for (let i = 0; i < frames; i++) {
+        const start = i * interval;
+        const end = Math.min((i + 1) * interval, duration);
+        const x = (i % SPRITE_COLUMNS) * SPRITE_WIDTH;
+        const y = Math.floor(i / SPRITE_COLUMNS) * SPRITE_HEIGHT;
+        cues.push(`${vttTime(start)} --> ${vttTime(end)}`);
+        cues.push(`sprite.jpg#xywh=${x},${y},${SPRITE_WIDTH},${SPRITE_HEIGHT}`);
+        cues.push('');
+    }
+    return cues.join('\n');
+}
+
+async function generateThumbnails(prisma, videoId) {
+    const video = await prisma.video.findUnique({ where: { id: videoId } });
+    if (!video || video.thumbsPrefix) return;
+
+    await withSource(video, async (input, workDir) => {
+        const outDir = path.join(workDir, 'thumbs');
+        await fs.promises.mkdir(outDir);
+
+        const source = await probe(input);
+        const duration = Math.max(source.duration, 1);
+
+        // Poster: a frame a little into the video, past fade-ins and black intros
+        await run(FFMPEG, [
+            '-y', '-ss', String(Math.min(duration * 0.25, 10)), '-i', input,
+            '-frames:v', '1', '-vf', 'scale=640:-2', '-q:v', '3',
+            path.join(outDir, 'poster.jpg')
+        ]);
+
+        const interval = Math.max(2, Math.ceil(duration / MAX_SPRITE_FRAMES));
+        const frames = Math.max(1, Math.ceil(duration / interval));
+        const rows = Math.ceil(frames / SPRITE_COLUMNS);
+        await run(FFMPEG, [
+            '-y', '-i', input,
+            '-vf', [
+                `fps=1/${interval}`,
+                `scale=${SPRITE_WIDTH}:${SPRITE_HEIGHT}:force_original_aspect_ratio=decrease`,
+                `pad=${SPRITE_WIDTH}:${SPRITE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+                `tile=${SPRITE_COLUMNS}x${rows}`
+            ].join(','),
+            '-frames:v', '1', '-q:v', '5',
+            path.join(outDir, 'sprite.jpg')
+        ]);
+        await fs.promises.writeFile(path.join(outDir, 'sprite.vtt'), buildSpriteVtt(frames, interval, duration));
+
+        const thumbsPrefix = `thumbs/${videoId}/`;
+        await uploadDirectory(outDir, thumbsPrefix);
+
+        await prisma.video.update({ where: { id: videoId }, data: { thumbsPrefix } });
+        console.log(`Video ${videoId} thumbnails generated (${frames} sprite frames)`);
+    });
+}
+
+export function enqueueTranscode(prisma, videoId) {
+    return enqueue(`transcode:${videoId}`, () => transcodeVideo(prisma, videoId), 'media');
+}
+
+export function enqueueThumbnails(prisma, videoId) {
+    return enqueue(`thumbnails:${videoId}`, () => generateThumbnails(prisma, videoId), 'media');
+}
+
+// Queue every derived-media job for a freshly uploaded video
+export function enqueueMediaJobs(prisma, videoId) {
+    enqueueThumbnails(prisma, videoId);
+    enqueueTranscode(prisma, videoId);
+}
+
+// Re-queue work left pending or interrupted by a restart
+export async function resumeMediaJobs(prisma) {
+    const toTranscode = await prisma.video.findMany({
+        where: { processingStatus: { in: ['pending', 'processing'] }, deletedAt: null },
+        select: { id: true },
+        orderBy: { createdAt: 'asc' }
+    });
+    const toThumbnail = await prisma.video.findMany({
+        where: { thumbsPrefix: null, processingStatus: { not: 'failed' }, deletedAt: null },
+        select: { id: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    toThumbnail.forEach(v => enqueueThumbnails(prisma, v.id));
+    toTranscode.forEach(v => enqueueTranscode(prisma, v.id));
+    if (toTranscode.length + toThumbnail.length > 0) {
+        console.log(`Queued ${toTranscode.length} transcode and ${toThumbnail.length} thumbnail job(s)`);
+    }
+}
+
+// ===== DELETION =====
+
+// Soft delete: the video disappears at once, its objects go after DELETE_GRACE_MS.
+// deletedById tells the uploader's own deletes (restorable) from staff removals.
+export function softDeleteVideo(prisma, videoId, deletedById) {
+    return prisma.video.update({ where: { id: videoId }, data: { deletedAt: new Date(), deletedById } });
+}
+
+// Remove the original upload, every derived object and finally the record.
+// Derived prefixes are built from the id so partial output of failed jobs goes too.
+async function purgeVideo(prisma, video) {
+    await deleteObject(video.s3Key);
+    if (video.customThumbnailKey) await deleteObject(video.customThumbnailKey);
+    await deletePrefix(`hls/${video.id}/`);
+    await deletePrefix(`thumbs/${video.id}/`);
+
+    await prisma.$transaction([
+        prisma.comment.deleteMany({ where: { videoId: video.id } }),
+        prisma.video.delete({ where: { id: video.id } })
+    ]);
+}
+
+export async function purgeDeletedVideos(prisma) {
+    const expired = await prisma.video.findMany({
+        where: { deletedAt: { lt: new Date(Date.now() - DELETE_GRACE_MS) } },
+        orderBy: { deletedAt: 'asc' },
+        take: 50
+    });
+
+    for (const video of expired) {
+        try {
+            await purgeVideo(prisma, video);
+            console.log(`Video ${video.id} purged`);
+        } catch (err) {
+            // Left in place: the next run retries it
+            console.error(`Purge of video ${video.id} failed:`, err);
+        }
+    }
+}
+
+export function startVideoPurge(prisma) {
+    return schedule('videos:purge', PURGE_INTERVAL_MS, () => purgeDeletedVideos(prisma));
+}
+
+// Add presigned thumbnail and sprite URLs to a video for API responses
+export async function withMediaUrls(video) {
+    let thumbnailKey = null;
+    if (video.thumbnailSource === 'custom' && video.customThumbnailKey) {
+        thumbnailKey = video.customThumbnailKey;
+    } else if (video.thumbsPrefix) {
+        thumbnailKey = `${video.thumbsPrefix}poster.jpg`;
+    }
+
+    return {
+        ...video,
+        thumbnailUrl: thumbnailKey ? await presignGet(thumbnailKey, 6 * 3600) : null,
+        spriteVttUrl: video.thumbsPrefix ? `/api/videos/${video.id}/sprite.vtt` : null
+    };
+}
+
+// Hidden videos stay playable for their uploader and for moderators reviewing them
+export async function canWatchVideo(prisma, req, res, video) {
+    if (!video.hiddenAt) return true;
+    const viewer = (await getSession(prisma, req, res))?.user;
+    return !!viewer && (viewer.id === video.uploaderId || can(viewer, 'moderation:review'));
+}
+
+// ===== ROUTES =====
+
+export function setupMediaRoutes(app, prisma, authMiddleware) {
+
+    async function findReadyVideo(req, res) {
+        const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+        if (!video || video.deletedAt || video.processingStatus !== 'ready') return null;
+        if (!await canWatchVideo(prisma, req, res, video)) return null;
+        return video;
+    }
+
+    // Master Playlist (rendition URIs are relative and resolve to the route below)
+    app.get('/api/videos/:id/hls/master.m3u8', async (req, res) => {
+        try {
+            const video = await findReadyVideo(req, res);
+            if (!video) return res.status(404).json({ error: 'Stream not ready' });
+
+            const playlist = await getObjectText(`${video.hlsPrefix}master.m3u8`);
+            res.type(CONTENT_TYPES['.m3u8']).send(playlist);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Stream error' });
+        }
+    });
+
+    // Rendition Playlist (segments rewritten to presigned GET URLs)
+    app.get('/api/videos/:id/hls/:rendition/index.m3u8', async (req, res) => {
+        try {
+            const { rendition } = req.params;
+            if (!RENDITIONS.some(r => r.name === rendition)) {
+                return res.status(404).json({ error: 'Rendition not found' });
+            }
+
+            const video = await findReadyVideo(req, res);
+            if (!video) return res.status(404).json({ error: 'Stream not ready' });
+
+            const prefix = `${video.hlsPrefix}${rendition}/`;
+            const playlist = await getObjectText(`${prefix}index.m3u8`);
+
+            const lines = await Promise.all(playlist.split('\n').map(line => {
+                const trimmed = line.trim();
+                if (!trimmed || trimmed.startsWith('#')) return line;
+                return presignGet(`${prefix}${trimmed}`, 6 * 3600);
+            }));
+
+            res.set('Cache-Control', 'private, max-age=300');
+            res.type(CONTENT_TYPES['.m3u8']).send(lines.join('\n'));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Stream error' });
+        }
+    });
+
+    // Sprite Index (tile URIs rewritten to a presigned URL of the sprite sheet)
+    app.get('/api/videos/:id/sprite.vtt', async (req, res) => {
+        try {
+            const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+            if (!video || video.deletedAt || !video.thumbsPrefix || !await canWatchVideo(prisma, req, res, video)) {
+                return res.status(404).json({ error: 'Thumbnails not ready' });
+            }
+
+            const [vtt, spriteUrl] = await Promise.all([
+                getObjectText(`${video.thumbsPrefix}sprite.vtt`),
+                presignGet(`${video.thumbsPrefix}sprite.jpg`, 6 * 3600)
+            ]);
+
+            res.set('Cache-Control', 'private, max-age=300');
+            res.type(CONTENT_TYPES['.vtt']).send(vtt.replaceAll('sprite.jpg#', `${spriteUrl}#`));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Thumbnail error' });
+        }
+    });
+
+    // Choose Thumbnail (uploader only): generated poster or a custom image
+    // uploaded through /api/upload-url (kind "thumbnail")
+    app.patch('/api/videos/:id/thumbnail', authMiddleware, async (req, res) => {
+        try {
+            const video = await prisma.video.findUnique({ where: { id: req.params.id } });
+            if (!video || video.deletedAt) return res.status(404).json({ error: 'Video not found' });
+            if (!can(req.user, 'video:update', video)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { source, s3Key } = thumbnailSchema.parse(req.body);
+            const data = { thumbnailSource: source };
+
+            const ops = [];
+            if (source === 'custom' && s3Key && s3Key !== video.customThumbnailKey) {
+                // New image: must be this user's verified upload
+                const intent = await verifyUpload(prisma, req.user, s3Key, 'thumbnail');
+                ops.push(finalizeUpload(prisma, intent));
+                data.customThumbnailKey = s3Key;
+            } else if (source === 'custom' && !video.customThumbnailKey) {
+                return res.status(400).json({ error: 'Missing thumbnail image' });
+            }
+
+            const [updated] = await prisma.$transaction([prisma.video.update({ where: { id: video.id }, data }), ...ops]);
+            // The replaced custom image is no longer referenced anywhere
+            if (data.customThumbnailKey && video.customThumbnailKey) {
+                deleteObject(video.customThumbnailKey).catch(console.error);
+            }
+            res.json({ ok: true, video: await withMediaUrls(updated) });
+        } catch (e) {
+            if (uploadAlreadyUsed(e)) return res.status(409).json({ error: 'Upload already used' });
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+}
@@ -0,0 +1,246 @@
+// Moderation Feature - content reports, moderator queue and audit trail
+// Viewers report videos, comments or networks. Once REPORT_HIDE_THRESHOLD
+// distinct users have open reports on the same item it is hidden
+// automatically (hiddenAt) until a moderator resolves or dismisses it.
+// Every moderation decision, automatic or not, is written to ModerationAction.
+
+import { z } from 'zod';
+import { can, requireRole } from './policy.js';
+import { softDeleteVideo } from './server_media.js';
+
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+const TARGET_TYPES = ['video', 'comment', 'network'];
+const REPORT_REASONS = ['spam', 'abuse', 'violence', 'sexual', 'copyright', 'other'];
+
+const reportSchema = z.object({
+    targetType: z.enum(TARGET_TYPES),
+    targetId: z.string().uuid(),
+    reason: z.enum(REPORT_REASONS),
+    details: z.string().max(1000).optional()
+});
+
+const resolveSchema = z.object({
+    outcome: z.enum(['hide', 'delete']),
+    note: z.string().max(1000).optional()
+});
+
+const dismissSchema = z.object({
+    note: z.string().max(1000).optional()
+});
+
+// Prisma delegate and a short label for each reportable entity
+const TARGETS = {
+    video: {
+        model: prisma => prisma.video,
+        summary: v => ({ title: v.title, ownerId: v.uploaderId })
+    },
+    comment: {
+        model: prisma => prisma.comment,
+        summary: c => ({ title: c.text.slice(0, 140), ownerId: c.userId, videoId: c.videoId })
+    },
+    network: {
+        model: prisma => prisma.network,
+        summary: n => ({ title: n.name, ownerId: n.ownerId })
+    }
+};
+
+function findTarget(prisma, type, id) {
+    return TARGETS[type].model(prisma).findUnique({ where: { id } });
+}
+
+function logAction(prisma, data) {
+    return prisma.moderationAction.create({ data });
+}
+
+async function deleteTarget(prisma, type, id, moderatorId) {
+    if (type === 'video') {
+        await softDeleteVideo(prisma, id, moderatorId);
+    } else {
+        await TARGETS[type].model(prisma).delete({ where: { id } });
+    }
+}
+
+export function setupModerationRoutes(app, prisma, authMiddleware) {
+
+    const staffOnly = [authMiddleware, requireRole('moderator', 'admin')];
+
+    // ===== REPORTS =====
+
+    // Report Content
+    app.post('/api/reports', authMiddleware, async (req, res) => {
+        try {
+            const data = reportSchema.parse(req.body);
+
+            const target = await findTarget(prisma, data.targetType, data.targetId);
+            if (!target) return res.status(404).json({ error: 'Content not found' });
+
+            const existing = await prisma.report.findFirst({
+                where: {
+                    reporterId: req.user.id,
+                    targetType: data.targetType,
+                    targetId: data.targetId,
+                    status: 'open'
+                }
+            });
+            if (existing) return res.status(400).json({ error: 'Already reported' });
+
+            const report = await prisma.report.create({
+                data: { ...data, reporterId: req.user.id }
+            });
+
+            // Auto-hide once enough distinct users flag the same item
+            const reporters = await prisma.report.groupBy({
+                by: ['reporterId'],
+                where: { targetType: data.targetType, targetId: data.targetId, status: 'open' }
+            });
+            if (reporters.length >= REPORT_HIDE_THRESHOLD && !target.hiddenAt) {
+                await TARGETS[data.targetType].model(prisma).update({
+                    where: { id: data.targetId },
+                    data: { hiddenAt: new Date() }
+                });
+                await logAction(prisma, {
+                    action: 'auto_hide',
+                    targetType: data.targetType,
+                    targetId: data.targetId,
+                    note: `${reporters.length} open reports`
+                });
+            }
+
+            res.json({ ok: true, report: { id: report.id } });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // ===== MODERATOR QUEUE =====
+
+    // Queue: one entry per reported item with open reports, most reported first
+    app.get('/api/moderation/queue', staffOnly, async (req, res) => {
+        const groups = await prisma.report.groupBy({
+            by: ['targetType', 'targetId'],
+            where: { status: 'open' },
+            _count: { _all: true },
+            _min: { createdAt: true },
+            orderBy: { _count: { targetId: 'desc' } },
+            take: 100
+        });
+
+        const queue = await Promise.all(groups.map(async g => {
+            const [target, reasons] = await Promise.all([
+                findTarget(prisma, g.targetType, g.targetId),
+                prisma.report.groupBy({
+                    by: ['reason'],
+                    where: { targetType: g.targetType, targetId: g.targetId, status: 'open' },
+                    _count: { _all: true }
+                })
+            ]);
+
+            return {
+                targetType: g.targetType,
+                targetId: g.targetId,
+                reportCount: g._count._all,
+                firstReportedAt: g._min.createdAt,
+                reasons: Object.fromEntries(reasons.map(r => [r.reason, r._count._all])),
+                hidden: !!target?.hiddenAt,
+                target: target ? TARGETS[g.targetType].summary(target) : null
+            };
+        }));
+
+        res.json(queue);
+    });
+
+    // Queue Item Detail: all reports and the audit history of one item
+    app.get('/api/moderation/queue/:type/:id', staffOnly, async (req, res) => {
+        const { type, id } = req.params;
+        if (!TARGET_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid content type' });
+
+        const [target, reports, history] = await Promise.all([
+            findTarget(prisma, type, id),
+            prisma.report.findMany({
+                where: { targetType: type, targetId: id },
+                include: { reporter: { select: { id: true, displayName: true } } },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.moderationAction.findMany({
+                where: { targetType: type, targetId: id },
+                include: { moderator: { select: { id: true, displayName: true } } },
+                orderBy: { createdAt: 'desc' }
+            })
+        ]);
+
+        res.json({
+            targetType: type,
+            targetId: id,
+            target: target ? { ...TARGETS[type].summary(target), hidden: !!target.hiddenAt } : null,
+            reports,
+            history
+        });
+    });
+
+    // Resolve: the reports are upheld, the item is hidden or deleted
+    app.post('/api/moderation/queue/:type/:id/resolve', staffOnly, async (req, res) => {
+        try {
+            const { type, id } = req.params;
+            if (!TARGET_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid content type' });
+            const { outcome, note } = resolveSchema.parse(req.body);
+
+            const target = await findTarget(prisma, type, id);
+            if (!target) return res.status(404).json({ error: 'Content not found' });
+
+            if (outcome === 'delete') {
+                if (!can(req.user, `${type}:delete`, target)) return res.status(403).json({ error: 'Not authorized' });
+                await deleteTarget(prisma, type, id, req.user.id);
+            } else if (!target.hiddenAt) {
+                await TARGETS[type].model(prisma).update({ where: { id }, data: { hiddenAt: new Date() } });
+            }
+
+            await prisma.report.updateMany({
+                where: { targetType: type, targetId: id, status: 'open' },
+                data: { status: 'resolved', resolvedById: req.user.id, resolvedAt: new Date() }
+            });
+            await logAction(prisma, { moderatorId: req.user.id, action: outcome, targetType: type, targetId: id, note });
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Dismiss: the reports are rejected and an automatically hidden item comes back
+    app.post('/api/moderation/queue/:type/:id/dismiss', staffOnly, async (req, res) => {
+        try {
+            const { type, id } = req.params;
+            if (!TARGET_TYPES.includes(type)) return res.status(400).json({ error: 'Invalid content type' });
+            const { note } = dismissSchema.parse(req.body);
+
+            const target = await findTarget(prisma, type, id);
+            if (!target) return res.status(404).json({ error: 'Content not found' });
+
+            if (target.hiddenAt) {
+                await TARGETS[type].model(prisma).update({ where: { id }, data: { hiddenAt: null } });
+            }
+
+            await prisma.report.updateMany({
+                where: { targetType: type, targetId: id, status: 'open' },
+                data: { status: 'dismissed', resolvedById: req.user.id, resolvedAt: new Date() }
+            });
+            await logAction(prisma, { moderatorId: req.user.id, action: 'dismiss', targetType: type, targetId: id, note });
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Audit Trail
+    app.get('/api/moderation/audit', staffOnly, async (req, res) => {
+        const actions = await prisma.moderationAction.findMany({
+            include: { moderator: { select: { id: true, displayName: true } } },
+            orderBy: { createdAt: 'desc' },
+            take: 200
+        });
+
+        res.json(actions);
+    });
+}
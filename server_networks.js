@@ -2,23 +2,60 @@
 // This file contains all Networks-related endpoints
 // Import this into server.js
 
+import { Prisma } from '@prisma/client';
 import { z } from 'zod';
+import { can, networkRole, networkRolesWith } from './policy.js';
+import { getSession } from './auth.js';
+import { notify } from './server_notifications.js';
+import { schedule } from './jobs.js';
+import { suggestCreators } from './suggestions.js';
+import { THEMES, THEME_SLUGS, NETWORK_TYPES } from './themes.js';
 
 // Validation Schemas
 const networkSchema = z.object({
     name: z.string().min(1).max(100),
     description: z.string().max(500).optional(),
-    themes: z.array(z.string()).min(1).max(10),
+    themes: z.array(z.enum(THEME_SLUGS)).min(1).max(10).transform(themes => [...new Set(themes)]),
+    type: z.enum(NETWORK_TYPES).optional(),
+    openToApplications: z.boolean().optional(),
     logoUrl: z.string().url().optional()
 });
 
+// Discovery: filters, sort and page of GET /api/networks
+const NETWORK_SORTS = ['members', 'activity', 'growth', 'newest'];
+const DISCOVERY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // "recent" for activity and growth
+
+const discoverySchema = z.object({
+    theme: z.enum(THEME_SLUGS).optional(),
+    type: z.enum(NETWORK_TYPES).optional(),
+    open: z.enum(['0', '1']).optional(),
+    sort: z.enum(NETWORK_SORTS).default('members'),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+const DISCOVERY_ORDER = {
+    members: Prisma.sql`"memberCount" DESC`,
+    activity: Prisma.sql`"recentUploads" DESC, "lastUploadAt" DESC NULLS LAST`,
+    growth: Prisma.sql`"growth" DESC`,
+    newest: Prisma.sql`n."createdAt" DESC`
+};
+
 const invitationSchema = z.object({
     userId: z.string().uuid(),
     message: z.string().max(500).optional()
 });
 
-const applicationSchema = z.object({
-    message: z.string().max(500).optional()
+const memberRoleSchema = z.object({
+    role: z.enum(['admin', 'editor', 'member'])
+});
+
+const transferSchema = z.object({
+    userId: z.string().uuid()
+});
+
+const suggestionsQuerySchema = z.object({
+    limit: z.coerce.number().int().min(1).max(50).default(10)
 });
 
 const profileSchema = z.object({
@@ -34,14 +71,73 @@ const profileSchema = z.object({
     isPublicProfile: z.boolean().optional()
 });
 
+function checkNetworkType({ type, themes }) {
+    if (type === 'sector' && themes.length !== 1) throw new Error('A sector network has exactly one theme');
+}
+
+// Invitations: pending ones expire after INVITATION_TTL_MS; a user who declined
+// can be invited again to the same network once INVITATION_COOLDOWN_MS has passed
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const INVITATION_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+function isPending(invitation) {
+    return invitation.status === 'pending' && invitation.expiresAt > new Date();
+}
+
+// Stored status, with pending invitations past expiresAt reported as expired before the sweep marks them
+function invitationStatus(invitation) {
+    return invitation.status === 'pending' && !isPending(invitation) ? 'expired' : invitation.status;
+}
+
+// Mark pending invitations past their expiry (optionally only those matching `where`)
+export async function expireInvitations(prisma, where = {}) {
+    const { count } = await prisma.networkInvitation.updateMany({
+        where: { ...where, status: 'pending', expiresAt: { lt: new Date() } },
+        data: { status: 'expired' }
+    });
+    return count;
+}
+
+// Network with the caller's own active membership, enough for the role checks in policy.js
+export function findNetwork(prisma, id, user) {
+    return prisma.network.findUnique({
+        where: { id },
+        include: { memberships: { where: { userId: user.id, status: 'active' } } }
+    });
+}
+
+// Active members holding a network permission (e.g. everyone who reviews applications)
+export async function memberIdsWith(prisma, networkId, action) {
+    const memberships = await prisma.networkMembership.findMany({
+        where: { networkId, status: 'active', role: { in: networkRolesWith(action) } },
+        select: { userId: true }
+    });
+    return memberships.map(m => m.userId);
+}
+
+export function startInvitationExpiry(prisma) {
+    return schedule('invitations:expire', EXPIRY_INTERVAL_MS, async () => {
+        const count = await expireInvitations(prisma);
+        if (count > 0) console.log(`Expired ${count} network invitation(s)`);
+    });
+}
+
 export function setupNetworkRoutes(app, prisma, authMiddleware) {
 
+    function findMembership(networkId, userId) {
+        return prisma.networkMembership.findUnique({
+            where: { networkId_userId: { networkId, userId } }
+        });
+    }
+
     // ===== NETWORKS CRUD =====
 
     // Create Network
     app.post('/api/networks', authMiddleware, async (req, res) => {
         try {
             const data = networkSchema.parse(req.body);
+            checkNetworkType({ type: 'eclectic', ...data });
 
             const network = await prisma.network.create({
                 data: {
@@ -66,17 +162,79 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
         }
     });
 
-    // List all Networks
+    // Theme taxonomy and network types (labels for filters and the network form)
+    app.get('/api/themes', (req, res) => {
+        res.json({ themes: THEMES, networkTypes: NETWORK_TYPES });
+    });
+
+    // Discover Networks (?theme=&type=&open=1&sort=members|activity|growth|newest&page=&limit=)
+    // Activity counts the members' uploads and growth the new members and
+    // subscribers of the last DISCOVERY_WINDOW_MS. Hidden networks are left out.
     app.get('/api/networks', async (req, res) => {
+        let params;
+        try {
+            params = discoverySchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const since = new Date(Date.now() - DISCOVERY_WINDOW_MS);
+        const filters = [Prisma.sql`n."hiddenAt" IS NULL`];
+        if (params.theme) filters.push(Prisma.sql`${params.theme} = ANY(n."themes")`);
+        if (params.type) filters.push(Prisma.sql`n."type" = ${params.type}`);
+        if (params.open === '1') filters.push(Prisma.sql`n."openToApplications"`);
+
+        const rows = await prisma.$queryRaw`
+            SELECT n."id", members."memberCount", members."newMembers" + subs."newSubscribers" AS "growth",
+                activity."recentUploads", activity."lastUploadAt"
+            FROM "Network" n
+            CROSS JOIN LATERAL (
+                SELECT count(*)::int AS "memberCount",
+                    count(*) FILTER (WHERE m."joinedAt" >= ${since})::int AS "newMembers"
+                FROM "NetworkMembership" m WHERE m."networkId" = n."id" AND m."status" = 'active'
+            ) members
+            CROSS JOIN LATERAL (
+                SELECT count(*)::int AS "newSubscribers"
+                FROM "Subscription" s WHERE s."networkId" = n."id" AND s."createdAt" >= ${since}
+            ) subs
+            CROSS JOIN LATERAL (
+                SELECT count(*) FILTER (WHERE v."createdAt" >= ${since})::int AS "recentUploads",
+                    max(v."createdAt") AS "lastUploadAt"
+                FROM "Video" v
+                JOIN "NetworkMembership" m ON m."userId" = v."uploaderId" AND m."networkId" = n."id" AND m."status" = 'active'
+                WHERE v."hiddenAt" IS NULL AND v."deletedAt" IS NULL
+            ) activity
+            WHERE ${Prisma.join(filters, ' AND ')}
+            ORDER BY ${DISCOVERY_ORDER[params.sort]}, n."createdAt" DESC, n."id"
+            LIMIT ${params.limit + 1} OFFSET ${(params.page - 1) * params.limit}
+        `;
+
+        const page = rows.slice(0, params.limit);
         const networks = await prisma.network.findMany({
-            orderBy: { createdAt: 'desc' },
+            where: { id: { in: page.map(r => r.id) } },
             include: {
                 owner: { select: { displayName: true } },
-                _count: { select: { memberships: true } }
+                _count: { select: { memberships: { where: { status: 'active' } }, subscriptions: true } }
             }
         });
+        const byId = new Map(networks.map(n => [n.id, n]));
 
-        res.json(networks);
+        res.json({
+            networks: page.filter(r => byId.has(r.id)).map(({ id, ...stats }) => ({ ...byId.get(id), stats })),
+            page: params.page,
+            hasMore: rows.length > params.limit
+        });
+    });
+
+    // My Networks (active memberships of the current user)
+    app.get('/api/me/networks', authMiddleware, async (req, res) => {
+        const memberships = await prisma.networkMembership.findMany({
+            where: { userId: req.user.id, status: 'active' },
+            include: { network: { select: { id: true, name: true } } },
+            orderBy: { joinedAt: 'asc' }
+        });
+
+        res.json(memberships.map(m => ({ ...m.network, role: m.role })));
     });
 
     // Get Network Details
@@ -90,22 +248,33 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
                     include: {
                         user: { select: { id: true, displayName: true } }
                     }
-                }
+                },
+                _count: { select: { subscriptions: true } }
             }
         });
 
         if (!network) return res.status(404).json({ error: 'Network not found' });
+
+        // Hidden networks stay reachable for their members and for moderators reviewing them
+        if (network.hiddenAt) {
+            const viewer = (await getSession(prisma, req, res))?.user;
+            if (!viewer || (!networkRole(viewer, network) && !can(viewer, 'moderation:review'))) {
+                return res.status(404).json({ error: 'Network not found' });
+            }
+        }
+
         res.json(network);
     });
 
-    // Update Network (owner only)
+    // Update Network (owner, admin or editor)
     app.patch('/api/networks/:id', authMiddleware, async (req, res) => {
         try {
-            const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+            const network = await findNetwork(prisma, req.params.id, req.user);
             if (!network) return res.status(404).json({ error: 'Network not found' });
-            if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+            if (!can(req.user, 'network:update', network)) return res.status(403).json({ error: 'Not authorized' });
 
             const data = networkSchema.partial().parse(req.body);
+            checkNetworkType({ type: network.type, themes: network.themes, ...data });
             const updated = await prisma.network.update({
                 where: { id: req.params.id },
                 data
@@ -117,11 +286,11 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
         }
     });
 
-    // Delete Network (owner only)
+    // Delete Network (owner)
     app.delete('/api/networks/:id', authMiddleware, async (req, res) => {
-        const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+        const network = await findNetwork(prisma, req.params.id, req.user);
         if (!network) return res.status(404).json({ error: 'Network not found' });
-        if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+        if (!can(req.user, 'network:delete', network)) return res.status(403).json({ error: 'Not authorized' });
 
         await prisma.network.delete({ where: { id: req.params.id } });
         res.json({ ok: true });
@@ -129,36 +298,87 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
 
     // ===== INVITATIONS =====
 
-    // Send Invitation
+    // Send Invitation (by user id, as found through search or suggestions); re-inviting reuses the row
     app.post('/api/networks/:id/invite', authMiddleware, async (req, res) => {
         try {
-            const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+            const network = await findNetwork(prisma, req.params.id, req.user);
             if (!network) return res.status(404).json({ error: 'Network not found' });
-            if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Only owner can invite' });
+            if (!can(req.user, 'network:invite', network)) return res.status(403).json({ error: 'Not authorized' });
 
             const { userId, message } = invitationSchema.parse(req.body);
 
+            const invitee = await prisma.user.findUnique({ where: { id: userId } });
+            if (!invitee) return res.status(404).json({ error: 'User not found' });
+            if (invitee.id === req.user.id) return res.status(400).json({ error: 'You cannot invite yourself' });
+
             // Check if already member
             const existing = await prisma.networkMembership.findUnique({
-                where: { networkId_userId: { networkId: req.params.id, userId } }
+                where: { networkId_userId: { networkId: network.id, userId: invitee.id } }
             });
             if (existing) return res.status(400).json({ error: 'User already member' });
 
-            const invitation = await prisma.networkInvitation.create({
-                data: {
-                    networkId: req.params.id,
-                    invitedUserId: userId,
-                    inviterId: req.user.id,
-                    message
+            const previous = await prisma.networkInvitation.findUnique({
+                where: { networkId_invitedUserId: { networkId: network.id, invitedUserId: invitee.id } }
+            });
+            if (previous && isPending(previous)) return res.status(400).json({ error: 'Invitation already pending' });
+            if (previous?.status === 'rejected') {
+                const retryAt = new Date(previous.respondedAt.getTime() + INVITATION_COOLDOWN_MS);
+                if (retryAt > new Date()) {
+                    return res.status(400).json({ error: `User declined recently, you can invite again from ${retryAt.toISOString()}` });
                 }
+            }
+
+            const data = {
+                inviterId: req.user.id,
+                message,
+                status: 'pending',
+                sentAt: new Date(),
+                expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+                respondedAt: null
+            };
+            const invitation = previous
+                ? await prisma.networkInvitation.update({ where: { id: previous.id }, data })
+                : await prisma.networkInvitation.create({ data: { ...data, networkId: network.id, invitedUserId: invitee.id } });
+
+            await notify(prisma, invitee.id, {
+                type: 'network_invite',
+                actorId: req.user.id,
+                data: { networkId: network.id, networkName: network.name, invitationId: invitation.id }
             });
 
             res.json({ ok: true, invitation });
         } catch (e) {
-            res.status(400).json({ error: e.message });
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
         }
     });
 
+    // List Invitations: pending ones received, and the recent ones the user sent
+    app.get('/api/invitations', authMiddleware, async (req, res) => {
+        await expireInvitations(prisma, { OR: [{ invitedUserId: req.user.id }, { inviterId: req.user.id }] });
+
+        const [received, sent] = await Promise.all([
+            prisma.networkInvitation.findMany({
+                where: { invitedUserId: req.user.id, status: 'pending' },
+                include: {
+                    network: { select: { id: true, name: true, logoUrl: true } },
+                    inviter: { select: { id: true, displayName: true } }
+                },
+                orderBy: { sentAt: 'desc' }
+            }),
+            prisma.networkInvitation.findMany({
+                where: { inviterId: req.user.id },
+                include: {
+                    network: { select: { id: true, name: true } },
+                    invitedUser: { select: { id: true, displayName: true } }
+                },
+                orderBy: { sentAt: 'desc' },
+                take: 100
+            })
+        ]);
+
+        res.json({ received, sent });
+    });
+
     // Accept/Reject Invitation
     app.patch('/api/invitations/:id', authMiddleware, async (req, res) => {
         const { action } = req.body; // "accept" or "reject"
@@ -167,131 +387,222 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
         }
 
         const invitation = await prisma.networkInvitation.findUnique({
-            where: { id: req.params.id }
+            where: { id: req.params.id },
+            include: { network: { select: { name: true } } }
         });
 
         if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
         if (invitation.invitedUserId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+        if (!isPending(invitation)) return res.status(400).json({ error: `Invitation is ${invitationStatus(invitation)}` });
 
         if (action === 'accept') {
-            await prisma.networkMembership.create({
-                data: {
-                    networkId: invitation.networkId,
-                    userId: req.user.id,
-                    role: 'member',
-                    status: 'active'
-                }
-            });
-
-            await prisma.networkInvitation.update({
-                where: { id: req.params.id },
-                data: { status: 'accepted' }
+            await prisma.$transaction([
+                prisma.networkMembership.upsert({
+                    where: { networkId_userId: { networkId: invitation.networkId, userId: req.user.id } },
+                    create: {
+                        networkId: invitation.networkId,
+                        userId: req.user.id,
+                        role: 'member',
+                        status: 'active'
+                    },
+                    update: { status: 'active' }
+                }),
+                prisma.networkInvitation.update({
+                    where: { id: req.params.id },
+                    data: { status: 'accepted', respondedAt: new Date() }
+                })
+            ]);
+
+            await notify(prisma, invitation.inviterId, {
+                type: 'invitation_accepted',
+                actorId: req.user.id,
+                data: { networkId: invitation.networkId, networkName: invitation.network.name }
             });
         } else {
             await prisma.networkInvitation.update({
                 where: { id: req.params.id },
-                data: { status: 'rejected' }
+                data: { status: 'rejected', respondedAt: new Date() }
             });
         }
 
         res.json({ ok: true });
     });
 
-    // ===== APPLICATIONS =====
+    // Revoke Invitation (inviter, or whoever may invite to the network, while pending)
+    app.delete('/api/invitations/:id', authMiddleware, async (req, res) => {
+        const invitation = await prisma.networkInvitation.findUnique({
+            where: { id: req.params.id },
+            include: { network: { include: { memberships: { where: { userId: req.user.id, status: 'active' } } } } }
+        });
 
-    // Apply to Network
-    app.post('/api/networks/:id/apply', authMiddleware, async (req, res) => {
+        if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+        if (invitation.inviterId !== req.user.id && !can(req.user, 'network:invite', invitation.network)) {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+        if (!isPending(invitation)) return res.status(400).json({ error: `Invitation is ${invitationStatus(invitation)}` });
+
+        await prisma.networkInvitation.update({
+            where: { id: invitation.id },
+            data: { status: 'revoked', respondedAt: new Date() }
+        });
+
+        res.json({ ok: true });
+    });
+
+    // Applications ("Lavora con noi") are in server_applications.js
+
+    // ===== MEMBERSHIPS =====
+
+    // Remove Member (owner and admins, only members ranked below them)
+    app.delete('/api/networks/:id/members/:userId', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (req.params.userId === req.user.id) return res.status(400).json({ error: 'Use leave to exit a network' });
+
+        const member = await findMembership(network.id, req.params.userId);
+        if (!member) return res.status(404).json({ error: 'Member not found' });
+        if (!can(req.user, 'network:removeMember', { network, member })) return res.status(403).json({ error: 'Not authorized' });
+
+        await prisma.networkMembership.delete({ where: { id: member.id } });
+        if (network.pendingOwnerId === member.userId) {
+            await prisma.network.update({ where: { id: network.id }, data: { pendingOwnerId: null } });
+        }
+
+        res.json({ ok: true });
+    });
+
+    // Change Member Role (to admin, editor or member; only below the caller's own role)
+    app.patch('/api/networks/:id/members/:userId', authMiddleware, async (req, res) => {
         try {
-            const { message } = applicationSchema.parse(req.body);
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
 
-            // Check if already member
-            const existing = await prisma.networkMembership.findUnique({
-                where: { networkId_userId: { networkId: req.params.id, userId: req.user.id } }
-            });
-            if (existing) return res.status(400).json({ error: 'Already member' });
+            const { role } = memberRoleSchema.parse(req.body);
+            const member = await findMembership(network.id, req.params.userId);
+            if (!member || member.status !== 'active') return res.status(404).json({ error: 'Member not found' });
+            if (!can(req.user, 'network:setMemberRole', { network, member, role })) return res.status(403).json({ error: 'Not authorized' });
 
-            const application = await prisma.networkApplication.create({
-                data: {
-                    networkId: req.params.id,
-                    applicantId: req.user.id,
-                    message
-                }
+            const updated = await prisma.networkMembership.update({ where: { id: member.id }, data: { role } });
+
+            await notify(prisma, member.userId, {
+                type: 'network_role_changed',
+                actorId: req.user.id,
+                data: { networkId: network.id, networkName: network.name, role }
             });
 
-            res.json({ ok: true, application });
+            res.json({ ok: true, membership: updated });
         } catch (e) {
-            res.status(400).json({ error: e.message });
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
         }
     });
 
-    // List Applications (owner only)
-    app.get('/api/networks/:id/applications', authMiddleware, async (req, res) => {
-        const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+    // Leave Network (any member but the owner, who has to transfer ownership first)
+    app.post('/api/networks/:id/leave', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
         if (!network) return res.status(404).json({ error: 'Network not found' });
-        if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+        if (network.ownerId === req.user.id) return res.status(400).json({ error: 'Transfer ownership before leaving' });
 
-        const applications = await prisma.networkApplication.findMany({
-            where: { networkId: req.params.id, status: 'pending' },
-            include: {
-                applicant: { select: { id: true, displayName: true, bio: true } }
-            },
-            orderBy: { createdAt: 'desc' }
-        });
+        const member = await findMembership(network.id, req.user.id);
+        if (!member) return res.status(404).json({ error: 'Not a member' });
+
+        await prisma.networkMembership.delete({ where: { id: member.id } });
+        if (network.pendingOwnerId === req.user.id) {
+            await prisma.network.update({ where: { id: network.id }, data: { pendingOwnerId: null } });
+        }
 
-        res.json(applications);
+        res.json({ ok: true });
     });
 
-    // Approve/Reject Application
-    app.patch('/api/networks/:networkId/applications/:appId', authMiddleware, async (req, res) => {
-        const { action } = req.body; // "approve" or "reject"
-        if (!['approve', 'reject'].includes(action)) {
-            return res.status(400).json({ error: 'Invalid action' });
-        }
+    // ===== OWNERSHIP TRANSFER =====
+    // The owner offers the network to an active member, who accepts or declines;
+    // on acceptance the previous owner stays on as admin.
 
-        const network = await prisma.network.findUnique({ where: { id: req.params.networkId } });
-        if (!network) return res.status(404).json({ error: 'Network not found' });
-        if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
+    // Offer Ownership
+    app.post('/api/networks/:id/transfer', authMiddleware, async (req, res) => {
+        try {
+            const network = await findNetwork(prisma, req.params.id, req.user);
+            if (!network) return res.status(404).json({ error: 'Network not found' });
+            if (!can(req.user, 'network:transferOwnership', network)) return res.status(403).json({ error: 'Not authorized' });
 
-        const application = await prisma.networkApplication.findUnique({
-            where: { id: req.params.appId }
-        });
-        if (!application) return res.status(404).json({ error: 'Application not found' });
+            const { userId } = transferSchema.parse(req.body);
+            if (userId === network.ownerId) return res.status(400).json({ error: 'User already owns this network' });
 
-        if (action === 'approve') {
-            await prisma.networkMembership.create({
-                data: {
-                    networkId: req.params.networkId,
-                    userId: application.applicantId,
-                    role: 'member',
-                    status: 'active'
-                }
-            });
+            const member = await findMembership(network.id, userId);
+            if (!member || member.status !== 'active') return res.status(400).json({ error: 'Ownership can only go to an active member' });
 
-            await prisma.networkApplication.update({
-                where: { id: req.params.appId },
-                data: { status: 'approved' }
-            });
-        } else {
-            await prisma.networkApplication.update({
-                where: { id: req.params.appId },
-                data: { status: 'rejected' }
+            await prisma.network.update({ where: { id: network.id }, data: { pendingOwnerId: userId } });
+            await notify(prisma, userId, {
+                type: 'ownership_offer',
+                actorId: req.user.id,
+                data: { networkId: network.id, networkName: network.name }
             });
+
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
         }
+    });
 
+    // Cancel Offer (owner)
+    app.delete('/api/networks/:id/transfer', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (!can(req.user, 'network:transferOwnership', network)) return res.status(403).json({ error: 'Not authorized' });
+
+        await prisma.network.update({ where: { id: network.id }, data: { pendingOwnerId: null } });
         res.json({ ok: true });
     });
 
-    // ===== MEMBERSHIPS =====
+    // Accept Ownership (the member the network was offered to)
+    app.post('/api/networks/:id/transfer/accept', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
+        if (!network) return res.status(404).json({ error: 'Network not found' });
+        if (network.pendingOwnerId !== req.user.id) return res.status(403).json({ error: 'No ownership offer for you' });
+        if (network.memberships.length === 0) return res.status(400).json({ error: 'You are no longer a member' });
 
-    // Remove Member (owner only)
-    app.delete('/api/networks/:id/members/:userId', authMiddleware, async (req, res) => {
-        const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+        const previousOwnerId = network.ownerId;
+        try {
+            await prisma.$transaction([
+                // Guarded on the pending owner and on the accepting membership, so an offer
+                // cancelled or declined meanwhile, or a member who just left, cannot accept
+                prisma.network.update({
+                    where: { id: network.id, pendingOwnerId: req.user.id },
+                    data: { ownerId: req.user.id, pendingOwnerId: null }
+                }),
+                prisma.networkMembership.updateMany({
+                    where: { networkId: network.id, userId: previousOwnerId },
+                    data: { role: 'admin' }
+                }),
+                prisma.networkMembership.update({
+                    where: { networkId_userId: { networkId: network.id, userId: req.user.id }, status: 'active' },
+                    data: { role: 'owner' }
+                })
+            ]);
+        } catch (e) {
+            if (e.code === 'P2025') return res.status(409).json({ error: 'Offer no longer valid' });
+            throw e;
+        }
+
+        await notify(prisma, previousOwnerId, {
+            type: 'ownership_accepted',
+            actorId: req.user.id,
+            data: { networkId: network.id, networkName: network.name }
+        });
+
+        res.json({ ok: true });
+    });
+
+    // Decline Ownership
+    app.post('/api/networks/:id/transfer/decline', authMiddleware, async (req, res) => {
+        const network = await findNetwork(prisma, req.params.id, req.user);
         if (!network) return res.status(404).json({ error: 'Network not found' });
-        if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
-        if (req.params.userId === req.user.id) return res.status(400).json({ error: 'Cannot remove yourself' });
+        if (network.pendingOwnerId !== req.user.id) return res.status(403).json({ error: 'No ownership offer for you' });
 
-        await prisma.networkMembership.delete({
-            where: { networkId_userId: { networkId: req.params.id, userId: req.params.userId } }
+        await prisma.network.update({ where: { id: network.id }, data: { pendingOwnerId: null } });
+        await notify(prisma, network.ownerId, {
+            type: 'ownership_declined',
+            actorId: req.user.id,
+            data: { networkId: network.id, networkName: network.name }
         });
 
         res.json({ ok: true });
@@ -327,7 +638,8 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
                 contactEmail: true,
                 socialLinks: true,
                 isPublicProfile: true,
-                createdAt: true
+                createdAt: true,
+                _count: { select: { subscribers: true } }
             }
         });
 
@@ -344,34 +656,19 @@ export function setupNetworkRoutes(app, prisma, authMiddleware) {
 
     // ===== RECOMMENDATIONS =====
 
-    // Get Creator Suggestions (simple algorithm)
+    // Get Creator Suggestions (?limit=, ranked by suggestions.js with an explanation each)
     app.get('/api/networks/:id/suggestions', authMiddleware, async (req, res) => {
-        const network = await prisma.network.findUnique({
-            where: { id: req.params.id },
-            include: { memberships: { select: { userId: true } } }
-        });
+        let params;
+        try {
+            params = suggestionsQuerySchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
 
+        const network = await findNetwork(prisma, req.params.id, req.user);
         if (!network) return res.status(404).json({ error: 'Network not found' });
-        if (network.ownerId !== req.user.id) return res.status(403).json({ error: 'Not authorized' });
-
-        // Get current member IDs
-        const memberIds = network.memberships.map(m => m.userId);
-
-        // Find creators with videos matching network themes
-        const suggestions = await prisma.user.findMany({
-            where: {
-                id: { notIn: memberIds },
-                videos: { some: {} } // Has at least one video
-            },
-            select: {
-                id: true,
-                displayName: true,
-                bio: true,
-                _count: { select: { videos: true } }
-            },
-            take: 10
-        });
+        if (!can(req.user, 'network:viewSuggestions', network)) return res.status(403).json({ error: 'Not authorized' });
 
-        res.json(suggestions);
+        res.json(await suggestCreators(prisma, network, params));
     });
 }
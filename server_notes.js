@@ -0,0 +1,173 @@
+// Notes Feature - timestamped personal notes on videos
+// Notes are private to their author unless shared with some of the author's
+// networks, whose active members can then read them. Separate from comments.
+
+import { z } from 'zod';
+import { can } from './policy.js';
+
+const noteSchema = z.object({
+    text: z.string().trim().min(1).max(5000),
+    timestamp: z.number().min(0),
+    networkIds: z.array(z.string().uuid()).max(20).default([])
+});
+
+const noteUpdateSchema = z.object({
+    text: z.string().trim().min(1).max(5000).optional(),
+    timestamp: z.number().min(0).optional(),
+    networkIds: z.array(z.string().uuid()).max(20).optional()
+});
+
+const noteInclude = {
+    user: { select: { id: true, displayName: true } },
+    shares: { select: { networkId: true } }
+};
+
+async function activeNetworkIds(prisma, userId) {
+    const memberships = await prisma.networkMembership.findMany({
+        where: { userId, status: 'active' },
+        select: { networkId: true }
+    });
+    return memberships.map(m => m.networkId);
+}
+
+// Notes of a video the user may read: their own plus those shared with their networks
+async function visibleNotes(prisma, user, videoId) {
+    const networkIds = await activeNetworkIds(prisma, user.id);
+    return prisma.note.findMany({
+        where: {
+            videoId,
+            OR: [
+                { userId: user.id },
+                { shares: { some: { networkId: { in: networkIds } } } }
+            ]
+        },
+        include: noteInclude,
+        orderBy: [{ timestamp: 'asc' }, { createdAt: 'asc' }]
+    });
+}
+
+function toJson(note, user) {
+    const { shares, ...rest } = note;
+    return {
+        ...rest,
+        userName: note.user.displayName,
+        networkIds: shares.map(s => s.networkId),
+        mine: note.userId === user.id
+    };
+}
+
+// Notes may only be shared with networks the author is an active member of
+async function checkShareTargets(prisma, user, networkIds) {
+    if (networkIds.length === 0) return;
+    const mine = new Set(await activeNetworkIds(prisma, user.id));
+    if (!networkIds.every(id => mine.has(id))) throw new Error('You can only share notes with your networks');
+}
+
+function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+export function setupNoteRoutes(app, prisma, authMiddleware) {
+
+    async function findVideo(id) {
+        const video = await prisma.video.findUnique({ where: { id } });
+        if (!video || video.deletedAt || video.hiddenAt) return null;
+        return video;
+    }
+
+    // List Notes of a Video (own and shared with the user's networks)
+    app.get('/api/videos/:id/notes', authMiddleware, async (req, res) => {
+        const video = await findVideo(req.params.id);
+        if (!video) return res.status(404).json({ error: 'Video not found' });
+
+        const notes = await visibleNotes(prisma, req.user, video.id);
+        res.json(notes.map(n => toJson(n, req.user)));
+    });
+
+    // Create Note
+    app.post('/api/videos/:id/notes', authMiddleware, async (req, res) => {
+        try {
+            const video = await findVideo(req.params.id);
+            if (!video) return res.status(404).json({ error: 'Video not found' });
+
+            const { text, timestamp, networkIds } = noteSchema.parse(req.body);
+            await checkShareTargets(prisma, req.user, networkIds);
+
+            const note = await prisma.note.create({
+                data: {
+                    text,
+                    timestamp,
+                    videoId: video.id,
+                    userId: req.user.id,
+                    shares: { create: networkIds.map(networkId => ({ networkId })) }
+                },
+                include: noteInclude
+            });
+
+            res.json({ ok: true, note: toJson(note, req.user) });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Update Note (author only; networkIds replaces the sharing list)
+    app.patch('/api/notes/:id', authMiddleware, async (req, res) => {
+        try {
+            const note = await prisma.note.findUnique({ where: { id: req.params.id } });
+            if (!note) return res.status(404).json({ error: 'Note not found' });
+            if (!can(req.user, 'note:update', note)) return res.status(403).json({ error: 'Not authorized' });
+
+            const { networkIds, ...data } = noteUpdateSchema.parse(req.body);
+            if (networkIds) {
+                await checkShareTargets(prisma, req.user, networkIds);
+                data.shares = { deleteMany: {}, create: networkIds.map(networkId => ({ networkId })) };
+            }
+
+            const updated = await prisma.note.update({
+                where: { id: note.id },
+                data,
+                include: noteInclude
+            });
+
+            res.json({ ok: true, note: toJson(updated, req.user) });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Delete Note (author only)
+    app.delete('/api/notes/:id', authMiddleware, async (req, res) => {
+        const note = await prisma.note.findUnique({ where: { id: req.params.id } });
+        if (!note) return res.status(404).json({ error: 'Note not found' });
+        if (!can(req.user, 'note:delete', note)) return res.status(403).json({ error: 'Not authorized' });
+
+        await prisma.note.delete({ where: { id: note.id } });
+        res.json({ ok: true });
+    });
+
+    // Export Notes as Markdown (what the user can see on this video)
+    app.get('/api/videos/:id/notes/export.md', authMiddleware, async (req, res) => {
+        const video = await findVideo(req.params.id);
+        if (!video) return res.status(404).json({ error: 'Video not found' });
+
+        const notes = await visibleNotes(prisma, req.user, video.id);
+        const lines = [
+            `# Appunti: ${video.title}`,
+            '',
+            `${process.env.PUBLIC_URL || ''}/?v=${video.id}`,
+            ''
+        ];
+        notes.forEach(n => {
+            const author = n.userId === req.user.id ? '' : ` (${n.user.displayName || 'Membro'})`;
+            lines.push(`- **[${formatTimestamp(n.timestamp)}]**${author} ${n.text.replace(/\n+/g, ' ')}`);
+        });
+
+        const filename = `appunti-${video.title.replace(/[^\w-]+/g, '_').slice(0, 60) || video.id}.md`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type('text/markdown').send(lines.join('\n') + '\n');
+    });
+}
@@ -0,0 +1,120 @@
+// Notifications Feature - in-app notification center
+// Feature modules call notify() when something happens that a user should hear
+// about (network invitations and applications, comments on their videos, new
+// uploads from creators they follow). Each recipient gets a Notification row;
+// `data` carries the ids and labels the client needs to render and link it.
+// Recipients with an open event stream get it live (see server_events.js).
+
+import { z } from 'zod';
+import { publish } from './realtime.js';
+
+export const NOTIFICATION_TYPES = [
+    'network_invite',       // data: { networkId, networkName, invitationId }
+    'invitation_accepted',  // data: { networkId, networkName }
+    'network_application',  // data: { networkId, networkName, applicationId }
+    'application_approved', // data: { networkId, networkName }
+    'application_rejected', // data: { networkId, networkName, reason? }
+    'network_role_changed', // data: { networkId, networkName, role }
+    'ownership_offer',      // data: { networkId, networkName }
+    'ownership_accepted',   // data: { networkId, networkName }
+    'ownership_declined',   // data: { networkId, networkName }
+    'video_comment',        // data: { videoId, videoTitle, commentId }
+    'comment_reply',        // data: { videoId, videoTitle, commentId }
+    'new_upload'            // data: { videoId, videoTitle }
+];
+
+const listSchema = z.object({
+    unread: z.enum(['0', '1']).default('0'),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+// Notify one or more users; the actor is never notified of their own action.
+// Failures are logged, never thrown: a notification must not break the action behind it.
+export async function notify(prisma, userIds, { type, actorId = null, data }) {
+    if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+
+    const recipients = [...new Set([].concat(userIds))].filter(id => id && id !== actorId);
+    if (recipients.length === 0) return;
+
+    try {
+        await prisma.notification.createMany({
+            data: recipients.map(userId => ({ userId, actorId, type, data }))
+        });
+        await Promise.all(recipients.map(userId => publish(`user:${userId}`, 'notification', { type, data })));
+    } catch (err) {
+        console.error(`Notification ${type} failed:`, err);
+    }
+}
+
+function toJson(notification) {
+    const { actor, ...rest } = notification;
+    return { ...rest, actorName: actor?.displayName || null };
+}
+
+export function setupNotificationRoutes(app, prisma, authMiddleware) {
+
+    function unreadCount(userId) {
+        return prisma.notification.count({ where: { userId, readAt: null } });
+    }
+
+    // List Notifications (?unread=1&page=&limit=), newest first
+    app.get('/api/notifications', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = listSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const where = { userId: req.user.id, ...(params.unread === '1' ? { readAt: null } : {}) };
+        const [page, unread] = await Promise.all([
+            prisma.notification.findMany({
+                where,
+                include: { actor: { select: { id: true, displayName: true } } },
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                skip: (params.page - 1) * params.limit,
+                take: params.limit + 1
+            }),
+            unreadCount(req.user.id)
+        ]);
+
+        res.json({
+            notifications: page.slice(0, params.limit).map(toJson),
+            unreadCount: unread,
+            page: params.page,
+            hasMore: page.length > params.limit
+        });
+    });
+
+    // Unread Count (for the header badge)
+    app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
+        res.json({ unreadCount: await unreadCount(req.user.id) });
+    });
+
+    // Mark One as Read
+    app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
+        const { count } = await prisma.notification.updateMany({
+            where: { id: req.params.id, userId: req.user.id, readAt: null },
+            data: { readAt: new Date() }
+        });
+        if (count === 0) {
+            const exists = await prisma.notification.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+            if (!exists) return res.status(404).json({ error: 'Notification not found' });
+        }
+        await publish(`user:${req.user.id}`, 'notifications_read');
+
+        res.json({ ok: true, unreadCount: await unreadCount(req.user.id) });
+    });
+
+    // Mark All as Read
+    app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
+        await prisma.notification.updateMany({
+            where: { userId: req.user.id, readAt: null },
+            data: { readAt: new Date() }
+        });
+        await publish(`user:${req.user.id}`, 'notifications_read');
+
+        res.json({ ok: true, unreadCount: 0 });
+    });
+}
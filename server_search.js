@@ -0,0 +1,105 @@
+// Search Feature - Postgres full-text search across videos, creators and networks
+// Each searchable table has a generated "searchVector" column (Italian + English
+// stemming, GIN indexed) maintained by the database; see the search migration.
+
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { withMediaUrls } from './server_media.js';
+
+const SEARCH_TYPES = ['video', 'user', 'network'];
+
+const searchSchema = z.object({
+    q: z.string().trim().min(1).max(200),
+    type: z.enum(SEARCH_TYPES).optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+// One ranked sub-select per searchable table (content hidden by moderation, and
+// suspended users with their videos and networks, excluded)
+const SEARCH_SOURCES = {
+    video: Prisma.sql`SELECT 'video' AS type, v."id", ts_rank_cd(v."searchVector", q.query) AS rank
+        FROM "Video" v JOIN "User" u ON u."id" = v."uploaderId", q
+        WHERE v."searchVector" @@ q.query AND v."hiddenAt" IS NULL AND v."deletedAt" IS NULL AND u."suspendedAt" IS NULL`,
+    user: Prisma.sql`SELECT 'user' AS type, u."id", ts_rank_cd(u."searchVector", q.query) AS rank
+        FROM "User" u, q WHERE u."searchVector" @@ q.query AND u."suspendedAt" IS NULL`,
+    network: Prisma.sql`SELECT 'network' AS type, n."id", ts_rank_cd(n."searchVector", q.query) AS rank
+        FROM "Network" n JOIN "User" u ON u."id" = n."ownerId", q
+        WHERE n."searchVector" @@ q.query AND n."hiddenAt" IS NULL AND u."suspendedAt" IS NULL`
+};
+
+async function hydrate(prisma, rows) {
+    const idsOf = type => rows.filter(r => r.type === type).map(r => r.id);
+
+    const [videos, users, networks] = await Promise.all([
+        prisma.video.findMany({
+            where: { id: { in: idsOf('video') } },
+            include: { uploader: { select: { displayName: true } } }
+        }),
+        prisma.user.findMany({
+            where: { id: { in: idsOf('user') } },
+            select: {
+                id: true,
+                displayName: true,
+                bio: true,
+                _count: { select: { videos: true } }
+            }
+        }),
+        prisma.network.findMany({
+            where: { id: { in: idsOf('network') } },
+            include: {
+                owner: { select: { displayName: true } },
+                _count: { select: { memberships: true } }
+            }
+        })
+    ]);
+
+    const byId = {
+        video: new Map(await Promise.all(videos.map(async v => [v.id, {
+            ...await withMediaUrls(v),
+            uploaderName: v.uploader.displayName
+        }]))),
+        user: new Map(users.map(u => [u.id, u])),
+        network: new Map(networks.map(n => [n.id, n]))
+    };
+
+    // Keep rank order; drop rows deleted between the search and the lookup
+    return rows
+        .filter(r => byId[r.type].has(r.id))
+        .map(r => ({ type: r.type, rank: r.rank, item: byId[r.type].get(r.id) }));
+}
+
+export function setupSearchRoutes(app, prisma) {
+
+    // Search (?q=&type=video|user|network&page=&limit=)
+    app.get('/api/search', async (req, res) => {
+        let params;
+        try {
+            params = searchSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        try {
+            const { q, type, page, limit } = params;
+            const sources = type ? [SEARCH_SOURCES[type]] : SEARCH_TYPES.map(t => SEARCH_SOURCES[t]);
+
+            const rows = await prisma.$queryRaw`
+                WITH q AS (
+                    SELECT websearch_to_tsquery('italian', ${q}) || websearch_to_tsquery('english', ${q}) AS query
+                )
+                SELECT type, id, rank::float AS rank FROM (${Prisma.join(sources, ' UNION ALL ')}) results
+                ORDER BY rank DESC, id
+                LIMIT ${limit + 1} OFFSET ${(page - 1) * limit}
+            `;
+
+            const hasMore = rows.length > limit;
+            const results = await hydrate(prisma, rows.slice(0, limit));
+
+            res.json({ results, page, limit, hasMore });
+        } catch (error) {
+            console.error('Search error:', error);
+            res.status(500).json({ error: 'Search failed' });
+        }
+    });
+}
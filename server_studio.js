@@ -0,0 +1,187 @@
+// Studio Feature - analytics of a creator's own videos
+// Per-video numbers over the last days come from the daily rollups
+// (VideoDailyStat, see server_analytics.js): views by traffic source, viewers
+// (distinct per day, summed over the days), comments and average watch time per
+// playback session. A single video's page adds the exact unique viewers and the
+// audience retention curve, read from that video's raw events.
+
+import { z } from 'zod';
+import { can } from './policy.js';
+import { RETENTION_SEGMENTS } from './server_views.js';
+import { DAY_MS, startOfDay, dayKey } from './server_analytics.js';
+
+const rangeSchema = z.object({
+    days: z.coerce.number().int().min(7).max(365).default(30)
+});
+
+const STAT_FIELDS = ['views', 'viewers', 'comments', 'feedViews', 'networkViews', 'shareViews', 'sessions', 'watchSeconds'];
+
+// The last `days` UTC days, today included
+function dateRange(days) {
+    const to = startOfDay(new Date());
+    return { from: new Date(to.getTime() - (days - 1) * DAY_MS), to };
+}
+
+// Rollup sums of one video (or of all of them) as the studio shows them
+function videoStats(sum = {}) {
+    const stat = field => sum[field] || 0;
+    return {
+        views: stat('views'),
+        viewers: stat('viewers'),
+        comments: stat('comments'),
+        sessions: stat('sessions'),
+        watchSeconds: Math.round(stat('watchSeconds')),
+        avgWatchSeconds: stat('sessions') > 0 ? Math.round(stat('watchSeconds') / stat('sessions')) : 0,
+        sources: {
+            feed: stat('feedViews'),
+            network: stat('networkViews'),
+            share: stat('shareViews'),
+            other: stat('views') - stat('feedViews') - stat('networkViews') - stat('shareViews')
+        }
+    };
+}
+
+// Text starting with = + - @ (or a tab or carriage return) is prefixed with ' so spreadsheets don't run it as a formula
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function setupStudioRoutes(app, prisma, authMiddleware) {
+
+    // The creator's videos (newest first) with their stats since from
+    async function studioVideos(userId, from) {
+        const _sum = Object.fromEntries(STAT_FIELDS.map(field => [field, true]));
+        const [videos, rows] = await Promise.all([
+            prisma.video.findMany({
+                where: { uploaderId: userId, deletedAt: null },
+                select: { id: true, title: true, createdAt: true, views: true, duration: true, hiddenAt: true },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.videoDailyStat.groupBy({ by: ['videoId'], where: { uploaderId: userId, day: { gte: from } }, _sum })
+        ]);
+
+        const byVideo = new Map(rows.map(row => [row.videoId, row._sum]));
+        return videos.map(({ views, ...video }) => ({
+            ...video,
+            lifetimeViews: views,
+            ...videoStats(byVideo.get(video.id))
+        }));
+    }
+
+    // ===== STUDIO =====
+
+    // My Videos (?days=): per-video stats and their totals
+    app.get('/api/studio/videos', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = rangeSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const { from, to } = dateRange(params.days);
+        const videos = await studioVideos(req.user.id, from);
+
+        const totals = Object.fromEntries(['views', 'viewers', 'comments', 'sessions', 'watchSeconds']
+            .map(field => [field, videos.reduce((sum, v) => sum + v[field], 0)]));
+        totals.avgWatchSeconds = totals.sessions > 0 ? Math.round(totals.watchSeconds / totals.sessions) : 0;
+        totals.sources = Object.fromEntries(['feed', 'network', 'share', 'other']
+            .map(source => [source, videos.reduce((sum, v) => sum + v.sources[source], 0)]));
+
+        res.json({ from: dayKey(from), to: dayKey(to), totals, videos });
+    });
+
+    // Video Stats (?days=): daily series, exact unique viewers and audience retention.
+    // Retention is, for each of RETENTION_SEGMENTS parts of the video, the share of
+    // playback sessions that played through it.
+    app.get('/api/studio/videos/:id', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = rangeSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const video = await prisma.video.findFirst({
+            where: { id: req.params.id, deletedAt: null },
+            select: { id: true, title: true, createdAt: true, views: true, duration: true, uploaderId: true }
+        });
+        if (!video) return res.status(404).json({ error: 'Video not found' });
+        if (!can(req.user, 'video:viewAnalytics', video)) return res.status(403).json({ error: 'Not authorized' });
+
+        const { from, to } = dateRange(params.days);
+        const [rows, [{ uniqueViewers }], [{ sessions }], segments] = await Promise.all([
+            prisma.videoDailyStat.findMany({ where: { videoId: video.id, day: { gte: from } } }),
+            prisma.$queryRaw`
+                SELECT count(DISTINCT "viewerHash")::int AS "uniqueViewers"
+                FROM "ViewEvent" WHERE "videoId" = ${video.id} AND "createdAt" >= ${from}
+            `,
+            prisma.$queryRaw`
+                SELECT count(*)::int AS "sessions"
+                FROM "PlaybackSession" WHERE "videoId" = ${video.id} AND "startedAt" >= ${from}
+            `,
+            prisma.$queryRaw`
+                SELECT segment, count(*)::int AS "sessions"
+                FROM "PlaybackSession", unnest("segments") AS segment
+                WHERE "videoId" = ${video.id} AND "startedAt" >= ${from}
+                GROUP BY segment
+            `
+        ]);
+
+        const byDay = new Map(rows.map(row => [dayKey(row.day), row]));
+        const daily = [];
+        for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+            const row = byDay.get(dayKey(day)) || {};
+            daily.push({ day: dayKey(day), ...Object.fromEntries(STAT_FIELDS.map(field => [field, row[field] || 0])) });
+        }
+
+        const reached = new Map(segments.map(row => [row.segment, row.sessions]));
+        const retention = video.duration && sessions > 0
+            ? Array.from({ length: RETENTION_SEGMENTS }, (_, i) => ({
+                position: Math.round(i * video.duration / RETENTION_SEGMENTS),
+                share: (reached.get(i) || 0) / sessions
+            }))
+            : [];
+
+        const totals = Object.fromEntries(STAT_FIELDS.map(field => [field, daily.reduce((sum, d) => sum + d[field], 0)]));
+        const { uploaderId, views, ...info } = video;
+
+        res.json({
+            video: { ...info, lifetimeViews: views },
+            from: dayKey(from),
+            to: dayKey(to),
+            totals: { ...videoStats(totals), uniqueViewers },
+            daily,
+            retention
+        });
+    });
+
+    // Export (?days=): one CSV row per video, same numbers as GET /api/studio/videos
+    app.get('/api/studio/export.csv', authMiddleware, async (req, res) => {
+        let params;
+        try {
+            params = rangeSchema.parse(req.query);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        const { from, to } = dateRange(params.days);
+        const videos = await studioVideos(req.user.id, from);
+
+        const lines = [[
+            'id', 'titolo', 'pubblicato', 'visualizzazioni', 'visualizzazioni_totali', 'spettatori', 'commenti',
+            'sessioni', 'tempo_medio_secondi', 'da_feed', 'da_reti', 'da_link', 'altro'
+        ].join(',')];
+        videos.forEach(v => {
+            lines.push([
+                v.id, v.title, dayKey(v.createdAt), v.views, v.lifetimeViews, v.viewers, v.comments,
+                v.sessions, v.avgWatchSeconds, v.sources.feed, v.sources.network, v.sources.share, v.sources.other
+            ].map(csvCell).join(','));
+        });
+
+        res.set('Content-Disposition', `attachment; filename="studio-${dayKey(from)}-${dayKey(to)}.csv"`);
+        res.type('text/csv').send(lines.join('\n') + '\n');
+    });
+}
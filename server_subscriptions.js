@@ -0,0 +1,102 @@
+// Subscriptions Feature - follow creators and whole networks
+// Following a network means following every active member of it. The
+// "Following" feed (GET /api/feed/following, in server.js) merges their uploads.
+
+import { notify } from './server_notifications.js';
+
+// Creators and networks the user follows, as id lists
+export async function followedIds(prisma, userId) {
+    const subscriptions = await prisma.subscription.findMany({
+        where: { subscriberId: userId },
+        select: { creatorId: true, networkId: true }
+    });
+    return {
+        creatorIds: subscriptions.filter(s => s.creatorId).map(s => s.creatorId),
+        networkIds: subscriptions.filter(s => s.networkId).map(s => s.networkId)
+    };
+}
+
+// Tell a creator's subscribers about a new upload
+export async function notifySubscribers(prisma, video) {
+    const subscribers = await prisma.subscription.findMany({
+        where: { creatorId: video.uploaderId },
+        select: { subscriberId: true }
+    });
+    await notify(prisma, subscribers.map(s => s.subscriberId), {
+        type: 'new_upload',
+        actorId: video.uploaderId,
+        data: { videoId: video.id, videoTitle: video.title }
+    });
+}
+
+export function setupSubscriptionRoutes(app, prisma, authMiddleware) {
+
+    // Subscribe if not already subscribed; a concurrent duplicate hits the unique index
+    async function subscribe(subscriberId, target) {
+        const existing = await prisma.subscription.findFirst({ where: { subscriberId, ...target } });
+        if (existing) return;
+        try {
+            await prisma.subscription.create({ data: { subscriberId, ...target } });
+        } catch (e) {
+            if (e.code !== 'P2002') throw e;
+        }
+    }
+
+    async function subscriberCount(target) {
+        return prisma.subscription.count({ where: target });
+    }
+
+    // ===== CREATORS =====
+
+    // Subscribe to Creator
+    app.post('/api/users/:id/subscribe', authMiddleware, async (req, res) => {
+        const creator = await prisma.user.findUnique({ where: { id: req.params.id } });
+        if (!creator) return res.status(404).json({ error: 'User not found' });
+        if (creator.id === req.user.id) return res.status(400).json({ error: 'You cannot subscribe to yourself' });
+
+        await subscribe(req.user.id, { creatorId: creator.id });
+        res.json({ ok: true, subscribed: true, subscriberCount: await subscriberCount({ creatorId: creator.id }) });
+    });
+
+    // Unsubscribe from Creator
+    app.delete('/api/users/:id/subscribe', authMiddleware, async (req, res) => {
+        await prisma.subscription.deleteMany({ where: { subscriberId: req.user.id, creatorId: req.params.id } });
+        res.json({ ok: true, subscribed: false, subscriberCount: await subscriberCount({ creatorId: req.params.id }) });
+    });
+
+    // ===== NETWORKS =====
+
+    // Subscribe to Network
+    app.post('/api/networks/:id/subscribe', authMiddleware, async (req, res) => {
+        const network = await prisma.network.findUnique({ where: { id: req.params.id } });
+        if (!network || network.hiddenAt) return res.status(404).json({ error: 'Network not found' });
+
+        await subscribe(req.user.id, { networkId: network.id });
+        res.json({ ok: true, subscribed: true, subscriberCount: await subscriberCount({ networkId: network.id }) });
+    });
+
+    // Unsubscribe from Network
+    app.delete('/api/networks/:id/subscribe', authMiddleware, async (req, res) => {
+        await prisma.subscription.deleteMany({ where: { subscriberId: req.user.id, networkId: req.params.id } });
+        res.json({ ok: true, subscribed: false, subscriberCount: await subscriberCount({ networkId: req.params.id }) });
+    });
+
+    // ===== MY SUBSCRIPTIONS =====
+
+    // List Subscriptions (creators and networks the current user follows)
+    app.get('/api/me/subscriptions', authMiddleware, async (req, res) => {
+        const subscriptions = await prisma.subscription.findMany({
+            where: { subscriberId: req.user.id },
+            include: {
+                creator: { select: { id: true, displayName: true } },
+                network: { select: { id: true, name: true } }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json({
+            creators: subscriptions.filter(s => s.creator).map(s => s.creator),
+            networks: subscriptions.filter(s => s.network).map(s => s.network)
+        });
+    });
+}
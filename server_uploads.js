@@ -0,0 +1,276 @@
+// Uploads Feature - upload intents, verification on finalize, orphan sweeping
+// Every presigned upload is recorded as an UploadIntent (owner, key, declared
+// type and size, expiry). The presigned POST policy pins the key and type and
+// caps the size; finalizing (POST /api/videos, custom thumbnails) checks the
+// stored object against the intent. Objects whose intent expires without being
+// finalized are deleted by a periodic sweeper.
+// Large videos go through resumable S3 multipart uploads (/api/uploads/*): the
+// intent keeps the multipart UploadId and the part layout follows from its size.
+
+import { z } from 'zod';
+import { v4 as uuidv4 } from 'uuid';
+import { schedule } from './jobs.js';
+import {
+    presignPost, presignGet, headObject, deleteObject,
+    createMultipartUpload, presignUploadPart, listParts, completeMultipartUpload, abortMultipartUpload
+} from './storage.js';
+import { probe } from './server_media.js';
+import { requireVerifiedEmail } from './server_account.js';
+
+const MB = 1024 * 1024;
+const UPLOAD_URL_TTL_S = 60 * 60; // the browser must start the upload within this
+const INTENT_TTL_MS = 24 * 60 * 60 * 1000; // time left to finalize an upload
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Multipart layout: S3 wants parts of at least 5 MB and at most 10000 of them
+const MIN_PART_BYTES = 8 * MB;
+const MAX_PARTS = 10000;
+const SIGN_BATCH = 100; // part URLs per signing request
+
+// Accepted types and size caps per upload kind
+export const UPLOAD_KINDS = {
+    video: { typePrefix: 'video/', maxBytes: (Number(process.env.UPLOAD_MAX_VIDEO_MB) || 2000) * MB },
+    thumbnail: { typePrefix: 'image/', maxBytes: 5 * MB }
+};
+
+const uploadUrlSchema = z.object({
+    filename: z.string().min(1).max(200),
+    mimetype: z.string().min(1).max(100),
+    size: z.number().int().positive(),
+    kind: z.enum(Object.keys(UPLOAD_KINDS)).default('video')
+});
+
+const multipartSchema = z.object({
+    filename: z.string().min(1).max(200),
+    mimetype: z.string().min(1).max(100),
+    size: z.number().int().positive()
+});
+
+const signPartsSchema = z.object({
+    partNumbers: z.array(z.number().int().min(1)).min(1).max(SIGN_BATCH)
+});
+
+function partPlan(size) {
+    const partSize = Math.max(MIN_PART_BYTES, Math.ceil(size / MAX_PARTS));
+    return { partSize, partCount: Math.ceil(size / partSize) };
+}
+
+// Exact size of part n (1-based) in the plan: partSize, less for the last one
+function partBytes(size, n) {
+    const { partSize } = partPlan(size);
+    return Math.min(partSize, size - (n - 1) * partSize);
+}
+
+// Validate a requested upload and record its intent; throws with a message for a 400
+export async function createUploadIntent(prisma, user, { filename, mimetype, size, kind }) {
+    const limits = UPLOAD_KINDS[kind];
+    if (!mimetype.startsWith(limits.typePrefix)) throw new Error('Unsupported file type');
+    if (size > limits.maxBytes) throw new Error(`File too large (max ${Math.floor(limits.maxBytes / MB)} MB)`);
+
+    const safeName = filename.replace(/[^\w.-]+/g, '_');
+    return prisma.uploadIntent.create({
+        data: {
+            userId: user.id,
+            key: `${uuidv4()}-${safeName}`,
+            kind,
+            contentType: mimetype,
+            size,
+            expiresAt: new Date(Date.now() + INTENT_TTL_MS)
+        }
+    });
+}
+
+// Check an uploaded object against its intent before it is attached to a record.
+// Throws with a message safe for a 400 response when the upload is not acceptable.
+export async function verifyUpload(prisma, user, key, kind) {
+    const intent = await prisma.uploadIntent.findUnique({ where: { key } });
+    if (!intent || intent.userId !== user.id || intent.kind !== kind) throw new Error('Unknown upload');
+    if (intent.finalizedAt) throw new Error('Upload already used');
+    if (intent.expiresAt.getTime() < Date.now()) throw new Error('Upload expired');
+
+    const head = await headObject(key);
+    if (!head) throw new Error('File not uploaded');
+    if (head.ContentLength > Number(intent.size)) throw new Error('File larger than declared');
+    if (head.ContentType !== intent.contentType) throw new Error('File type does not match the upload');
+
+    if (kind === 'video') {
+        // ffprobe reads only what it needs through a short-lived presigned URL
+        try {
+            await probe(await presignGet(key, 600));
+        } catch (err) {
+            if (err.code === 'ENOENT') throw err; // ffprobe missing: a server problem, not the file's
+            throw new Error('File is not a playable video');
+        }
+    }
+
+    return intent;
+}
+
+// Mark a verified intent as used; fails if another request finalized it first
+// (see uploadAlreadyUsed). Returned unawaited so callers can put it in the same
+// transaction as their record.
+export function finalizeUpload(prisma, intent) {
+    return prisma.uploadIntent.update({
+        where: { id: intent.id, finalizedAt: null },
+        data: { finalizedAt: new Date() }
+    });
+}
+
+// Whether a failed transaction lost the race to finalize its upload (P2025: the
+// finalizedAt: null guard of finalizeUpload matched no row)
+export function uploadAlreadyUsed(err) {
+    return err.code === 'P2025';
+}
+
+// Delete objects (and intents) of uploads that were never finalized
+export async function sweepUploadIntents(prisma) {
+    const stale = await prisma.uploadIntent.findMany({
+        where: { finalizedAt: null, expiresAt: { lt: new Date() } },
+        orderBy: { expiresAt: 'asc' },
+        take: 200
+    });
+
+    let swept = 0;
+    for (const intent of stale) {
+        try {
+            if (intent.uploadId) await abortMultipartUpload(intent.key, intent.uploadId);
+            await deleteObject(intent.key);
+            await prisma.uploadIntent.delete({ where: { id: intent.id } });
+            swept++;
+        } catch (err) {
+            console.error(`Sweep of upload ${intent.key} failed:`, err);
+        }
+    }
+    if (swept > 0) console.log(`Removed ${swept} unfinalized upload(s)`);
+}
+
+export function startUploadSweeper(prisma) {
+    return schedule('uploads:sweep', SWEEP_INTERVAL_MS, () => sweepUploadIntents(prisma));
+}
+
+export function setupUploadRoutes(app, prisma, authMiddleware) {
+
+    // Upload URL: presigned POST form for one declared file
+    app.post('/api/upload-url', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        let intent;
+        try {
+            intent = await createUploadIntent(prisma, req.user, uploadUrlSchema.parse(req.body));
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        try {
+            const { url, fields } = await presignPost(intent.key, intent.contentType, Number(intent.size), UPLOAD_URL_TTL_S);
+            res.json({ url, fields, key: intent.key });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to generate upload URL' });
+        }
+    });
+
+    // ===== MULTIPART =====
+
+    // The caller's multipart upload that has not been attached to a video yet
+    async function findMultipartIntent(req) {
+        const intent = await prisma.uploadIntent.findUnique({ where: { id: req.params.id } });
+        if (!intent || intent.userId !== req.user.id || !intent.uploadId || intent.finalizedAt) return null;
+        return intent;
+    }
+
+    // Start Multipart Upload (returns the part layout the client must follow)
+    app.post('/api/uploads/multipart', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        let intent;
+        try {
+            intent = await createUploadIntent(prisma, req.user, { ...multipartSchema.parse(req.body), kind: 'video' });
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        try {
+            const uploadId = await createMultipartUpload(intent.key, intent.contentType);
+            await prisma.uploadIntent.update({ where: { id: intent.id }, data: { uploadId } });
+
+            res.json({ id: intent.id, key: intent.key, ...partPlan(Number(intent.size)) });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to start upload' });
+        }
+    });
+
+    // Sign Parts (presigned PUT URL per requested part number, bound to that part's size)
+    app.post('/api/uploads/:id/parts', authMiddleware, async (req, res) => {
+        try {
+            const intent = await findMultipartIntent(req);
+            if (!intent) return res.status(404).json({ error: 'Upload not found' });
+
+            const { partNumbers } = signPartsSchema.parse(req.body);
+            const { partCount } = partPlan(Number(intent.size));
+            if (partNumbers.some(n => n > partCount)) return res.status(400).json({ error: 'Invalid part number' });
+
+            const urls = Object.fromEntries(await Promise.all(partNumbers.map(async n => [
+                n,
+                await presignUploadPart(intent.key, intent.uploadId, n, partBytes(Number(intent.size), n), UPLOAD_URL_TTL_S)
+            ])));
+
+            res.json({ urls });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // List Uploaded Parts (lets a client resume after a reload)
+    app.get('/api/uploads/:id/parts', authMiddleware, async (req, res) => {
+        try {
+            const intent = await findMultipartIntent(req);
+            if (!intent) return res.status(404).json({ error: 'Upload not found' });
+
+            const parts = await listParts(intent.key, intent.uploadId);
+            res.json({
+                id: intent.id,
+                key: intent.key,
+                ...partPlan(Number(intent.size)),
+                parts: parts.map(p => ({ partNumber: p.PartNumber, size: p.Size }))
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to list parts' });
+        }
+    });
+
+    // Complete Multipart Upload (parts are taken from S3, not from the client)
+    app.post('/api/uploads/:id/complete', authMiddleware, async (req, res) => {
+        try {
+            const intent = await findMultipartIntent(req);
+            if (!intent) return res.status(404).json({ error: 'Upload not found' });
+
+            const { partCount } = partPlan(Number(intent.size));
+            const parts = await listParts(intent.key, intent.uploadId);
+            const total = parts.reduce((sum, p) => sum + p.Size, 0);
+
+            if (parts.length !== partCount) return res.status(400).json({ error: `Missing parts (${parts.length}/${partCount})` });
+            if (total > Number(intent.size)) return res.status(400).json({ error: 'File larger than declared' });
+
+            await completeMultipartUpload(intent.key, intent.uploadId, parts);
+            res.json({ ok: true, key: intent.key });
+        } catch (e) {
+            res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+    });
+
+    // Abort Multipart Upload
+    app.delete('/api/uploads/:id', authMiddleware, async (req, res) => {
+        try {
+            const intent = await findMultipartIntent(req);
+            if (!intent) return res.status(404).json({ error: 'Upload not found' });
+
+            await abortMultipartUpload(intent.key, intent.uploadId);
+            await deleteObject(intent.key);
+            await prisma.uploadIntent.delete({ where: { id: intent.id } });
+
+            res.json({ ok: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to abort upload' });
+        }
+    });
+}
@@ -0,0 +1,178 @@
+// Views Feature - deduplicated view tracking and playback heartbeats
+// Each play records a ViewEvent keyed by a hash of the viewer (user id when
+// logged in, IP + user agent otherwise) and the page it was started from. A
+// viewer counts again only after the dedup window; a periodic rollup folds new
+// events into Video.views. While the video plays, the player also sends
+// heartbeats for its PlaybackSession: they add up the time actually played and
+// the parts of the video played through, for watch time and audience retention
+// in the creator studio (server_studio.js).
+
+import crypto from 'crypto';
+import { z } from 'zod';
+import { schedule } from './jobs.js';
+import { getSession } from './auth.js';
+
+const DEDUP_WINDOW_MS = 30 * 60 * 1000; // 30 minutes
+const ROLLUP_INTERVAL_MS = 60 * 1000;
+
+// Where a play started: the home or following feed, a network page, a shared link, anything else
+export const VIEW_SOURCES = ['feed', 'network', 'share', 'other'];
+
+// Retention: the video is split into this many equal segments
+export const RETENTION_SEGMENTS = 20;
+
+// A heartbeat may advance by the time since the previous one, at up to this
+// playback rate (plus some slack for network jitter); bigger jumps are seeks
+const MAX_PLAYBACK_RATE = 2;
+const HEARTBEAT_SLACK_SECONDS = 5;
+
+const sourceSchema = z.enum(VIEW_SOURCES).catch('other');
+
+const heartbeatSchema = z.object({
+    sessionId: z.string().uuid(),
+    position: z.number().min(0), // seconds into the video
+    source: sourceSchema
+});
+
+function hashViewer(parts) {
+    return crypto
+        .createHash('sha256')
+        .update([process.env.SESSION_SECRET || '', ...parts].join('|'))
+        .digest('hex');
+}
+
+async function resolveViewer(prisma, req, res) {
+    const session = await getSession(prisma, req, res);
+    if (session) return { userId: session.userId, viewerHash: hashViewer(['user', session.userId]) };
+    return { userId: null, viewerHash: hashViewer(['anon', req.ip, req.get('user-agent') || '']) };
+}
+
+// Fold events recorded up to now into the per-video counters
+export async function rollupViews(prisma) {
+    const cutoff = new Date();
+    const pending = await prisma.viewEvent.groupBy({
+        by: ['videoId'],
+        where: { rolledUp: false, createdAt: { lte: cutoff } },
+        _count: { _all: true }
+    });
+
+    for (const row of pending) {
+        await prisma.$transaction([
+            prisma.video.update({
+                where: { id: row.videoId },
+                data: { views: { increment: row._count._all } }
+            }),
+            prisma.viewEvent.updateMany({
+                where: { videoId: row.videoId, rolledUp: false, createdAt: { lte: cutoff } },
+                data: { rolledUp: true }
+            })
+        ]);
+    }
+}
+
+export function startViewRollup(prisma) {
+    return schedule('views:rollup', ROLLUP_INTERVAL_MS, () => rollupViews(prisma));
+}
+
+export function setupViewRoutes(app, prisma) {
+
+    // Register View (called by the player once playback has actually started; hidden videos don't count)
+    app.post('/api/videos/:id/views', async (req, res) => {
+        try {
+            const video = await prisma.video.findFirst({ where: { id: req.params.id, deletedAt: null, hiddenAt: null }, select: { id: true } });
+            if (!video) return res.status(404).json({ error: 'Video not found' });
+
+            const { userId, viewerHash } = await resolveViewer(prisma, req, res);
+
+            // Check and insert under a transaction-scoped lock on this viewer and video, so
+            // concurrent plays (double clicks, several tabs) cannot both count
+            const counted = await prisma.$transaction(async (tx) => {
+                await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtextextended(${video.id + '|' + viewerHash}, 0))`;
+
+                const recent = await tx.viewEvent.findFirst({
+                    where: {
+                        videoId: video.id,
+                        viewerHash,
+                        createdAt: { gte: new Date(Date.now() - DEDUP_WINDOW_MS) }
+                    },
+                    select: { id: true }
+                });
+                if (recent) return false;
+
+                await tx.viewEvent.create({
+                    data: { videoId: video.id, viewerHash, userId, source: sourceSchema.parse(req.body?.source) }
+                });
+                return true;
+            });
+
+            res.json({ ok: true, counted });
+        } catch (e) {
+            console.error('View error:', e);
+            res.status(500).json({ error: 'Error recording view' });
+        }
+    });
+
+    // Indexes of the retention segments covered by playback from one position to another
+    function segmentsBetween(duration, from, to) {
+        if (!duration) return [];
+        const segment = position => Math.min(RETENTION_SEGMENTS - 1, Math.floor(position / duration * RETENTION_SEGMENTS));
+        const segments = [];
+        for (let i = segment(from); i <= segment(to); i++) segments.push(i);
+        return segments;
+    }
+
+    // Playback Heartbeat (every few seconds while playing, and around pauses and seeks).
+    // Only forward playback since the previous heartbeat counts as watched.
+    app.post('/api/videos/:id/heartbeat', async (req, res) => {
+        let beat;
+        try {
+            beat = heartbeatSchema.parse(req.body);
+        } catch (e) {
+            return res.status(400).json({ error: e.errors?.[0]?.message || e.message });
+        }
+
+        try {
+            const video = await prisma.video.findFirst({
+                where: { id: req.params.id, deletedAt: null, hiddenAt: null },
+                select: { id: true, duration: true }
+            });
+            if (!video) return res.status(404).json({ error: 'Video not found' });
+
+            const { userId, viewerHash } = await resolveViewer(prisma, req, res);
+
+            // First beat: opens the session (a concurrent duplicate first beat is skipped)
+            const { count: opened } = await prisma.playbackSession.createMany({
+                data: [{ id: beat.sessionId, videoId: video.id, viewerHash, userId, source: beat.source, lastPosition: beat.position }],
+                skipDuplicates: true
+            });
+            if (opened === 1) return res.json({ ok: true });
+
+            const session = await prisma.playbackSession.findUnique({ where: { id: beat.sessionId } });
+            if (!session || session.videoId !== video.id || session.viewerHash !== viewerHash) {
+                return res.status(403).json({ error: 'Not authorized' });
+            }
+
+            const elapsed = (Date.now() - session.updatedAt.getTime()) / 1000;
+            const advanced = beat.position - session.lastPosition;
+            const played = advanced > 0 && advanced <= elapsed * MAX_PLAYBACK_RATE + HEARTBEAT_SLACK_SECONDS ? advanced : 0;
+            const segments = played > 0 ? segmentsBetween(video.duration, session.lastPosition, beat.position) : [];
+
+            // Applied only if no other beat updated the session since it was read, so
+            // concurrent beats can't count the same stretch twice or drop segments;
+            // a beat that loses is skipped and the next one covers its stretch
+            await prisma.playbackSession.updateMany({
+                where: { id: session.id, updatedAt: session.updatedAt, lastPosition: session.lastPosition },
+                data: {
+                    watchedSeconds: { increment: played },
+                    lastPosition: beat.position,
+                    segments: [...new Set([...session.segments, ...segments])].sort((a, b) => a - b)
+                }
+            });
+
+            res.json({ ok: true });
+        } catch (e) {
+            console.error('Heartbeat error:', e);
+            res.status(500).json({ error: 'Error recording playback' });
+        }
+    });
+}
@@ -0,0 +1,178 @@
+// Object Storage - S3 / MinIO helpers
+// Shared by server.js and the feature modules that read or write bucket objects
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import {
+    S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, CreateBucketCommand, HeadBucketCommand,
+    DeleteObjectCommand, DeleteObjectsCommand, ListObjectsV2Command,
+    CreateMultipartUploadCommand, UploadPartCommand, ListPartsCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createPresignedPost } from '@aws-sdk/s3-presigned-post';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// S3 Configuration
+export const s3 = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: true, // Needed for MinIO
+    credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY,
+        secretAccessKey: process.env.S3_SECRET_KEY,
+    },
+});
+export const BUCKET_NAME = process.env.S3_BUCKET || 'videos';
+
+// Ensure Bucket Exists
+export async function ensureBucket() {
+    try {
+        await s3.send(new HeadBucketCommand({ Bucket: BUCKET_NAME }));
+        console.log(`Bucket '${BUCKET_NAME}' exists.`);
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+            console.log(`Bucket '${BUCKET_NAME}' not found. Creating...`);
+            try {
+                await s3.send(new CreateBucketCommand({ Bucket: BUCKET_NAME }));
+                console.log(`Bucket '${BUCKET_NAME}' created.`);
+            } catch (err) {
+                console.error('Failed to create bucket:', err);
+            }
+        } else {
+            console.error('Error checking bucket:', error);
+        }
+    }
+}
+
+// Hack for local MinIO: force HTTP if endpoint is HTTP
+function forceHttp(url) {
+    if (process.env.S3_ENDPOINT && process.env.S3_ENDPOINT.startsWith('http://')) {
+        return url.replace('https://', 'http://');
+    }
+    return url;
+}
+
+export async function presignGet(key, expiresIn = 3600) {
+    const command = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key });
+    return forceHttp(await getSignedUrl(s3, command, { expiresIn }));
+}
+
+export async function presignPut(key, contentType, expiresIn = 3600) {
+    const command = new PutObjectCommand({ Bucket: BUCKET_NAME, Key: key, ContentType: contentType });
+    return forceHttp(await getSignedUrl(s3, command, { expiresIn }));
+}
+
+// Browser form upload whose policy pins the key and content type and caps the size
+export async function presignPost(key, contentType, maxBytes, expiresIn = 3600) {
+    const { url, fields } = await createPresignedPost(s3, {
+        Bucket: BUCKET_NAME,
+        Key: key,
+        Fields: { 'Content-Type': contentType },
+        Conditions: [
+            ['eq', '$Content-Type', contentType],
+            ['content-length-range', 1, maxBytes]
+        ],
+        Expires: expiresIn
+    });
+    return { url: forceHttp(url), fields };
+}
+
+// Object metadata, or null if the key does not exist
+export async function headObject(key) {
+    try {
+        return await s3.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+    }
+}
+
+// Stream an object to a local file (used by the media workers)
+export async function downloadObject(key, destPath) {
+    const { Body } = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    await pipeline(Body, fs.createWriteStream(destPath));
+}
+
+export async function getObjectText(key) {
+    const { Body } = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    return Body.transformToString();
+}
+
+export async function uploadFile(key, filePath, contentType) {
+    const { size } = await fs.promises.stat(filePath);
+    await s3.send(new PutObjectCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType
+    }));
+}
+
+export async function deleteObject(key) {
+    await s3.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+}
+
+// Delete every object under a prefix, one listing page (max 1000 keys) at a time
+export async function deletePrefix(prefix) {
+    if (!prefix || !prefix.endsWith('/')) throw new Error(`Refusing to delete prefix '${prefix}'`);
+
+    let deleted = 0;
+    let ContinuationToken;
+    do {
+        const page = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET_NAME, Prefix: prefix, ContinuationToken }));
+        const objects = (page.Contents || []).map(o => ({ Key: o.Key }));
+        if (objects.length > 0) {
+            await s3.send(new DeleteObjectsCommand({ Bucket: BUCKET_NAME, Delete: { Objects: objects, Quiet: true } }));
+            deleted += objects.length;
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return deleted;
+}
+
+// ===== MULTIPART UPLOADS =====
+
+export async function createMultipartUpload(key, contentType) {
+    const { UploadId } = await s3.send(new CreateMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, ContentType: contentType }));
+    return UploadId;
+}
+
+// contentLength is signed: S3 refuses a part of any other size
+export async function presignUploadPart(key, uploadId, partNumber, contentLength, expiresIn = 3600) {
+    const command = new UploadPartCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId, PartNumber: partNumber, ContentLength: contentLength });
+    return forceHttp(await getSignedUrl(s3, command, { expiresIn }));
+}
+
+// Every part uploaded so far: [{ PartNumber, ETag, Size }]
+export async function listParts(key, uploadId) {
+    const parts = [];
+    let PartNumberMarker;
+    do {
+        const page = await s3.send(new ListPartsCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId, PartNumberMarker }));
+        parts.push(...(page.Parts || []));
+        PartNumberMarker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+    } while (PartNumberMarker);
+    return parts;
+}
+
+export async function completeMultipartUpload(key, uploadId, parts) {
+    await s3.send(new CompleteMultipartUploadCommand({
+        Bucket: BUCKET_NAME,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts.map(p => ({ PartNumber: p.PartNumber, ETag: p.ETag })) }
+    }));
+}
+
+// Drop an unfinished upload and its stored parts (no-op if already gone)
+export async function abortMultipartUpload(key, uploadId) {
+    try {
+        await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId }));
+    } catch (error) {
+        if (error.name !== 'NoSuchUpload' && error.$metadata?.httpStatusCode !== 404) throw error;
+    }
+}
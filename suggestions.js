@@ -0,0 +1,156 @@
+// Suggestions - creators a network could invite, scored against its themes
+// Candidates are creators with at least one visible video tagged with one of the
+// network's theme slugs (see themes.js; tags are lowercase). The score weighs how
+// many of their videos match and how many themes they cover, how recently they
+// uploaded, the views of their matching videos and how many other networks they
+// share with this network's members. Members, suspended users, users with a
+// pending invitation and applicants (open or rejected) are left out.
+
+import { themeName } from './themes.js';
+
+const CANDIDATE_VIDEO_LIMIT = 2000; // most recent matching videos considered
+const ACTIVITY_HALF_LIFE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEIGHTS = {
+    match: 3,     // log2(1 + matching videos)
+    breadth: 2,   // share of the network's themes covered
+    activity: 2,  // decays with days since the last matching upload
+    views: 1,     // log10(1 + views of matching videos)
+    overlap: 1.5  // log2(1 + networks shared with members)
+};
+
+export function normalizeTag(tag) {
+    return tag.trim().toLowerCase();
+}
+
+// Users who cannot be suggested: members, and anyone already invited or who applied
+async function excludedUserIds(prisma, network) {
+    const [memberships, invitations, applications] = await Promise.all([
+        prisma.networkMembership.findMany({ where: { networkId: network.id }, select: { userId: true } }),
+        prisma.networkInvitation.findMany({
+            where: { networkId: network.id, status: 'pending', expiresAt: { gt: new Date() } },
+            select: { invitedUserId: true }
+        }),
+        // Open applications are already on the review board
+        prisma.networkApplication.findMany({
+            where: { networkId: network.id, status: { in: ['pending', 'shortlisted', 'rejected'] } },
+            select: { applicantId: true }
+        })
+    ]);
+
+    return [...new Set([
+        network.ownerId,
+        ...memberships.map(m => m.userId),
+        ...invitations.map(i => i.invitedUserId),
+        ...applications.map(a => a.applicantId)
+    ])];
+}
+
+// Per candidate: other networks they share with this network's active members
+async function sharedNetworkCounts(prisma, network, candidateIds) {
+    const members = await prisma.networkMembership.findMany({
+        where: { networkId: network.id, status: 'active' },
+        select: { userId: true }
+    });
+    const shared = await prisma.networkMembership.findMany({
+        where: {
+            userId: { in: candidateIds },
+            status: 'active',
+            networkId: { not: network.id },
+            network: { memberships: { some: { status: 'active', userId: { in: members.map(m => m.userId) } } } }
+        },
+        select: { userId: true }
+    });
+
+    const counts = new Map();
+    shared.forEach(({ userId }) => counts.set(userId, (counts.get(userId) || 0) + 1));
+    return counts;
+}
+
+function activityLabel(days) {
+    if (days < 7) return 'active this week';
+    if (days < 30) return 'active this month';
+    const months = Math.floor(days / 30);
+    return `last upload ${months} month${months === 1 ? '' : 's'} ago`;
+}
+
+// "3 Tech videos, 1 Gaming video, active this month, 2 networks in common"
+function explain({ themeCounts, daysSinceUpload, views, sharedNetworks }) {
+    const parts = Object.entries(themeCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([theme, count]) => `${count} ${theme} video${count === 1 ? '' : 's'}`);
+    parts.push(activityLabel(daysSinceUpload));
+    if (views > 0) parts.push(`${views.toLocaleString('en-US')} views`);
+    if (sharedNetworks > 0) parts.push(`${sharedNetworks} network${sharedNetworks === 1 ? '' : 's'} in common`);
+    return parts.join(', ');
+}
+
+// Ranked suggestions for a network, best first
+export async function suggestCreators(prisma, network, { limit = 10 } = {}) {
+    // Theme slug -> label, for the explanation
+    const themes = new Map(network.themes.map(slug => [slug, themeName(slug)]));
+    if (themes.size === 0) return [];
+
+    const excluded = await excludedUserIds(prisma, network);
+    const videos = await prisma.video.findMany({
+        where: {
+            hiddenAt: null,
+            deletedAt: null,
+            tags: { hasSome: [...themes.keys()] },
+            uploaderId: { notIn: excluded },
+            uploader: { suspendedAt: null }
+        },
+        select: { uploaderId: true, tags: true, views: true, createdAt: true },
+        orderBy: { createdAt: 'desc' },
+        take: CANDIDATE_VIDEO_LIMIT
+    });
+
+    const candidates = new Map();
+    for (const video of videos) {
+        const stats = candidates.get(video.uploaderId) || { matchingVideos: 0, views: 0, lastUploadAt: video.createdAt, themeCounts: {} };
+        stats.matchingVideos++;
+        stats.views += video.views;
+        video.tags.filter(tag => themes.has(tag)).forEach(tag => {
+            const theme = themes.get(tag);
+            stats.themeCounts[theme] = (stats.themeCounts[theme] || 0) + 1;
+        });
+        candidates.set(video.uploaderId, stats);
+    }
+    if (candidates.size === 0) return [];
+
+    const candidateIds = [...candidates.keys()];
+    const [users, sharedCounts] = await Promise.all([
+        prisma.user.findMany({
+            where: { id: { in: candidateIds } },
+            select: { id: true, displayName: true, bio: true }
+        }),
+        sharedNetworkCounts(prisma, network, candidateIds)
+    ]);
+
+    const now = Date.now();
+    return users.map(user => {
+        const stats = candidates.get(user.id);
+        const sharedNetworks = sharedCounts.get(user.id) || 0;
+        const daysSinceUpload = (now - stats.lastUploadAt.getTime()) / DAY_MS;
+
+        const score = WEIGHTS.match * Math.log2(1 + stats.matchingVideos)
+            + WEIGHTS.breadth * Object.keys(stats.themeCounts).length / themes.size
+            + WEIGHTS.activity * Math.pow(0.5, daysSinceUpload / ACTIVITY_HALF_LIFE_DAYS)
+            + WEIGHTS.views * Math.log10(1 + stats.views)
+            + WEIGHTS.overlap * Math.log2(1 + sharedNetworks);
+
+        return {
+            ...user,
+            score: Math.round(score * 100) / 100,
+            matchingVideos: stats.matchingVideos,
+            themeCounts: stats.themeCounts,
+            views: stats.views,
+            lastUploadAt: stats.lastUploadAt,
+            sharedNetworks,
+            explanation: explain({ ...stats, daysSinceUpload, sharedNetworks })
+        };
+    })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
@@ -0,0 +1,40 @@
+// Themes - the canonical taxonomy networks are filed under
+// Networks store theme slugs (Network.themes); clients get the labels from
+// GET /api/themes. Slugs double as video tags, so a video tagged "gaming"
+// matches Gaming networks in the creator suggestions (see suggestions.js).
+// Adding a theme is a code change; renaming or removing one needs a migration
+// of Network.themes like the one that introduced the taxonomy.
+
+export const THEMES = [
+    { slug: 'tech', name: 'Tech' },
+    { slug: 'gaming', name: 'Gaming' },
+    { slug: 'educazione', name: 'Educazione' },
+    { slug: 'scienza', name: 'Scienza' },
+    { slug: 'musica', name: 'Musica' },
+    { slug: 'cinema', name: 'Cinema e TV' },
+    { slug: 'sport', name: 'Sport' },
+    { slug: 'cucina', name: 'Cucina' },
+    { slug: 'viaggi', name: 'Viaggi' },
+    { slug: 'arte', name: 'Arte e design' },
+    { slug: 'moda', name: 'Moda e bellezza' },
+    { slug: 'salute', name: 'Salute e fitness' },
+    { slug: 'finanza', name: 'Finanza e business' },
+    { slug: 'attualita', name: 'Notizie e attualità' },
+    { slug: 'comicita', name: 'Comicità' },
+    { slug: 'lifestyle', name: 'Lifestyle' },
+    { slug: 'motori', name: 'Motori' },
+    { slug: 'natura', name: 'Natura e animali' },
+    { slug: 'cultura', name: 'Storia e cultura' },
+    { slug: 'altro', name: 'Altro' }
+];
+
+export const THEME_SLUGS = THEMES.map(theme => theme.slug);
+
+// Label of a theme slug (the slug itself for anything outside the taxonomy)
+export function themeName(slug) {
+    return THEMES.find(theme => theme.slug === slug)?.name || slug;
+}
+
+// "sector" (Settoriale): creators of a single field, so exactly one theme.
+// "eclectic" (Eclettica): a curated mix of channels across themes.
+export const NETWORK_TYPES = ['sector', 'eclectic'];